@@ -0,0 +1,110 @@
+import fs from 'fs'
+import crypto from 'crypto'
+import { bills as fixtureBills } from '../src/fixtures/bills.js'
+
+// the accounts documented in the README, plus the owner of the fixture bills
+export const SEED_USERS = [
+  { email: 'admin@test.tld', password: 'admin', type: 'Admin', name: 'admin' },
+  { email: 'employee@test.tld', password: 'employee', type: 'Employee', name: 'employee' },
+  { email: 'a@a', password: 'a', type: 'Employee', name: 'a' }
+]
+
+// a low scrypt cost keeps seeding and tests fast, this server never holds real accounts
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) =>
+  `${salt}:${crypto.scryptSync(password, salt, 32, { N: 1024 }).toString('hex')}`
+
+const newId = () => crypto.randomBytes(10).toString('hex')
+
+// what the API may return of a user: never the password hash nor a pending confirmation or reset token
+export const publicUser = ({ password, confirmationToken, confirmationExpiresAt, resetToken, resetExpiresAt, ...user }) => user
+
+// in-memory data of the fake backend, written to a JSON file after each change when one is given
+export default class Database {
+  constructor({ file, bills = fixtureBills, users = SEED_USERS } = {}) {
+    this.file = file
+    if (file && fs.existsSync(file)) {
+      this.data = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } else {
+      this.data = { users: [], bills: bills.map(bill => ({ ...bill })), files: {} }
+      users.forEach(user => this.createUser(user))
+    }
+  }
+
+  save = () => {
+    if (this.file) fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2))
+  }
+
+  findUser = (predicate) => this.data.users.find(predicate)
+
+  // seeded and admin-created accounts are confirmed, self sign-ups wait for their email to be confirmed
+  createUser = ({ email, password, type, name, confirmed = true, ...fields }) => {
+    const user = { id: newId(), email, type, name: name || email.split('@')[0], password: hashPassword(password), confirmed, ...fields }
+    this.data.users.push(user)
+    this.save()
+    return user
+  }
+
+  updateUser = (id, fields) => {
+    const user = this.findUser(candidate => candidate.id === id)
+    Object.assign(user, fields)
+    this.save()
+    return user
+  }
+
+  deleteUser = (id) => {
+    this.data.users = this.data.users.filter(user => user.id !== id)
+    this.save()
+  }
+
+  setPassword = (id, password) => this.updateUser(id, { password: hashPassword(password) })
+
+  checkPassword = (user, password) => {
+    const [salt] = user.password.split(':')
+    return hashPassword(password, salt) === user.password
+  }
+
+  bills = () => this.data.bills
+
+  findBill = (id) => this.data.bills.find(bill => bill.id === id)
+
+  createBill = (fields) => {
+    const bill = { id: newId(), ...fields }
+    this.data.bills.push(bill)
+    this.save()
+    return bill
+  }
+
+  updateBill = (id, fields) => {
+    const bill = this.findBill(id)
+    Object.assign(bill, fields)
+    this.save()
+    return bill
+  }
+
+  deleteBill = (id) => {
+    const bill = this.findBill(id)
+    this.data.bills = this.data.bills.filter(other => other.id !== id)
+    // the justificatifs of the refused versions of the bill too
+    const fileKeys = [bill, ...(bill.revisions || [])].map(version => version.fileKey).filter(Boolean)
+    fileKeys.forEach(key => { delete this.data.files[key] })
+    this.save()
+  }
+
+  // files are kept base64-encoded so that the JSON file holds the whole state
+  saveFile = ({ fileName, mimeType, data }) => {
+    const key = `${newId()}-${fileName.replace(/[^\w.-]/g, '_')}`
+    this.data.files[key] = { fileName, mimeType, data: data.toString('base64') }
+    this.save()
+    return key
+  }
+
+  deleteFile = (key) => {
+    delete this.data.files[key]
+    this.save()
+  }
+
+  readFile = (key) => {
+    const file = this.data.files[key]
+    return file && { ...file, data: Buffer.from(file.data, 'base64') }
+  }
+}
@@ -0,0 +1,311 @@
+import express from 'express'
+import crypto from 'crypto'
+import Database, { publicUser } from './Database.js'
+import { parseMultipart } from './multipart.js'
+import { signToken, verifyToken } from './token.js'
+import { unmetPasswordRules, weakPasswordMessage } from '../src/app/password.js'
+import { DRAFT_STATUS, matchesBillQuery, sortBills } from '../src/app/billQuery.js'
+
+export const USER_TYPES = ['Employee', 'Admin']
+export const BILL_FIELDS = ['type', 'name', 'date', 'amount', 'vat', 'pct', 'commentary', 'commentAdmin', 'fileUrl', 'fileName', 'status', 'email']
+const VALID_FILE_TYPES = ['image/png', 'image/jpg', 'image/jpeg']
+
+const fail = (res, status, message, extra = {}) => res.status(status).json({ message, ...extra })
+
+// the front-end is served by live-server on another port
+const cors = (req, res, next) => {
+  res.set({
+    'Access-Control-Allow-Origin': req.get('Origin') || '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Idempotency-Key, Accept-Language, X-Correlation-Id'
+  })
+  if (req.method === 'OPTIONS') return res.sendStatus(204)
+  next()
+}
+
+// the fake backend sends no email, it prints them for the developer to follow the links
+export const logMailer = ({ to, subject, text }) => console.log(`[mail] à ${to} : ${subject}\n${text}`)
+
+const pick = (fields, names) => Object.fromEntries(Object.entries(fields || {}).filter(([name]) => names.includes(name)))
+
+// fake Billed backend: same routes as the real API, data kept in a Database
+// appUrl is where the front-end is served, for the links sent by email
+export const createApp = ({
+  database = new Database(),
+  secret = 'billed-fake-secret',
+  tokenLifetime = 24 * 60 * 60,
+  confirmationLifetime = 24 * 60 * 60,
+  resetLifetime = 60 * 60,
+  appUrl = 'http://127.0.0.1:8080',
+  mailer = logMailer
+} = {}) => {
+  const app = express()
+  // responses already sent for an Idempotency-Key, replayed when a request is retried
+  const idempotent = new Map()
+  app.locals.database = database
+
+  app.use(cors)
+  app.use(express.json())
+  app.use(express.raw({ type: 'multipart/form-data', limit: '10mb' }))
+
+  const currentUser = (req) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ')
+    const claims = scheme === 'Bearer' && verifyToken(token, { secret })
+    return claims && database.findUser(candidate => candidate.id === claims.userId)
+  }
+
+  const authenticate = (req, res, next) => {
+    const user = currentUser(req)
+    if (!user) return fail(res, 401, 'Authentification requise.')
+    req.user = user
+    next()
+  }
+
+  // a 422 with the unmet strength rules, or nothing when the password is strong enough
+  const weakPassword = (res, password) => {
+    const unmet = unmetPasswordRules(password)
+    if (unmet.length) return fail(res, 422, 'Mot de passe trop faible.', { errors: { password: weakPasswordMessage(unmet) } })
+  }
+
+  const adminOnly = (req, res, next) => req.user.type === 'Admin' ? next() : fail(res, 403, 'Accès réservé aux administrateurs.')
+
+  const replayable = (req, res, next) => {
+    const key = req.get('Idempotency-Key')
+    if (!key) return next()
+    const cacheKey = `${req.user ? req.user.id : ''}:${req.method}:${key}`
+    if (idempotent.has(cacheKey)) {
+      const { status, body } = idempotent.get(cacheKey)
+      return res.status(status).json(body)
+    }
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      if (res.statusCode < 500) idempotent.set(cacheKey, { status: res.statusCode, body })
+      return json(body)
+    }
+    next()
+  }
+
+  // employees only ever see their own bills
+  const ownBill = (req, res, next) => {
+    const bill = database.findBill(req.params.id)
+    if (!bill || (req.user.type !== 'Admin' && bill.email !== req.user.email)) return fail(res, 404, 'Note de frais introuvable.')
+    req.bill = bill
+    next()
+  }
+
+  app.post('/auth/login', (req, res) => {
+    const { email, password } = req.body || {}
+    const user = email && database.findUser(candidate => candidate.email === email)
+    if (!user || !database.checkPassword(user, password || '')) return fail(res, 401, 'Email ou mot de passe incorrect.')
+    if (!user.confirmed) return fail(res, 403, 'Veuillez confirmer votre adresse email avant de vous connecter.')
+    const jwt = signToken({ userId: user.id, email: user.email, type: user.type }, { secret, expiresIn: tokenLifetime })
+    // the role of the session is the one of the account, never the login form the user picked
+    res.json({ jwt, user: publicUser(user) })
+  })
+
+  // answers the same whether the account exists or not, so that it cannot be used to probe emails
+  app.post('/auth/password-reset', (req, res) => {
+    const { email } = req.body || {}
+    const user = email && database.findUser(candidate => candidate.email === email)
+    if (user && user.confirmed) {
+      const resetToken = crypto.randomBytes(20).toString('hex')
+      database.updateUser(user.id, { resetToken, resetExpiresAt: Date.now() + resetLifetime * 1000 })
+      mailer({
+        to: email,
+        subject: 'Réinitialisation de votre mot de passe',
+        text: `Pour choisir un nouveau mot de passe, ouvrez ce lien dans l'heure : ${appUrl}/#password/reset?token=${resetToken}`
+      })
+    }
+    res.status(202).json({ message: 'Si un compte existe pour cet email, un lien de réinitialisation vient de lui être envoyé.' })
+  })
+
+  app.post('/auth/password-reset/confirm', (req, res) => {
+    const { token, password } = req.body || {}
+    const user = token && database.findUser(candidate => candidate.resetToken === token)
+    if (!user) return fail(res, 404, "Ce lien de réinitialisation n'est pas valide.")
+    if (user.resetExpiresAt <= Date.now()) return fail(res, 410, 'Ce lien de réinitialisation a expiré, veuillez en demander un nouveau.')
+    if (weakPassword(res, password || '')) return
+    database.setPassword(user.id, password)
+    res.json(publicUser(database.updateUser(user.id, { resetToken: null, resetExpiresAt: null })))
+  })
+
+  // sign-up when called without a session: an Employee account, usable once its email is confirmed;
+  // an admin may also create Admin accounts, confirmed right away
+  app.post('/users', (req, res) => {
+    const { email, password, type = 'Employee', name } = req.body || {}
+    const creator = currentUser(req)
+    const errors = {}
+    if (!email || !/^\S+@\S+$/.test(email)) errors.email = 'Adresse email invalide.'
+    if (!password) errors.password = 'Le mot de passe est obligatoire.'
+    if (!USER_TYPES.includes(type)) errors.type = "Type d'utilisateur inconnu."
+    if (Object.keys(errors).length) return fail(res, 422, 'Utilisateur invalide.', { errors })
+    if (weakPassword(res, password)) return
+    const byAdmin = Boolean(creator && creator.type === 'Admin')
+    if (type === 'Admin' && !byAdmin) return fail(res, 403, 'Seul un administrateur peut créer un compte administrateur.')
+    const existing = database.findUser(candidate => candidate.email === email)
+    // signing up again before confirming sends a new link, e.g. once the first one has expired
+    if (existing && (existing.confirmed || byAdmin)) return fail(res, 409, 'Un compte existe déjà pour cet email.')
+    if (byAdmin) return res.status(201).json(publicUser(database.createUser({ email, password, type, name })))
+
+    const confirmationToken = crypto.randomBytes(20).toString('hex')
+    const confirmation = { confirmed: false, confirmationToken, confirmationExpiresAt: Date.now() + confirmationLifetime * 1000 }
+    if (existing) database.deleteUser(existing.id)
+    const user = database.createUser({ email, password, type, name, ...confirmation })
+    mailer({
+      to: email,
+      subject: 'Confirmez votre adresse email',
+      text: `Bienvenue sur Billed ! Pour activer votre compte, ouvrez ce lien : ${appUrl}/#signup/confirm?token=${confirmationToken}`
+    })
+    res.status(201).json(publicUser(user))
+  })
+
+  app.post('/users/confirm', (req, res) => {
+    const { token } = req.body || {}
+    const user = token && database.findUser(candidate => candidate.confirmationToken === token)
+    if (!user) return fail(res, 404, "Ce lien de confirmation n'est pas valide.")
+    if (user.confirmationExpiresAt <= Date.now()) return fail(res, 410, 'Ce lien de confirmation a expiré, inscrivez-vous à nouveau pour en recevoir un autre.')
+    res.json(publicUser(database.updateUser(user.id, { confirmed: true, confirmationToken: null, confirmationExpiresAt: null })))
+  })
+
+  app.get('/users', authenticate, adminOnly, (req, res) => {
+    res.json(database.data.users.map(publicUser))
+  })
+
+  app.get('/users/me', authenticate, (req, res) => {
+    res.json(publicUser(req.user))
+  })
+
+  app.post('/users/me/password', authenticate, (req, res) => {
+    const { currentPassword, password } = req.body || {}
+    if (!database.checkPassword(req.user, currentPassword || '')) {
+      return fail(res, 422, 'Mot de passe actuel incorrect.', { errors: { currentPassword: 'Le mot de passe actuel est incorrect.' } })
+    }
+    if (weakPassword(res, password || '')) return
+    res.json(publicUser(database.setPassword(req.user.id, password)))
+  })
+
+  app.get('/users/:id', authenticate, (req, res) => {
+    const user = database.findUser(candidate => candidate.id === req.params.id)
+    if (!user || (req.user.type !== 'Admin' && user.id !== req.user.id)) return fail(res, 404, 'Utilisateur introuvable.')
+    res.json(publicUser(user))
+  })
+
+  // answers with a page envelope when page or pageSize is given, with a plain array otherwise like the real backend
+  app.get('/bills', authenticate, (req, res) => {
+    const query = req.user.type === 'Admin' ? req.query : { ...req.query, email: req.user.email }
+    // the drafts of an employee are theirs only
+    const visible = (bill) => req.user.type !== 'Admin' || bill.status !== DRAFT_STATUS
+    const bills = sortBills(database.bills().filter(bill => visible(bill) && matchesBillQuery(bill, query)), query.sort)
+    if (!query.page && !query.pageSize) return res.json(bills)
+    const page = Math.max(1, parseInt(query.page) || 1)
+    const pageSize = Math.max(1, parseInt(query.pageSize) || 20)
+    res.json({ items: bills.slice((page - 1) * pageSize, page * pageSize), total: bills.length, page, pageSize })
+  })
+
+  app.get('/bills/:id', authenticate, ownBill, (req, res) => {
+    res.json(req.bill)
+  })
+
+  // saves the justificatif of a multipart request, answers 422 and returns null when it is missing or invalid
+  const saveJustificatif = (req, res) => {
+    const form = parseMultipart(req.body, req.get('Content-Type'))
+    const file = form && form.files.file
+    if (!file) {
+      fail(res, 422, 'Justificatif manquant.', { errors: { file: 'Veuillez joindre un justificatif.' } })
+      return null
+    }
+    if (!VALID_FILE_TYPES.includes(file.mimeType)) {
+      fail(res, 422, 'Justificatif invalide.', { errors: { file: 'Les images doivent être dans un format valide (png, jpg, jpeg).' } })
+      return null
+    }
+    const fileKey = database.saveFile(file)
+    return { form, file, fileKey, fileUrl: `${req.protocol}://${req.get('host')}/files/${fileKey}` }
+  }
+
+  // the justificatif upload, answers with the key of the bill created for it, a draft until it is sent
+  app.post('/bills', authenticate, replayable, (req, res) => {
+    const saved = saveJustificatif(req, res)
+    if (!saved) return
+    const { form, file, fileKey, fileUrl } = saved
+    const email = req.user.type === 'Admin' && form.fields.email ? form.fields.email : req.user.email
+    const bill = database.createBill({ email, fileUrl, fileName: file.fileName, fileKey, status: DRAFT_STATUS, createdAt: new Date().toISOString() })
+    res.status(201).json({ key: bill.id, fileUrl })
+  })
+
+  // a new justificatif for an existing bill (a refused one being corrected): the bill only points to it
+  // once sent again, its previous justificatif staying in its revisions
+  app.post('/bills/:id/file', authenticate, ownBill, (req, res) => {
+    const saved = saveJustificatif(req, res)
+    if (!saved) return
+    res.status(201).json({ fileUrl: saved.fileUrl, fileName: saved.file.fileName })
+  })
+
+  // the steps of the timeline shown to the employee are dated here, never by the client
+  app.patch('/bills/:id', authenticate, replayable, ownBill, (req, res) => {
+    const fields = pick(req.body, BILL_FIELDS)
+    const now = new Date().toISOString()
+    if (fields.fileUrl && fields.fileUrl !== req.bill.fileUrl) {
+      const fileKey = fields.fileUrl.split('/files/')[1]
+      if (!fileKey || !database.readFile(fileKey)) {
+        return fail(res, 422, 'Justificatif introuvable.', { errors: { file: 'Veuillez joindre à nouveau le justificatif.' } })
+      }
+      fields.fileKey = fileKey
+    }
+    if (req.user.type !== 'Admin') {
+      // as in the app, a bill sent and not refused is out of its employee's hands
+      if (req.bill.status && ![DRAFT_STATUS, 'refused'].includes(req.bill.status)) {
+        return fail(res, 403, 'Seuls les brouillons et les notes de frais refusées peuvent être modifiés.')
+      }
+      if (['accepted', 'refused'].includes(fields.status)) return fail(res, 403, 'Seul un administrateur peut valider une note de frais.')
+      if (fields.status === DRAFT_STATUS && req.bill.status && req.bill.status !== DRAFT_STATUS) {
+        return fail(res, 403, 'Une note de frais envoyée ne peut plus redevenir un brouillon.')
+      }
+      delete fields.commentAdmin
+      delete fields.email
+      if (fields.status === 'pending') fields.submittedAt = now
+      // a refused bill sent again: the refused version is kept and the review starts over
+      if (fields.status === 'pending' && req.bill.status === 'refused') {
+        const { id, email, revisions = [], ...refused } = req.bill
+        Object.assign(fields, { revisions: [...revisions, refused], commentAdmin: '', reviewedAt: null, decidedAt: null })
+      }
+    } else if (['accepted', 'refused'].includes(fields.status) && fields.status !== req.bill.status) {
+      fields.decidedAt = now
+      fields.reviewedAt = req.bill.reviewedAt || now
+    }
+    // the justificatif a draft no longer uses is not kept, unlike those of refused versions
+    if (fields.fileKey && req.bill.status === DRAFT_STATUS && req.bill.fileKey) database.deleteFile(req.bill.fileKey)
+    res.json(database.updateBill(req.bill.id, fields))
+  })
+
+  // an admin opened the bill: the first time is kept as the date of its review
+  app.post('/bills/:id/review', authenticate, ownBill, (req, res) => {
+    if (req.user.type !== 'Admin') return fail(res, 403, 'Seul un administrateur peut examiner une note de frais.')
+    if (req.bill.reviewedAt) return res.json(req.bill)
+    res.json(database.updateBill(req.bill.id, { reviewedAt: new Date().toISOString() }))
+  })
+
+  // an employee can only withdraw a bill no admin has decided on yet; its justificatifs go with it
+  app.delete('/bills/:id', authenticate, ownBill, (req, res) => {
+    if (req.user.type !== 'Admin' && ['accepted', 'refused'].includes(req.bill.status)) {
+      return fail(res, 403, 'Seule une note de frais en attente peut être retirée.')
+    }
+    database.deleteBill(req.bill.id)
+    res.json({ id: req.bill.id })
+  })
+
+  app.get('/files/:key', (req, res) => {
+    const file = database.readFile(req.params.key)
+    if (!file) return fail(res, 404, 'Fichier introuvable.')
+    res.type(file.mimeType).send(file.data)
+  })
+
+  app.use((req, res) => fail(res, 404, `Route inconnue : ${req.method} ${req.path}`))
+  // malformed bodies and unexpected failures answer in JSON too, never with express' HTML page
+  app.use((error, req, res, next) => {
+    if (error.status && error.status < 500) return fail(res, error.status, 'Requête invalide.')
+    console.error(error)
+    fail(res, 500, 'Erreur interne du serveur.')
+  })
+
+  return app
+}
@@ -0,0 +1,10 @@
+import { createApp } from './app.js'
+import Database from './Database.js'
+
+// PORT=5679 DATA_FILE=./data.json APP_URL=http://localhost:8080 npm run server
+const port = process.env.PORT || 5678
+const database = new Database({ file: process.env.DATA_FILE })
+
+createApp({ database, secret: process.env.JWT_SECRET, appUrl: process.env.APP_URL }).listen(port, () => {
+  console.log(`Billed fake backend listening on http://localhost:${port}`)
+})
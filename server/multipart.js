@@ -0,0 +1,50 @@
+// minimal multipart/form-data parser: the fake backend only receives a file and a few text fields
+const CRLF = Buffer.from('\r\n')
+const HEADER_END = Buffer.from('\r\n\r\n')
+
+const parseHeaders = (raw) => {
+  const headers = {}
+  raw.split('\r\n').forEach(line => {
+    const index = line.indexOf(':')
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim()
+  })
+  return headers
+}
+
+const dispositionParam = (disposition, name) => {
+  const match = new RegExp(`${name}="([^"]*)"`, 'i').exec(disposition || '')
+  return match ? match[1] : undefined
+}
+
+// returns { fields, files } where files map a field name to { fileName, mimeType, data }
+export const parseMultipart = (body, contentType) => {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '')
+  if (!match || !Buffer.isBuffer(body)) return null
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`)
+  const fields = {}
+  const files = {}
+
+  let start = body.indexOf(delimiter)
+  while (start !== -1) {
+    const partStart = start + delimiter.length
+    // the closing delimiter is followed by "--"
+    if (body.slice(partStart, partStart + 2).toString() === '--') break
+    const next = body.indexOf(delimiter, partStart)
+    if (next === -1) break
+    const part = body.slice(partStart + CRLF.length, next - CRLF.length)
+    const headerEnd = part.indexOf(HEADER_END)
+    if (headerEnd !== -1) {
+      const headers = parseHeaders(part.slice(0, headerEnd).toString())
+      const data = part.slice(headerEnd + HEADER_END.length)
+      const name = dispositionParam(headers['content-disposition'], 'name')
+      const fileName = dispositionParam(headers['content-disposition'], 'filename')
+      if (name !== undefined && fileName !== undefined) {
+        files[name] = { fileName, mimeType: headers['content-type'] || 'application/octet-stream', data }
+      } else if (name !== undefined) {
+        fields[name] = data.toString()
+      }
+    }
+    start = next
+  }
+  return { fields, files }
+}
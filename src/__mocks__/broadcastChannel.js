@@ -0,0 +1,25 @@
+// jsdom has no BroadcastChannel: channels of the same name created in a test stand for the tabs of a browser
+export default class FakeBroadcastChannel {
+  static channels = []
+
+  constructor(name) {
+    this.name = name
+    this.listeners = []
+    FakeBroadcastChannel.channels.push(this)
+  }
+
+  // like the real one, a message is not delivered back to the channel that posted it
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => channel.listeners.forEach(listener => listener({ data })))
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'message') this.listeners.push(listener)
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter(other => other !== listener)
+  }
+}
@@ -0,0 +1,5 @@
+// unsigned tokens carrying the claims the front-end reads, the signature is only checked by the backend
+export const tokenFor = (claims = {}) => {
+  const encode = (object) => btoa(JSON.stringify(object)).replace(/=+$/, '')
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`
+}
@@ -1,3 +1,5 @@
+import { NotFoundError } from "../app/errors.js"
+
 const mockedBills = {
   list() {
     return Promise.resolve([{
@@ -62,6 +64,10 @@ const mockedBills = {
       }])
 
   },
+  select({ selector }) {
+    return this.list().then(bills => bills.find(bill => bill.id === selector) ||
+      Promise.reject(new NotFoundError('Note de frais introuvable.', { status: 404 })))
+  },
   create(bill) {
     return Promise.resolve({fileUrl: 'https://localhost:3456/images/test.jpg', key: '1234'})
   },
@@ -89,5 +95,8 @@ export default {
     return mockedBills
     //return {}
   },
+  reviewBill(id) {
+    return Promise.resolve({ id })
+  },
 }
 
@@ -0,0 +1,204 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { screen, waitFor } from "@testing-library/dom"
+import userEvent from "@testing-library/user-event"
+import BillDetail, { BILL_NOT_FOUND_MESSAGE } from "../containers/BillDetail.js"
+import BillDetailUI from "../views/BillDetailUI.js"
+import Bills from "../containers/Bills.js"
+import BillsUI from "../views/BillsUI.js"
+import { ROUTES_PATH, buildPath } from "../constants/routes.js"
+import { formatDateTime } from "../app/format.js"
+import { localStorageMock } from "../__mocks__/localStorage.js"
+import { tokenFor } from "../__mocks__/jwt.js"
+import { bills as billsFixture } from "../fixtures/bills.js"
+import router from "../app/Router.js"
+
+jest.mock("../app/Store.js", () => ({
+  __esModule: true,
+  default: require("../__mocks__/store").default,
+}))
+
+const pendingBill = {
+  ...billsFixture[0],
+  commentAdmin: "",
+  createdAt: "2023-01-02T09:00:00.000Z",
+  submittedAt: "2023-01-02T09:30:00.000Z",
+  reviewedAt: "2023-01-03T14:00:00.000Z"
+}
+
+describe("Given I am connected as an employee", () => {
+  beforeEach(() => {
+    Object.defineProperty(window, "localStorage", { value: localStorageMock })
+    window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+    window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+    document.body.innerHTML = `<div id="root"></div>`
+  })
+
+  describe("When I click on the details of a bill in the Bills table", () => {
+    test("Then the page of that bill should be opened", async () => {
+      document.getElementById("root").innerHTML = BillsUI({ data: billsFixture })
+      const onNavigate = jest.fn()
+      new Bills({ document, onNavigate, store: null, localStorage: window.localStorage })
+
+      await userEvent.click(screen.getAllByTestId("btn-bill-detail")[1])
+
+      expect(onNavigate).toHaveBeenCalledWith(`#employee/bill/${billsFixture[1].id}`)
+    })
+  })
+
+  describe("When I click on the correct button of a refused bill in the Bills table", () => {
+    test("Then its correction form should be opened, refused bills only having the button", async () => {
+      const onNavigate = jest.fn()
+      const store = { bills: () => ({ list: () => Promise.resolve(billsFixture) }) }
+      const data = await new Bills({ document, onNavigate, store, localStorage: window.localStorage }).getBills()
+      document.getElementById("root").innerHTML = BillsUI({ data })
+      new Bills({ document, onNavigate, store, localStorage: window.localStorage })
+
+      const buttons = screen.getAllByTestId("btn-correct-bill")
+      expect(buttons.map(button => button.getAttribute("data-bill-id")).sort()).toEqual(["BeKy5Mo4jkmdfPGYpTxZ", "qcCK3SzECmaZAGRrHjaC"])
+      await userEvent.click(buttons[0])
+
+      expect(onNavigate).toHaveBeenCalledWith(`#employee/bill/${buttons[0].getAttribute("data-bill-id")}/edit`)
+    })
+  })
+
+  describe("When I open the page of a refused bill", () => {
+    test("Then every field, the comment of the admin and the justificatif should be shown", async () => {
+      router()
+      window.onNavigate(buildPath("BillDetail", { id: "BeKy5Mo4jkmdfPGYpTxZ" }))
+      await waitFor(() => screen.getByTestId("bill-detail"))
+
+      expect(screen.getByTestId("detail-type").textContent).toBe("Transports")
+      expect(screen.getByTestId("detail-amount").textContent).toBe("100 €")
+      expect(screen.getByTestId("detail-vat").textContent).toBe("-")
+      expect(screen.getByTestId("detail-pct").textContent).toBe("20 %")
+      expect(screen.getByTestId("detail-commentary").textContent).toBe("plop")
+      expect(screen.getByTestId("detail-comment-admin").textContent).toBe("en fait non")
+      expect(screen.getByTestId("detail-status").textContent).toBe("Refusé")
+      expect(screen.getByTestId("bill-proof").getAttribute("alt")).toBe("Justificatif 1592770761.jpeg")
+      expect(screen.getByTestId("icon-window").classList.contains("active-icon")).toBe(true)
+    })
+
+    test("Then the timeline should show it decided, even without the dates of older bills", async () => {
+      router()
+      window.onNavigate(buildPath("BillDetail", { id: "BeKy5Mo4jkmdfPGYpTxZ" }))
+      await waitFor(() => screen.getByTestId("bill-timeline"))
+
+      const decided = screen.getByTestId("timeline-decided")
+      expect(decided.textContent).toMatch(/Refusée/)
+      expect(decided.textContent).toMatch(/date inconnue/)
+      expect(decided.classList.contains("done")).toBe(true)
+      expect(screen.getByTestId("timeline-reviewed").classList.contains("done")).toBe(true)
+    })
+  })
+
+  describe("When a pending bill has been reviewed but not decided yet", () => {
+    test("Then the timeline should date each step reached and show the decision as awaited", () => {
+      document.getElementById("root").innerHTML = BillDetailUI({ data: pendingBill })
+
+      expect(screen.getByTestId("timeline-submitted").textContent).toMatch(formatDateTime(pendingBill.submittedAt))
+      expect(screen.getByTestId("timeline-reviewed").textContent).toMatch(formatDateTime(pendingBill.reviewedAt))
+      const decided = screen.getByTestId("timeline-decided")
+      expect(decided.textContent).toMatch(/En attente de décision/)
+      expect(decided.classList.contains("done")).toBe(false)
+      expect(screen.getByTestId("detail-comment-admin").textContent).toBe("-")
+    })
+  })
+
+  describe("When a bill has been typed with markup", () => {
+    test("Then its title and fields should be shown as typed", () => {
+      const bill = { ...pendingBill, name: "<b>Taxi</b>", commentary: "<img src=x onerror=alert(1)>", commentAdmin: "<i>vu</i>" }
+      document.getElementById("root").innerHTML = BillDetailUI({ data: bill })
+
+      expect(document.querySelector(".content-title").textContent.trim()).toBe("<b>Taxi</b>")
+      expect(screen.getByTestId("detail-name").textContent).toBe("<b>Taxi</b>")
+      expect(screen.getByTestId("detail-commentary").textContent).toBe("<img src=x onerror=alert(1)>")
+      expect(screen.getByTestId("detail-comment-admin").textContent).toBe("<i>vu</i>")
+      expect(screen.getByTestId("bill-detail").querySelector("b, i, img:not([data-testid='bill-proof'])")).toBeNull()
+    })
+  })
+
+  describe("When the bill is still a draft", () => {
+    test("Then the timeline should not show it as sent", () => {
+      document.getElementById("root").innerHTML = BillDetailUI({ data: { ...pendingBill, status: "draft", submittedAt: undefined, reviewedAt: undefined } })
+
+      const submitted = screen.getByTestId("timeline-submitted")
+      expect(submitted.classList.contains("done")).toBe(false)
+      expect(submitted.textContent).not.toMatch(formatDateTime(pendingBill.createdAt))
+    })
+  })
+
+  describe("When a bill has been corrected after being refused", () => {
+    test("Then its refused versions should be listed with the reason, latest first", () => {
+      const bill = {
+        ...pendingBill,
+        revisions: [
+          { name: "Taxi", amount: 40, date: "2023-01-01", status: "refused", commentAdmin: "montant illisible", decidedAt: "2023-01-01T10:00:00.000Z" },
+          { name: "Taxi", amount: 42, date: "2023-01-01", status: "refused", commentAdmin: "mauvais justificatif", decidedAt: "2023-01-02T08:00:00.000Z" }
+        ]
+      }
+      document.getElementById("root").innerHTML = BillDetailUI({ data: bill })
+
+      const revisions = screen.getAllByTestId("bill-revision").map(item => item.textContent)
+      expect(revisions[0]).toMatch(/mauvais justificatif/)
+      expect(revisions[1]).toMatch(/montant illisible/)
+      expect(revisions[1]).toMatch(/40 €/)
+      expect(screen.queryByTestId("btn-correct-bill")).toBeNull()
+    })
+
+    test("Then the reason and the fields of a refused version should be shown as typed, never as markup", () => {
+      const bill = {
+        ...pendingBill,
+        revisions: [{ name: "<b>Taxi</b>", status: "refused", commentAdmin: "<img src=x onerror=alert(1)>", fileUrl: "https://cdn/old.png", fileName: "<i>old</i>.png" }]
+      }
+      document.getElementById("root").innerHTML = BillDetailUI({ data: bill })
+
+      const revision = screen.getByTestId("bill-revision")
+      expect(revision.textContent).toMatch("<img src=x onerror=alert(1)>")
+      expect(revision.textContent).toMatch("<b>Taxi</b>")
+      expect(revision.textContent).toMatch("<i>old</i>.png")
+      expect(revision.querySelector("img, b, i")).toBeNull()
+    })
+  })
+
+  describe("When I click on the correct button of a refused bill", () => {
+    test("Then its correction form should be opened", async () => {
+      const refused = billsFixture.find(bill => bill.status === "refused")
+      document.getElementById("root").innerHTML = BillDetailUI({ data: refused })
+      const onNavigate = jest.fn()
+      new BillDetail({ document, onNavigate, store: null, localStorage: window.localStorage, bill: refused })
+
+      await userEvent.click(screen.getByTestId("btn-correct-bill"))
+
+      expect(onNavigate).toHaveBeenCalledWith(`#employee/bill/${refused.id}/edit`)
+    })
+  })
+
+  describe("When I click on the button back to my bills", () => {
+    test("Then the Bills page should be opened", async () => {
+      document.getElementById("root").innerHTML = BillDetailUI({ data: pendingBill })
+      const onNavigate = jest.fn()
+      new BillDetail({ document, onNavigate, store: null, localStorage: window.localStorage })
+
+      await userEvent.click(screen.getByTestId("btn-back-to-bills"))
+
+      expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.Bills)
+    })
+  })
+
+  describe("When I open the page of a bill that is not mine or does not exist", () => {
+    test("Then an error page should offer to go back to my bills", async () => {
+      router()
+      window.onNavigate(buildPath("BillDetail", { id: "unknown" }))
+      await waitFor(() => screen.getByTestId("error-message"))
+
+      expect(screen.getByText("Note de frais introuvable")).toBeTruthy()
+      expect(screen.getByTestId("error-message").textContent.trim()).toBe(BILL_NOT_FOUND_MESSAGE)
+
+      await userEvent.click(screen.getByTestId("btn-home"))
+      expect(window.location.hash).toBe(ROUTES_PATH.Bills)
+    })
+  })
+})
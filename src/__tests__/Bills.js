@@ -4,13 +4,15 @@
 
 import { screen, waitFor } from "@testing-library/dom"
 import userEvent from "@testing-library/user-event"
-import Bills from "../containers/Bills.js"
+import Bills, { UNDO_DELAY } from "../containers/Bills.js"
 import BillsUI from "../views/BillsUI.js"
 import { ROUTES, ROUTES_PATH } from "../constants/routes.js"
 import { localStorageMock } from "../__mocks__/localStorage.js"
+import { tokenFor } from "../__mocks__/jwt.js"
 import { bills as billsFixture } from "../fixtures/bills.js"
 import router from "../app/Router.js";
 import mockStore from "../__mocks__/store";
+import { AuthError } from "../app/errors.js";
 
 jest.mock("../app/Store.js", () => ({
   __esModule: true,
@@ -53,6 +55,16 @@ describe("Given I am connected as an employee", () => {
       expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.NewBill)
     })
 
+    test("Then clicking on the next page button should navigate to that page", async () => {
+      document.getElementById("root").innerHTML = BillsUI({ data: billsFixture, pagination: { total: 8, page: 1, pageSize: 4 } })
+      const onNavigate = jest.fn()
+      new Bills({ document, onNavigate, store: null, localStorage: window.localStorage, query: { page: 1 } })
+
+      await userEvent.click(screen.getByTestId("btn-next-page"))
+
+      expect(onNavigate).toHaveBeenCalledWith(`${ROUTES_PATH.Bills}?page=2`)
+    })
+
     test("Then clicking on an eye icon should open the proof modal with the image", async () => {
       // Given the Bills UI with actions (eyes) is rendered
       document.getElementById("root").innerHTML = BillsUI({ data: billsFixture })
@@ -71,6 +83,205 @@ describe("Given I am connected as an employee", () => {
     })
   })
 
+  describe("When I use the toolbar above the bills", () => {
+    const renderBills = (query, data = billsFixture) => {
+      document.getElementById("root").innerHTML = BillsUI({ data, query })
+      const onNavigate = jest.fn()
+      new Bills({ document, onNavigate, store: null, localStorage: window.localStorage, query })
+      return onNavigate
+    }
+
+    test("Then clicking a column header should sort on it, back to the first page and keeping the filters", async () => {
+      const onNavigate = renderBills({ status: "refused", page: 2 })
+
+      await userEvent.click(screen.getByTestId("sort-amount"))
+
+      expect(onNavigate).toHaveBeenCalledWith(`${ROUTES_PATH.Bills}?status=refused&sort=amount`)
+    })
+
+    test("Then clicking the sorted column again should reverse the order", async () => {
+      const onNavigate = renderBills({ sort: "amount" })
+
+      expect(screen.getByTestId("sort-amount").closest("th").getAttribute("aria-sort")).toBe("ascending")
+      await userEvent.click(screen.getByTestId("sort-amount"))
+
+      expect(onNavigate).toHaveBeenCalledWith(`${ROUTES_PATH.Bills}?sort=-amount`)
+    })
+
+    test("Then choosing a status should apply it at once", async () => {
+      const onNavigate = renderBills({ sort: "name" })
+
+      await userEvent.selectOptions(screen.getByTestId("filter-status"), "refused")
+
+      expect(onNavigate).toHaveBeenCalledWith(`${ROUTES_PATH.Bills}?status=refused&sort=name`)
+    })
+
+    test("Then the search and the dates should apply when the toolbar is submitted", async () => {
+      const onNavigate = renderBills({})
+
+      await userEvent.type(screen.getByTestId("filter-search"), "taxi")
+      screen.getByTestId("filter-from").value = "2023-01-01"
+      await userEvent.click(screen.getByTestId("btn-filter-apply"))
+
+      expect(onNavigate).toHaveBeenLastCalledWith(`${ROUTES_PATH.Bills}?from=2023-01-01&search=taxi`)
+    })
+
+    test("Then resetting should drop the filters but keep the sort", async () => {
+      const onNavigate = renderBills({ type: "Transports", search: "taxi", sort: "-amount" })
+
+      await userEvent.click(screen.getByTestId("btn-filter-reset"))
+
+      expect(onNavigate).toHaveBeenCalledWith(`${ROUTES_PATH.Bills}?sort=-amount`)
+    })
+
+    test("Then the toolbar should show the filters of the address", () => {
+      renderBills({ status: "accepted", type: "Transports", from: "2023-01-01", search: '"><img src=x>' })
+
+      expect(screen.getByTestId("filter-status").value).toBe("accepted")
+      expect(screen.getByTestId("filter-type").value).toBe("Transports")
+      expect(screen.getByTestId("filter-from").value).toBe("2023-01-01")
+      expect(screen.getByTestId("filter-search").value).toBe('"><img src=x>')
+      expect(screen.getByTestId("bills-toolbar").querySelector("img")).toBeNull()
+    })
+
+    test("Then a message should say when no bill matches the filters", () => {
+      renderBills({ status: "accepted" }, [])
+
+      expect(screen.getByTestId("no-bills").textContent).toBe("Aucune note de frais ne correspond à ces critères.")
+    })
+  })
+
+  describe("When I withdraw a pending bill", () => {
+    let remove
+    let onNavigate
+
+    const renderWithStore = async (removal = () => Promise.resolve({})) => {
+      remove = jest.fn(removal)
+      onNavigate = jest.fn()
+      const store = { bills: () => ({ list: () => Promise.resolve(billsFixture), delete: remove }) }
+      const data = await new Bills({ document, onNavigate, store, localStorage: window.localStorage }).getBills()
+      document.getElementById("root").innerHTML = BillsUI({ data })
+      return new Bills({ document, onNavigate, store, localStorage: window.localStorage })
+    }
+    const withdraw = (id) => {
+      screen.getAllByTestId("btn-withdraw-bill").find(button => button.getAttribute("data-bill-id") === id).click()
+      screen.getByTestId("btn-withdraw-confirm").click()
+    }
+    const row = (id) => document.querySelector(`tr[data-bill-id="${id}"]`)
+
+    beforeEach(() => {
+      $.fn.modal = jest.fn()
+    })
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    test("Then only pending bills should offer it, after a confirmation naming the bill", async () => {
+      await renderWithStore()
+
+      const buttons = screen.getAllByTestId("btn-withdraw-bill")
+      expect(buttons.map(button => button.getAttribute("data-bill-id"))).toEqual(["47qAXb6fIm2zOKkLzMro"])
+      buttons[0].click()
+
+      expect(screen.getByTestId("withdraw-bill-name").textContent).toBe("encore")
+      expect($.fn.modal).toHaveBeenCalledWith("show")
+    })
+
+    test("Then the bill should be hidden at once and only deleted once the undo toast has gone", async () => {
+      await renderWithStore()
+      jest.useFakeTimers()
+
+      withdraw("47qAXb6fIm2zOKkLzMro")
+
+      expect(row("47qAXb6fIm2zOKkLzMro").hidden).toBe(true)
+      expect(screen.getByTestId("undo-toast").hidden).toBe(false)
+      expect(screen.getByTestId("undo-toast-message").textContent).toBe("Note de frais retirée.")
+      expect(remove).not.toHaveBeenCalled()
+
+      jest.advanceTimersByTime(UNDO_DELAY)
+
+      expect(remove).toHaveBeenCalledWith({ selector: "47qAXb6fIm2zOKkLzMro" })
+      expect(screen.getByTestId("undo-toast").hidden).toBe(true)
+    })
+
+    test("Then undoing should bring the bill back without deleting it", async () => {
+      await renderWithStore()
+      jest.useFakeTimers()
+
+      withdraw("47qAXb6fIm2zOKkLzMro")
+      screen.getByTestId("btn-undo").click()
+      jest.advanceTimersByTime(UNDO_DELAY)
+
+      expect(remove).not.toHaveBeenCalled()
+      expect(row("47qAXb6fIm2zOKkLzMro").hidden).toBe(false)
+      expect(screen.getByTestId("undo-toast").hidden).toBe(true)
+    })
+
+    test("Then leaving the page should send the withdrawal right away", async () => {
+      const container = await renderWithStore()
+
+      withdraw("47qAXb6fIm2zOKkLzMro")
+      container.sendWithdrawal()
+
+      expect(remove).toHaveBeenCalledTimes(1)
+    })
+
+    test("Then a failed deletion should bring the bill back with a message", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {})
+      const container = await renderWithStore(() => Promise.reject(new Error("Erreur 500")))
+
+      withdraw("47qAXb6fIm2zOKkLzMro")
+      await container.sendWithdrawal()
+
+      expect(row("47qAXb6fIm2zOKkLzMro").hidden).toBe(false)
+      expect(screen.getByTestId("undo-toast-message").textContent).toBe("La note de frais n'a pas pu être retirée.")
+      expect(screen.getByTestId("btn-undo").hidden).toBe(true)
+      console.error.mockRestore()
+    })
+  })
+
+  describe("When I have drafts", () => {
+    const draft = { id: "d1", email: "a@a", status: "draft", name: "Taxi", type: "Transports", amount: 42, createdAt: "2023-01-02T09:30:00.000Z" }
+    const store = { bills: () => ({ list: () => Promise.resolve([...billsFixture, draft]), delete: jest.fn().mockResolvedValue({}) }) }
+
+    const renderDrafts = async (localDraft = null) => {
+      const onNavigate = jest.fn()
+      const reader = new Bills({ document, onNavigate, store, localStorage: window.localStorage })
+      const [data, drafts] = await Promise.all([reader.getBills(), reader.getDrafts()])
+      document.getElementById("root").innerHTML = BillsUI({ data, drafts, localDraft })
+      new Bills({ document, onNavigate, store, localStorage: window.localStorage })
+      return onNavigate
+    }
+
+    beforeEach(() => {
+      $.fn.modal = jest.fn()
+    })
+
+    test("Then they should be listed apart from the bills sent", async () => {
+      await renderDrafts()
+      expect(screen.getAllByTestId("bill-draft").map(item => item.getAttribute("data-bill-id"))).toEqual(["d1"])
+      expect(screen.getByTestId("bill-drafts").textContent).toMatch(/Taxi/)
+      expect(document.querySelector(`tr[data-bill-id="d1"]`)).toBeNull()
+    })
+
+    test("Then resuming one should open it in the form", async () => {
+      const onNavigate = await renderDrafts({ name: "Hôtel" })
+      await userEvent.click(screen.getByTestId("btn-resume-draft"))
+      expect(onNavigate).toHaveBeenCalledWith("#employee/bill/d1/edit")
+
+      expect(screen.getByTestId("local-draft").textContent).toMatch(/Hôtel/)
+      await userEvent.click(screen.getByTestId("btn-resume-local-draft"))
+      expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.NewBill)
+    })
+
+    test("Then deleting one should hide it until the undo toast has gone", async () => {
+      await renderDrafts()
+      screen.getAllByTestId("btn-withdraw-bill").find(button => button.getAttribute("data-bill-id") === "d1").click()
+      screen.getByTestId("btn-withdraw-confirm").click()
+      expect(document.querySelector(`li[data-bill-id="d1"]`).hidden).toBe(true)
+    })
+  })
+
   describe("When I request bills from the store", () => {
     test("Then it should return formatted bills on success", async () => {
       // Given a store that returns a valid bill list
@@ -107,6 +318,78 @@ describe("Given I am connected as an employee", () => {
       expect(result[0].status).toBeTruthy()
     })
 
+    test("Then a 401 should be left to the router, which sends me to Login", async () => {
+      const mockList = jest.fn().mockRejectedValue(new AuthError("Non autorisé", { status: 401 }))
+      const store = { bills: () => ({ list: mockList }) }
+      const onNavigate = jest.fn()
+      const container = new Bills({ document, onNavigate, store, localStorage: window.localStorage })
+
+      await expect(container.getBills()).rejects.toBeInstanceOf(AuthError)
+      expect(onNavigate).not.toHaveBeenCalled()
+    })
+
+    test("Then it should keep me logged in when the API answers 403", async () => {
+      const mockList = jest.fn().mockRejectedValue(new AuthError("Accès refusé", { status: 403 }))
+      const store = { bills: () => ({ list: mockList }) }
+      const onNavigate = jest.fn()
+      const container = new Bills({ document, onNavigate, store, localStorage: window.localStorage })
+
+      await expect(container.getBills()).rejects.toBeInstanceOf(AuthError)
+      expect(onNavigate).not.toHaveBeenCalled()
+    })
+
+    test("Then bills waiting in the outbox should be listed with a badge", async () => {
+      const mockList = jest.fn().mockResolvedValue(billsFixture)
+      const outbox = { pendingBills: jest.fn().mockResolvedValue([
+        { id: "local-1", email: "a@a", type: "Transports", name: "Taxi", date: "2023-01-02", amount: 42, status: "pending", outbox: "pending", outboxId: "1" }
+      ]) }
+      const store = { bills: () => ({ list: mockList }), outbox }
+      const container = new Bills({ document, onNavigate: jest.fn(), store, localStorage: window.localStorage })
+
+      const data = await container.getBills()
+      document.getElementById("root").innerHTML = BillsUI({ data })
+
+      expect(data).toHaveLength(billsFixture.length + 1)
+      expect(screen.getByTestId("outbox-badge").textContent).toMatch(/En attente d'envoi/)
+    })
+
+    test("Then it should request a page and keep its totals for the pager", async () => {
+      const mockList = jest.fn().mockResolvedValue({ items: billsFixture.slice(0, 2), total: 4, page: 2, pageSize: 2 })
+      const store = { bills: () => ({ list: mockList }) }
+      const container = new Bills({ document, onNavigate: jest.fn(), store, localStorage: window.localStorage })
+
+      const data = await container.getBills({ query: { page: 2, pageSize: 2 } })
+      document.getElementById("root").innerHTML = BillsUI({ data, pagination: container.pagination })
+
+      expect(mockList.mock.calls[0][0].query).toMatchObject({ page: 2, pageSize: 2 })
+      expect(data).toHaveLength(2)
+      expect(container.pagination).toEqual({ total: 4, page: 2, pageSize: 2 })
+      expect(screen.getByText(/Page 2 \/ 2/)).toBeTruthy()
+    })
+
+    test("Then the filters and the sort should be sent, and applied to a backend answering with every bill", async () => {
+      const mockList = jest.fn().mockResolvedValue(billsFixture)
+      const store = { bills: () => ({ list: mockList }) }
+      const container = new Bills({ document, onNavigate: jest.fn(), store, localStorage: window.localStorage })
+
+      const data = await container.getBills({ query: { status: "refused", sort: "amount" } })
+
+      expect(mockList.mock.calls[0][0].query).toMatchObject({ status: "refused", sort: "amount" })
+      expect(data.map(bill => bill.name)).toEqual(["test1", "test2"])
+    })
+
+    test("Then bills of the outbox not matching the filters should be left out", async () => {
+      const mockList = jest.fn().mockResolvedValue([])
+      const outbox = { pendingBills: jest.fn().mockResolvedValue([
+        { id: "local-1", email: "a@a", type: "Transports", name: "Taxi", date: "2023-01-02", amount: 42, status: "pending", outbox: "pending", outboxId: "1" }
+      ]) }
+      const store = { bills: () => ({ list: mockList }), outbox }
+      const container = new Bills({ document, onNavigate: jest.fn(), store, localStorage: window.localStorage })
+
+      expect(await container.getBills({ query: { type: "Transports" } })).toHaveLength(1)
+      expect(await container.getBills({ query: { type: "Hôtel et logement" } })).toHaveLength(0)
+    })
+
     test("Then it should return undefined if store is missing", () => {
       // Given there is no store
       const container = new Bills({ document, onNavigate: jest.fn(), store: null, localStorage: window.localStorage })
@@ -126,6 +409,7 @@ describe("Given I am a user connected as Employee", () => {
       // Given
       Object.defineProperty(window, "localStorage", { value: localStorageMock })
       window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+      window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
       const root = document.createElement("div")
       root.setAttribute("id", "root")
       document.body.append(root)
@@ -151,11 +435,72 @@ describe("Given I am a user connected as Employee", () => {
     })
   })
 
+  describe("When I withdraw two bills in a row", () => {
+    test("Then the second one should wait for its undo delay even though the first one refreshed the page", async () => {
+      Object.defineProperty(window, "localStorage", { value: localStorageMock })
+      window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+      window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+      document.body.innerHTML = `<div id="root"></div>`
+      $.fn.modal = jest.fn()
+      const pending = billsFixture.find(bill => bill.status === "pending")
+      let listed = [...billsFixture, { ...pending, id: "second", name: "second" }]
+      let revalidate
+      // like the Store's cache, a deletion refreshes the list shown
+      const list = jest.fn(({ query, onRevalidate }) => {
+        if (query.status !== "draft") revalidate = onRevalidate
+        return Promise.resolve(listed)
+      })
+      const remove = jest.fn(({ selector }) => {
+        listed = listed.filter(bill => bill.id !== selector)
+        revalidate(listed)
+        return Promise.resolve({})
+      })
+      jest.spyOn(mockStore, "bills").mockImplementation(() => ({ list, delete: remove }))
+      router()
+      window.onNavigate(ROUTES_PATH.Bills)
+      await waitFor(() => screen.getByText("Mes notes de frais"))
+
+      const withdraw = (id) => {
+        screen.getAllByTestId("btn-withdraw-bill").find(button => button.getAttribute("data-bill-id") === id).click()
+        screen.getByTestId("btn-withdraw-confirm").click()
+      }
+      withdraw(pending.id)
+      withdraw("second")
+
+      await waitFor(() => expect(document.querySelector(`tr[data-bill-id="${pending.id}"]`)).toBeNull())
+      expect(remove).toHaveBeenCalledTimes(1)
+      expect(document.querySelector(`tr[data-bill-id="second"]`).hidden).toBe(true)
+      expect(screen.getByTestId("undo-toast").hidden).toBe(false)
+
+      window.onNavigate(ROUTES_PATH.NewBill)
+      expect(remove).toHaveBeenLastCalledWith({ selector: "second" })
+      mockStore.bills.mockRestore()
+    })
+  })
+
+  describe("When I open the Bills page with filters in the address", () => {
+    test("Then they should be applied to the list and shown in the toolbar", async () => {
+      Object.defineProperty(window, "localStorage", { value: localStorageMock })
+      window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+      window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+      document.body.innerHTML = `<div id="root"></div>`
+      router()
+
+      window.onNavigate(`${ROUTES_PATH.Bills}?status=refused&sort=-amount`)
+      await waitFor(() => screen.getByTestId("bills-toolbar"))
+
+      expect(screen.getByTestId("filter-status").value).toBe("refused")
+      expect(screen.getByTestId("sort-amount").closest("th").getAttribute("aria-sort")).toBe("descending")
+      expect([...document.querySelectorAll("tbody tr td:nth-of-type(4)")].map(cell => cell.textContent)).toEqual(["200 €", "100 €"])
+    })
+  })
+
   describe("When an error occurs on API", () => {
     beforeEach(() => {
       jest.spyOn(mockStore, "bills")
       Object.defineProperty(window, "localStorage", { value: localStorageMock })
       window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+      window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
       const root = document.createElement("div")
       root.setAttribute("id", "root")
       document.body.append(root)
@@ -185,6 +530,24 @@ describe("Given I am a user connected as Employee", () => {
       const message = await screen.getByText(/Erreur 500/)
       expect(message).toBeTruthy()
     })
+
+    test("Then a retryable error offers a retry action that reloads the bills", async () => {
+      const list = jest.fn()
+        .mockRejectedValueOnce({ message: "Le serveur met trop de temps à répondre.", retryable: true })
+        .mockResolvedValue(billsFixture)
+      mockStore.bills.mockImplementation(() => ({ list }))
+
+      window.onNavigate(ROUTES_PATH.Bills)
+      await new Promise(process.nextTick)
+
+      const retry = screen.getByTestId("btn-retry")
+      await userEvent.click(retry)
+
+      await waitFor(() => screen.getByText("Mes notes de frais"))
+      // the drafts are read along with the bills
+      expect(list.mock.calls.filter(([{ query }]) => query.status !== "draft")).toHaveLength(2)
+      mockStore.bills.mockRestore()
+    })
   })
 })
 
@@ -0,0 +1,119 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { fireEvent, screen } from "@testing-library/dom"
+import ChangePasswordUI from "../views/ChangePasswordUI.js"
+import ChangePassword from "../containers/ChangePassword.js"
+import { AuthError, ServerError, ValidationError } from "../app/errors.js"
+import { localStorageMock } from "../__mocks__/localStorage.js"
+
+const setUp = (changePassword = jest.fn()) => {
+  Object.defineProperty(window, "localStorage", { value: localStorageMock })
+  window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+  document.body.innerHTML = ChangePasswordUI()
+  const onNavigate = jest.fn()
+  const store = { changePassword }
+  const container = new ChangePassword({ document, onNavigate, store, localStorage: window.localStorage })
+  return { container, onNavigate, store }
+}
+
+const fill = (currentPassword, password, confirmation = password) => {
+  fireEvent.input(screen.getByTestId("current-password-input"), { target: { value: currentPassword } })
+  fireEvent.input(screen.getByTestId("new-password-input"), { target: { value: password } })
+  fireEvent.input(screen.getByTestId("confirm-password-input"), { target: { value: confirmation } })
+}
+
+const submit = (container) => container.handleSubmit({ preventDefault: jest.fn(), target: screen.getByTestId("form-change-password") })
+
+describe("Given I am connected and on the change-password page", () => {
+  test("Then it should be shown in the layout with the password rules", () => {
+    setUp()
+    expect(screen.getByText("Changer de mot de passe")).toBeTruthy()
+    expect(screen.getByTestId("layout-account")).toBeTruthy()
+    expect(screen.getByTestId("password-rules").children).toHaveLength(4)
+  })
+
+  describe("When I submit my current and a strong new password", () => {
+    test("Then they should be sent and the form emptied", async () => {
+      const { container, store } = setUp(jest.fn().mockResolvedValue({}))
+      fill("a", "Nouveau1")
+
+      await submit(container)
+
+      expect(store.changePassword).toHaveBeenCalledWith({ currentPassword: "a", password: "Nouveau1" })
+      expect(screen.getByTestId("change-password-done").hidden).toBe(false)
+      expect(screen.getByTestId("current-password-input").value).toBe("")
+    })
+  })
+
+  describe("When the new password is weak", () => {
+    test("Then nothing should be sent", async () => {
+      const { container, store } = setUp(jest.fn())
+      fill("a", "abc")
+
+      await submit(container)
+
+      expect(store.changePassword).not.toHaveBeenCalled()
+      expect(screen.getByTestId("change-password-done").hidden).toBe(true)
+    })
+  })
+
+  describe("When my current password is wrong", () => {
+    test("Then the error should be shown under it and cleared when I type again", async () => {
+      const error = new ValidationError("Mot de passe actuel incorrect.", { status: 422, fields: { currentPassword: "Le mot de passe actuel est incorrect." } })
+      const { container } = setUp(jest.fn().mockRejectedValue(error))
+      fill("b", "Nouveau1")
+
+      await submit(container)
+
+      const current = screen.getByTestId("current-password-input")
+      expect(current.classList.contains("is-invalid")).toBe(true)
+      expect(screen.getByTestId("current-password-error").textContent).toBe("Le mot de passe actuel est incorrect.")
+      expect(screen.getByTestId("change-password-button").disabled).toBe(false)
+      fireEvent.input(current, { target: { value: "a" } })
+      expect(current.classList.contains("is-invalid")).toBe(false)
+    })
+  })
+
+  describe("When the server refuses the new password or fails", () => {
+    test("Then its message should be shown above the form", async () => {
+      const weak = new ValidationError("Mot de passe trop faible.", { status: 422, fields: { password: "Le mot de passe doit contenir : un chiffre." } })
+      const { container, store } = setUp(jest.fn().mockRejectedValueOnce(weak).mockRejectedValueOnce(new ServerError("Erreur 500", { status: 500 })))
+      fill("a", "Nouveau1")
+
+      await submit(container)
+      expect(screen.getByTestId("change-password-error").textContent).toBe("Le mot de passe doit contenir : un chiffre.")
+      expect(screen.getByTestId("new-password-input").classList.contains("is-invalid")).toBe(true)
+
+      fill("a", "Nouveau1")
+      await submit(container)
+      expect(store.changePassword).toHaveBeenCalledTimes(2)
+      expect(screen.getByTestId("change-password-error").textContent).toBe("Erreur 500")
+    })
+  })
+
+  describe("When the server refuses my session", () => {
+    test("Then the ended session should be left to the router, with no error shown", async () => {
+      const { container, onNavigate } = setUp(jest.fn().mockRejectedValue(new AuthError("Authentification requise.", { status: 401, code: "session_expired" })))
+      fill("a", "Nouveau1")
+
+      await submit(container)
+
+      expect(onNavigate).not.toHaveBeenCalled()
+      expect(screen.getByTestId("change-password-error").hidden).toBe(true)
+    })
+  })
+
+  describe("When the server refuses the change to my account", () => {
+    test("Then its message should be shown and I should stay logged in", async () => {
+      const { container, onNavigate } = setUp(jest.fn().mockRejectedValue(new AuthError("Action non autorisée.", { status: 403 })))
+      fill("a", "Nouveau1")
+
+      await submit(container)
+
+      expect(onNavigate).not.toHaveBeenCalled()
+      expect(screen.getByTestId("change-password-error").textContent).toBe("Action non autorisée.")
+    })
+  })
+})
@@ -0,0 +1,56 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { fireEvent, screen } from "@testing-library/dom"
+import ConfirmEmailUI from "../views/ConfirmEmailUI.js"
+import ConfirmEmail, { CONFIRMED_MESSAGE, INVALID_LINK_MESSAGE } from "../containers/ConfirmEmail.js"
+import { ROUTES_PATH } from "../constants/routes.js"
+import { ApiError } from "../app/errors.js"
+
+const open = (token, confirmEmail = jest.fn()) => {
+  document.body.innerHTML = ConfirmEmailUI()
+  const onNavigate = jest.fn()
+  const store = { confirmEmail }
+  const container = new ConfirmEmail({ document, onNavigate, store, token })
+  return { container, onNavigate, store }
+}
+
+describe("Given I opened the link of my confirmation email", () => {
+  describe("When the server accepts the token", () => {
+    test("Then I should be told my account is active and offered to log in", async () => {
+      const { container, store, onNavigate } = open("abc", jest.fn().mockResolvedValue({ confirmed: true }))
+      expect(screen.getByTestId("link-login").hidden).toBe(true)
+
+      await container.confirmation
+
+      expect(store.confirmEmail).toHaveBeenCalledWith("abc")
+      expect(screen.getByTestId("confirm-email-message").textContent).toBe(CONFIRMED_MESSAGE)
+      fireEvent.click(screen.getByTestId("link-login"))
+      expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.Login)
+    })
+  })
+
+  describe("When the token has expired", () => {
+    test("Then the message of the server should be shown", async () => {
+      const { container } = open("abc", jest.fn().mockRejectedValue(new ApiError("Ce lien de confirmation a expiré.", { status: 410 })))
+
+      await container.confirmation
+
+      const message = screen.getByTestId("confirm-email-message")
+      expect(message.textContent).toBe("Ce lien de confirmation a expiré.")
+      expect(message.classList.contains("text-danger")).toBe(true)
+    })
+  })
+
+  describe("When the link has no token", () => {
+    test("Then it should be reported as invalid without calling the server", async () => {
+      const { container, store } = open(undefined)
+
+      await container.confirmation
+
+      expect(store.confirmEmail).not.toHaveBeenCalled()
+      expect(screen.getByTestId("confirm-email-message").textContent).toBe(INVALID_LINK_MESSAGE)
+    })
+  })
+})
@@ -6,12 +6,14 @@ import {fireEvent, screen, waitFor} from "@testing-library/dom"
 import userEvent from '@testing-library/user-event'
 import DashboardFormUI from "../views/DashboardFormUI.js"
 import DashboardUI from "../views/DashboardUI.js"
-import Dashboard, { filteredBills, cards } from "../containers/Dashboard.js"
+import Dashboard, { LINKED_BILL_NOT_FOUND_MESSAGE, filteredBills, cards } from "../containers/Dashboard.js"
 import { ROUTES, ROUTES_PATH } from "../constants/routes"
 import { localStorageMock } from "../__mocks__/localStorage.js"
+import { tokenFor } from "../__mocks__/jwt.js"
 import mockStore from "../__mocks__/store"
 import { bills } from "../fixtures/bills"
 import router from "../app/Router"
+import { AuthError, NotFoundError } from "../app/errors.js"
 
 jest.mock("../app/Store.js", () => mockStore)
 
@@ -245,6 +247,7 @@ describe("Given I am a user connected as Admin", () => {
   describe("When I navigate to Dashboard", () => {
     test("fetches bills from mock API GET", async () => {
       localStorage.setItem("user", JSON.stringify({ type: "Admin", email: "a@a" }));
+      localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Admin" }));
       const root = document.createElement("div")
       root.setAttribute("id", "root")
       document.body.append(root)
@@ -269,6 +272,7 @@ describe("Given I am a user connected as Admin", () => {
         type: 'Admin',
         email: "a@a"
       }))
+      window.localStorage.setItem('jwt', tokenFor({ email: "a@a", type: "Admin" }))
       const root = document.createElement("div")
       root.setAttribute("id", "root")
       document.body.appendChild(root)
@@ -302,8 +306,137 @@ describe("Given I am a user connected as Admin", () => {
       const message = await screen.getByText(/Erreur 500/)
       expect(message).toBeTruthy()
     })
+
+    test("fetches bills from an API and is sent back to Login on 401", async () => {
+
+      mockStore.bills.mockImplementationOnce(() => {
+        return {
+          list : () =>  {
+            return Promise.reject(new AuthError("Non autorisé", { status: 401 }))
+          }
+        }})
+
+      window.onNavigate(ROUTES_PATH.Dashboard)
+      await new Promise(process.nextTick);
+      expect(screen.getAllByText("Administration")).toBeTruthy()
+      expect(screen.queryByTestId("error-message")).toBeNull()
+    })
+
+    test("fetches bills from an API and shows the forbidden page on 403", async () => {
+
+      mockStore.bills.mockImplementationOnce(() => {
+        return {
+          list : () =>  {
+            return Promise.reject(new AuthError("Accès réservé aux administrateurs.", { status: 403 }))
+          }
+        }})
+
+      window.onNavigate(ROUTES_PATH.Dashboard)
+      await new Promise(process.nextTick);
+      expect(screen.getByText("Accès refusé")).toBeTruthy()
+      expect(screen.getByTestId("btn-home")).toBeTruthy()
+      expect(window.location.hash).toBe(ROUTES_PATH.Dashboard)
+    })
   })
 
   })
 })
 
+
+describe("Given I am connected as Admin and I open a link to a bill", () => {
+  beforeEach(() => {
+    Object.defineProperty(window, 'localStorage', { value: localStorageMock })
+    window.localStorage.setItem('user', JSON.stringify({ type: 'Admin' }))
+    window.history.replaceState(null, '', '/')
+  })
+
+  describe("When the dashboard is rendered for #admin/dashboard/bill/:id", () => {
+    test("Then the section of the bill should be open and its form shown", () => {
+      document.body.innerHTML = DashboardUI({ data: { bills } })
+      new Dashboard({
+        document, onNavigate: jest.fn(), store: null, bills, localStorage: window.localStorage,
+        params: { id: 'qcCK3SzECmaZAGRrHjaC' }, query: {}
+      })
+
+      expect(screen.getByTestId('open-billqcCK3SzECmaZAGRrHjaC')).toBeTruthy()
+      expect(screen.getByTestId('dashboard-form')).toBeTruthy()
+      expect(window.location.hash).toBe('#admin/dashboard/bill/qcCK3SzECmaZAGRrHjaC?status=refused')
+    })
+  })
+
+  describe("When the linked bill is not on the first page of the dashboard", () => {
+    const page = { items: bills.filter(bill => bill.id !== 'qcCK3SzECmaZAGRrHjaC'), total: 21, page: 1, pageSize: 20 }
+    const outOfPage = bills.find(bill => bill.id === 'qcCK3SzECmaZAGRrHjaC')
+
+    beforeEach(() => {
+      window.localStorage.setItem('jwt', tokenFor({ email: "a@a", type: "Admin" }))
+      document.body.innerHTML = `<div id="root"></div>`
+      router()
+    })
+    afterEach(() => {
+      mockStore.bills.mockRestore()
+    })
+
+    test("Then it should be read on its own and opened", async () => {
+      const select = jest.fn().mockResolvedValue(outOfPage)
+      jest.spyOn(mockStore, "bills").mockImplementation(() => ({ list: jest.fn().mockResolvedValue(page), select }))
+
+      window.onNavigate('#admin/dashboard/bill/qcCK3SzECmaZAGRrHjaC')
+
+      await waitFor(() => screen.getByTestId('dashboard-form'))
+      expect(select).toHaveBeenCalledWith(expect.objectContaining({ selector: 'qcCK3SzECmaZAGRrHjaC' }))
+      expect(screen.getByTestId('open-billqcCK3SzECmaZAGRrHjaC')).toBeTruthy()
+      expect(window.location.hash).toBe('#admin/dashboard/bill/qcCK3SzECmaZAGRrHjaC?status=refused')
+    })
+
+    test("Then a message should tell me when it does not exist", async () => {
+      const select = jest.fn().mockRejectedValue(new NotFoundError("Note de frais introuvable.", { status: 404 }))
+      jest.spyOn(mockStore, "bills").mockImplementation(() => ({ list: jest.fn().mockResolvedValue(page), select }))
+
+      window.onNavigate('#admin/dashboard/bill/unknown')
+
+      await waitFor(() => screen.getByTestId('linked-bill-not-found'))
+      expect(screen.getByTestId('linked-bill-not-found').textContent).toBe(LINKED_BILL_NOT_FOUND_MESSAGE)
+      expect(screen.queryByTestId('dashboard-form')).toBeNull()
+    })
+  })
+
+  describe("When I open then close a bill from the list", () => {
+    test("Then the address bar should follow it", () => {
+      document.body.innerHTML = DashboardUI({ data: { bills } })
+      const dashboard = new Dashboard({ document, onNavigate: jest.fn(), store: null, bills, localStorage: window.localStorage, query: { page: 2 } })
+      dashboard.handleShowTickets(null, bills, 1)
+
+      userEvent.click(screen.getByTestId('open-bill47qAXb6fIm2zOKkLzMro'))
+      expect(window.location.hash).toBe('#admin/dashboard/bill/47qAXb6fIm2zOKkLzMro?page=2&status=pending')
+      userEvent.click(screen.getByTestId('open-bill47qAXb6fIm2zOKkLzMro'))
+      expect(window.location.hash).toBe('#admin/dashboard?page=2')
+    })
+  })
+
+  describe("When I open a pending bill for the first time", () => {
+    test("Then the server should be told it has been reviewed, but not for a bill already decided", () => {
+      document.body.innerHTML = DashboardUI({ data: { bills } })
+      const store = { reviewBill: jest.fn().mockResolvedValue({}) }
+      const dashboard = new Dashboard({ document, onNavigate: jest.fn(), store, bills, localStorage: window.localStorage })
+      dashboard.handleShowTickets(null, bills, 1)
+      dashboard.handleShowTickets(null, bills, 2)
+
+      userEvent.click(screen.getByTestId('open-bill47qAXb6fIm2zOKkLzMro'))
+      userEvent.click(screen.getByTestId('open-billUIUZtnPQvnbFnB0ozvJh'))
+
+      expect(store.reviewBill.mock.calls).toEqual([['47qAXb6fIm2zOKkLzMro']])
+    })
+  })
+
+  describe("When the bills are fetched for a dashboard link with a status", () => {
+    test("Then the status should not filter the list sent by the API", async () => {
+      const list = jest.fn().mockResolvedValue(bills)
+      const dashboard = new Dashboard({ document, onNavigate: jest.fn(), store: { bills: () => ({ list }) }, bills: [], localStorage: window.localStorage })
+
+      await dashboard.getBillsAllUsers({ query: { status: 'pending', page: 1 } })
+
+      expect(list.mock.calls[0][0].query).toEqual({ pageSize: 20, page: 1 })
+    })
+  })
+})
@@ -22,4 +22,21 @@ describe('Given I am connected on app (as an Employee or an HR admin)', () => {
       expect(screen.getAllByText(error)).toBeTruthy()
     })
   })
+  describe('When ErrorPage is called with a retryable error', () => {
+    test(('Then, it should render its message and a retry button'), () => {
+      const error = { message: 'Le serveur met trop de temps à répondre.', retryable: true }
+      const html = ErrorPage(error)
+      document.body.innerHTML = html
+      expect(screen.getByText(error.message)).toBeTruthy()
+      expect(screen.getByTestId('btn-retry')).toBeTruthy()
+    })
+  })
+  describe('When ErrorPage is called with a non retryable error', () => {
+    test(('Then, it should not render a retry button'), () => {
+      const html = ErrorPage(new Error('Erreur 404'))
+      document.body.innerHTML = html
+      expect(screen.getByText('Erreur 404')).toBeTruthy()
+      expect(screen.queryByTestId('btn-retry')).toBeNull()
+    })
+  })
 })
@@ -0,0 +1,63 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { fireEvent, screen } from "@testing-library/dom"
+import ForgotPasswordUI from "../views/ForgotPasswordUI.js"
+import ForgotPassword, { RESET_REQUESTED_MESSAGE } from "../containers/ForgotPassword.js"
+import { ROUTES_PATH } from "../constants/routes.js"
+import { NetworkError } from "../app/errors.js"
+
+const setUp = (requestPasswordReset) => {
+  document.body.innerHTML = ForgotPasswordUI()
+  const onNavigate = jest.fn()
+  const store = { requestPasswordReset }
+  const container = new ForgotPassword({ document, onNavigate, store })
+  return { container, onNavigate, store }
+}
+
+const submit = (container, email = "a@a") => {
+  fireEvent.change(screen.getByTestId("forgot-email-input"), { target: { value: email } })
+  return container.handleSubmit({ preventDefault: jest.fn(), target: screen.getByTestId("form-forgot-password") })
+}
+
+describe("Given I forgot my password", () => {
+  describe("When I ask for a reset link", () => {
+    test("Then the answer of the server should be shown in place of the form", async () => {
+      const { container, store } = setUp(jest.fn().mockResolvedValue({ message: "Lien envoyé." }))
+
+      await submit(container)
+
+      expect(store.requestPasswordReset).toHaveBeenCalledWith("a@a")
+      expect(screen.getByTestId("form-forgot-password").hidden).toBe(true)
+      expect(screen.getByTestId("forgot-password-sent").textContent).toBe("Lien envoyé.")
+    })
+
+    test("Then a default message should be shown when the server sends none", async () => {
+      const { container } = setUp(jest.fn().mockResolvedValue(null))
+      await submit(container)
+      expect(screen.getByTestId("forgot-password-sent").textContent).toBe(RESET_REQUESTED_MESSAGE)
+    })
+  })
+
+  describe("When the server cannot be reached", () => {
+    test("Then the error should be shown and the form kept", async () => {
+      const { container } = setUp(jest.fn().mockRejectedValue(new NetworkError("Impossible de joindre le serveur.")))
+
+      await submit(container)
+
+      expect(screen.getByTestId("forgot-password-error").textContent).toBe("Impossible de joindre le serveur.")
+      expect(screen.getByTestId("forgot-password-error").hidden).toBe(false)
+      expect(screen.getByTestId("form-forgot-password").hidden).toBe(false)
+      expect(screen.getByTestId("forgot-password-button").disabled).toBe(false)
+    })
+  })
+
+  describe("When I click on the back link", () => {
+    test("Then I should be sent to the login page", () => {
+      const { onNavigate } = setUp(jest.fn())
+      fireEvent.click(screen.getByTestId("link-login"))
+      expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.Login)
+    })
+  })
+})
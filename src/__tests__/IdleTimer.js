@@ -0,0 +1,78 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import IdleTimer from "../app/IdleTimer.js"
+
+const MINUTE = 60 * 1000
+
+describe("Given an inactivity timer of 5 minutes", () => {
+  let onWarn
+  let onTimeout
+  let timer
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    onWarn = jest.fn()
+    onTimeout = jest.fn()
+    timer = new IdleTimer({ timeout: 5 * MINUTE, onWarn, onTimeout })
+    timer.start()
+  })
+  afterEach(() => {
+    timer.stop()
+    jest.useRealTimers()
+  })
+
+  describe("When I do nothing", () => {
+    test("Then I should be warned a minute before, then timed out", () => {
+      jest.advanceTimersByTime(4 * MINUTE - 1)
+      expect(onWarn).not.toHaveBeenCalled()
+      jest.advanceTimersByTime(1)
+      expect(onWarn).toHaveBeenCalledWith(MINUTE)
+
+      jest.advanceTimersByTime(MINUTE)
+      expect(onTimeout).toHaveBeenCalledTimes(1)
+      expect(timer.running).toBe(false)
+    })
+  })
+
+  describe("When I keep using the page", () => {
+    test("Then the count should start again from my last activity", () => {
+      jest.advanceTimersByTime(3 * MINUTE)
+      document.dispatchEvent(new Event("keydown"))
+      jest.advanceTimersByTime(3 * MINUTE)
+      expect(onWarn).not.toHaveBeenCalled()
+      jest.advanceTimersByTime(2 * MINUTE)
+      expect(onTimeout).toHaveBeenCalled()
+    })
+  })
+
+  describe("When I move the mouse once I have been warned", () => {
+    test("Then it should not be taken for a choice to stay", () => {
+      jest.advanceTimersByTime(4 * MINUTE)
+      document.dispatchEvent(new Event("mousemove"))
+      jest.advanceTimersByTime(MINUTE)
+      expect(onTimeout).toHaveBeenCalled()
+    })
+  })
+
+  describe("When I choose to stay once warned", () => {
+    test("Then a full timeout should start again", () => {
+      jest.advanceTimersByTime(4 * MINUTE + 30 * 1000)
+      timer.extend()
+      jest.advanceTimersByTime(4 * MINUTE)
+      expect(onTimeout).not.toHaveBeenCalled()
+      expect(onWarn).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe("When the timer is stopped", () => {
+    test("Then nothing should be called and activity ignored", () => {
+      timer.stop()
+      document.dispatchEvent(new Event("keydown"))
+      jest.advanceTimersByTime(10 * MINUTE)
+      expect(onWarn).not.toHaveBeenCalled()
+      expect(onTimeout).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,64 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { screen } from "@testing-library/dom"
+import IdleWarning from "../containers/IdleWarning.js"
+
+describe("Given my session is about to end for inactivity", () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+    document.body.innerHTML = `<div id="root"></div>`
+    $.fn.modal = jest.fn()
+  })
+  afterEach(() => {
+    jest.useRealTimers()
+    delete $.fn.modal
+  })
+
+  describe("When the warning is shown", () => {
+    test("Then a modal should count down the seconds left", () => {
+      const warning = new IdleWarning({ document, onExtend: jest.fn(), onLogout: jest.fn() })
+
+      warning.show(60 * 1000)
+
+      expect($.fn.modal).toHaveBeenCalledWith("show")
+      expect(screen.getByTestId("idle-countdown").textContent).toBe("60")
+      jest.advanceTimersByTime(15 * 1000)
+      expect(screen.getByTestId("idle-countdown").textContent).toBe("45")
+    })
+
+    test("Then a page rendered behind it should not remove it", () => {
+      const warning = new IdleWarning({ document, onExtend: jest.fn(), onLogout: jest.fn() })
+      warning.show(60 * 1000)
+      document.getElementById("root").innerHTML = "<p>autre page</p>"
+      warning.show(60 * 1000)
+      expect(screen.getAllByTestId("modal-idle")).toHaveLength(1)
+    })
+  })
+
+  describe("When I choose to stay connected", () => {
+    test("Then the modal should close and the session be extended", () => {
+      const onExtend = jest.fn()
+      const onLogout = jest.fn()
+      new IdleWarning({ document, onExtend, onLogout }).show(60 * 1000)
+
+      screen.getByTestId("btn-idle-extend").click()
+
+      expect($.fn.modal).toHaveBeenLastCalledWith("hide")
+      expect(onExtend).toHaveBeenCalled()
+      expect(onLogout).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("When I choose to log out", () => {
+    test("Then I should be logged out", () => {
+      const onLogout = jest.fn()
+      new IdleWarning({ document, onExtend: jest.fn(), onLogout }).show(60 * 1000)
+
+      screen.getByTestId("btn-idle-logout").click()
+
+      expect(onLogout).toHaveBeenCalled()
+    })
+  })
+})
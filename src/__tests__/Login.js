@@ -4,8 +4,10 @@
 
 import LoginUI from "../views/LoginUI";
 import Login from "../containers/Login.js";
-import { ROUTES } from "../constants/routes";
-import { fireEvent, screen } from "@testing-library/dom";
+import { fireEvent, screen, waitFor } from "@testing-library/dom";
+import { ROUTES, ROUTES_PATH } from "../constants/routes";
+import { AuthError } from "../app/errors.js";
+import { tokenFor } from "../__mocks__/jwt.js";
 
 describe("Given that I am a user on login page", () => {
   describe("When I do not fill fields and I click on employee button Login In", () => {
@@ -49,7 +51,7 @@ describe("Given that I am a user on login page", () => {
   });
 
   describe("When I do fill fields in correct format and I click on employee button Login In", () => {
-    test("Then I should be identified as an Employee in app", () => {
+    test("Then I should be identified as an Employee in app", async () => {
       document.body.innerHTML = LoginUI();
       const inputData = {
         email: "johndoe@email.com",
@@ -68,14 +70,16 @@ describe("Given that I am a user on login page", () => {
 
       const form = screen.getByTestId("form-employee");
 
-      // localStorage should be populated with form data
+      // the session should be populated with the profile returned by the server
       Object.defineProperty(window, "localStorage", {
         value: {
           getItem: jest.fn(() => null),
           setItem: jest.fn(() => null),
+          removeItem: jest.fn(),
         },
         writable: true,
       });
+      window.sessionStorage.clear();
 
       // we have to mock navigation to test it
       const onNavigate = (pathname) => {
@@ -95,20 +99,20 @@ describe("Given that I am a user on login page", () => {
       });
 
       const handleSubmit = jest.fn(login.handleSubmitEmployee);
-      login.login = jest.fn().mockResolvedValue({});
+      const jwt = tokenFor({ email: inputData.email, type: "Employee" });
+      login.login = jest.fn().mockResolvedValue({ jwt, user: { type: "Employee", email: inputData.email, name: "johndoe" } });
       form.addEventListener("submit", handleSubmit);
       fireEvent.submit(form);
       expect(handleSubmit).toHaveBeenCalled();
-      expect(window.localStorage.setItem).toHaveBeenCalled();
-      expect(window.localStorage.setItem).toHaveBeenCalledWith(
-        "user",
-        JSON.stringify({
-          type: "Employee",
-          email: inputData.email,
-          password: inputData.password,
-          status: "connected",
-        })
-      );
+      expect(login.login).toHaveBeenCalledWith(inputData);
+      // without "rester connecté" the session ends with the tab
+      await waitFor(() => expect(window.sessionStorage.getItem("jwt")).toBe(jwt));
+      expect(JSON.parse(window.sessionStorage.getItem("user"))).toEqual({
+        type: "Employee",
+        email: inputData.email,
+        name: "johndoe",
+      });
+      expect(window.localStorage.setItem).not.toHaveBeenCalled();
     });
 
     test("It should renders Bills page", () => {
@@ -159,7 +163,7 @@ describe("Given that I am a user on login page", () => {
   });
 
   describe("When I do fill fields in correct format and I click on admin button Login In", () => {
-    test("Then I should be identified as an HR admin in app", () => {
+    test("Then I should be identified as an HR admin in app", async () => {
       document.body.innerHTML = LoginUI();
       const inputData = {
         type: "Admin",
@@ -180,14 +184,16 @@ describe("Given that I am a user on login page", () => {
 
       const form = screen.getByTestId("form-admin");
 
-      // localStorage should be populated with form data
+      // the session should be populated with the profile returned by the server
       Object.defineProperty(window, "localStorage", {
         value: {
           getItem: jest.fn(() => null),
           setItem: jest.fn(() => null),
+          removeItem: jest.fn(),
         },
         writable: true,
       });
+      window.sessionStorage.clear();
 
       // we have to mock navigation to test it
       const onNavigate = (pathname) => {
@@ -207,20 +213,23 @@ describe("Given that I am a user on login page", () => {
       });
 
       const handleSubmit = jest.fn(login.handleSubmitAdmin);
-      login.login = jest.fn().mockResolvedValue({});
+      const jwt = tokenFor({ email: inputData.email, type: "Admin" });
+      login.login = jest.fn().mockResolvedValue({ jwt, user: { type: "Admin", email: inputData.email, name: "johndoe" } });
+      fireEvent.click(screen.getByTestId("admin-remember-input"));
       form.addEventListener("submit", handleSubmit);
       fireEvent.submit(form);
       expect(handleSubmit).toHaveBeenCalled();
-      expect(window.localStorage.setItem).toHaveBeenCalled();
+      await waitFor(() => expect(window.localStorage.setItem).toHaveBeenCalled());
+      expect(window.localStorage.setItem).toHaveBeenCalledWith("jwt", jwt);
       expect(window.localStorage.setItem).toHaveBeenCalledWith(
         "user",
         JSON.stringify({
-          type: "Admin",
           email: inputData.email,
-          password: inputData.password,
-          status: "connected",
+          type: "Admin",
+          name: "johndoe",
         })
       );
+      expect(window.localStorage.setItem.mock.calls.flat().join()).not.toContain(inputData.password);
     });
 
     test("It should renders HR dashboard page", () => {
@@ -228,3 +237,124 @@ describe("Given that I am a user on login page", () => {
     });
   });
 });
+
+describe("Given my session expired while I was on a page", () => {
+  describe("When I log in again as an employee", () => {
+    test("Then I should be sent back to that page", async () => {
+      document.body.innerHTML = LoginUI({ error: "Votre session a expiré, veuillez vous reconnecter." });
+      expect(screen.getByTestId("login-error")).toBeTruthy();
+
+      Object.defineProperty(window, "localStorage", {
+        value: {
+          getItem: jest.fn((key) => (key === "returnLocation" ? "#employee/bill/new" : null)),
+          setItem: jest.fn(),
+          removeItem: jest.fn(),
+        },
+        writable: true,
+      });
+      const onNavigate = jest.fn();
+      const login = new Login({
+        document,
+        localStorage: window.localStorage,
+        onNavigate,
+        PREVIOUS_LOCATION: "",
+        store: jest.fn(),
+      });
+      login.login = jest.fn().mockResolvedValue({ jwt: tokenFor({}), user: { type: "Employee", email: "johndoe@email.com" } });
+
+      fireEvent.change(screen.getByTestId("employee-email-input"), { target: { value: "johndoe@email.com" } });
+      fireEvent.change(screen.getByTestId("employee-password-input"), { target: { value: "azerty" } });
+      fireEvent.submit(screen.getByTestId("form-employee"));
+
+      await waitFor(() => expect(onNavigate).toHaveBeenCalledWith("#employee/bill/new"));
+      expect(window.localStorage.removeItem).toHaveBeenCalledWith("returnLocation");
+    });
+  });
+});
+
+
+describe("Given that I am a user on login page", () => {
+  const setUp = (login) => {
+    document.body.innerHTML = LoginUI();
+    Object.defineProperty(window, "localStorage", {
+      value: { getItem: jest.fn(() => null), setItem: jest.fn(), removeItem: jest.fn() },
+      writable: true,
+    });
+    window.sessionStorage.clear();
+    const onNavigate = jest.fn();
+    const container = new Login({ document, localStorage: window.localStorage, onNavigate, PREVIOUS_LOCATION: "", store: jest.fn() });
+    if (login) container.login = login;
+    return { container, onNavigate };
+  };
+  const submit = (form, email, password) => {
+    fireEvent.change(screen.getByTestId(`${form}-email-input`), { target: { value: email } });
+    fireEvent.change(screen.getByTestId(`${form}-password-input`), { target: { value: password } });
+    fireEvent.submit(screen.getByTestId(`form-${form}`));
+  };
+
+  describe("When the server refuses my email or password", () => {
+    test("Then an error should be shown on the form and no account created", async () => {
+      const { container, onNavigate } = setUp(jest.fn().mockRejectedValue(new AuthError("Email ou mot de passe incorrect.", { status: 401 })));
+      container.createUser = jest.fn();
+
+      submit("employee", "johndoe@email.com", "typo");
+
+      await waitFor(() => expect(screen.getByTestId("employee-login-error").hidden).toBe(false));
+      expect(screen.getByTestId("employee-login-error").textContent).toBe("Email ou mot de passe incorrect.");
+      expect(screen.getByTestId("admin-login-error").hidden).toBe(true);
+      expect(screen.getByTestId("employee-login-button").disabled).toBe(false);
+      expect(container.createUser).not.toHaveBeenCalled();
+      expect(window.localStorage.setItem).not.toHaveBeenCalled();
+      expect(onNavigate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("When I log in on the admin form with an employee account", () => {
+    test("Then the role returned by the server should decide where I land", async () => {
+      const { onNavigate } = setUp(jest.fn().mockResolvedValue({ jwt: tokenFor({}), user: { type: "Employee", email: "johndoe@email.com" } }));
+
+      submit("admin", "johndoe@email.com", "azerty");
+
+      await waitFor(() => expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.Bills));
+      expect(JSON.parse(window.sessionStorage.getItem("user")).type).toBe("Employee");
+    });
+  });
+
+  describe("When I click on the sign-up link", () => {
+    test("Then I should be sent to the sign-up page", () => {
+      const { onNavigate } = setUp(jest.fn());
+      fireEvent.click(screen.getByTestId("link-signup"));
+      expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.SignUp);
+    });
+  });
+
+  describe("When I click on a forgotten password link", () => {
+    test("Then I should be sent to the page asking for a reset link, from either form", () => {
+      const { onNavigate } = setUp(jest.fn());
+      fireEvent.click(screen.getByTestId("employee-forgot-password"));
+      fireEvent.click(screen.getByTestId("admin-forgot-password"));
+      expect(onNavigate.mock.calls).toEqual([[ROUTES_PATH.ForgotPassword], [ROUTES_PATH.ForgotPassword]]);
+    });
+  });
+
+  describe("When the store logs me in", () => {
+    test("Then the JWT and the account of the response should be returned", async () => {
+      setUp();
+      const jwt = tokenFor({ email: "johndoe@email.com", type: "Admin" });
+      const store = { login: jest.fn().mockResolvedValue({ jwt, user: { email: "johndoe@email.com", type: "Admin" } }) };
+      const login = new Login({ document, localStorage: window.localStorage, onNavigate: jest.fn(), store }).login;
+
+      await expect(login({ email: "johndoe@email.com", password: "azerty" })).resolves.toEqual({ jwt, user: { email: "johndoe@email.com", type: "Admin" } });
+      expect(store.login).toHaveBeenCalledWith(JSON.stringify({ email: "johndoe@email.com", password: "azerty" }));
+    });
+
+    test("Then the role should be read from the token when the response only has the JWT", async () => {
+      setUp();
+      const jwt = tokenFor({ email: "johndoe@email.com", type: "Employee" });
+      const store = { login: jest.fn().mockResolvedValue({ jwt }) };
+      const login = new Login({ document, localStorage: window.localStorage, onNavigate: jest.fn(), store }).login;
+
+      await expect(login({ email: "johndoe@email.com", password: "azerty" })).resolves.toMatchObject({ user: { type: "Employee" } });
+    });
+  });
+});
@@ -44,6 +44,7 @@ describe('Given I am connected', () => {
       disco.addEventListener('click', handleClick)
       userEvent.click(disco)
       expect(handleClick).toHaveBeenCalled()
+      expect(window.localStorage.getItem('user')).toBeUndefined()
       expect(screen.getByText('Administration')).toBeTruthy()
     })
   })
@@ -6,12 +6,16 @@ import { screen, waitFor, fireEvent } from "@testing-library/dom";
 import userEvent from "@testing-library/user-event";
 
 import NewBillUI from "../views/NewBillUI.js";
-import NewBill from "../containers/NewBill.js";
+import NewBill, { AUTOSAVE_DELAY, AUTOSAVED_MESSAGE, NOT_EDITABLE_MESSAGE, UPLOAD_TIMEOUT_MESSAGE, getEditableBill } from "../containers/NewBill.js";
+import { LOCAL_DRAFT_KEY, readLocalDraft, saveLocalDraft } from "../app/drafts.js";
 import router from "../app/Router.js";
 import mockStore from "../__mocks__/store";
 import { bills as billsFixture } from "../fixtures/bills.js";
 import { localStorageMock } from "../__mocks__/localStorage.js";
+import { tokenFor } from "../__mocks__/jwt.js"
 import { ROUTES_PATH } from "../constants/routes.js";
+import { ApiError, AuthError, NetworkError, ServerError, ValidationError } from "../app/errors.js";
+import Outbox, { MemoryStorage, isLocalId } from "../app/Outbox.js";
 
 // ✅ Mock ESM par défaut, sans dépendre d'une variable hoistée
 jest.mock("../app/Store.js", () => ({
@@ -201,6 +205,7 @@ test("Then it POSTs the bill (create+update) and navigates to Bills", async () =
   // Arrange: localStorage + root + router
   Object.defineProperty(window, "localStorage", { value: localStorageMock })
   window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+  window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
   Object.defineProperty(global, "localStorage", { value: window.localStorage }) // cohérent avec le container
 
   const root = document.createElement("div")
@@ -230,6 +235,8 @@ test("Then it POSTs the bill (create+update) and navigates to Bills", async () =
   const fileInput = screen.getByTestId("file")
   const file = new File(["dummy"], "note.png", { type: "image/png" })
   await userEvent.upload(fileInput, file)
+  // le bouton Envoyer reste désactivé tant que l'envoi du justificatif n'est pas terminé
+  await waitFor(() => expect(document.getElementById("btn-send-bill").disabled).toBe(false))
 
   // Renseigner les champs
   screen.getByTestId("expense-type").value = "Transports"
@@ -272,3 +279,404 @@ test("Then it POSTs the bill (create+update) and navigates to Bills", async () =
 
   billsSpy.mockRestore()
 })
+
+describe("Given I am connected as an employee and the upload fails", () => {
+  beforeEach(() => {
+    setupEmployee();
+    document.body.innerHTML = `<div id="root">${NewBillUI()}</div>`;
+  });
+
+  const uploadWith = async (error) => {
+    const create = jest.fn().mockRejectedValue(error);
+    const store = { bills: () => ({ create, update: jest.fn() }) };
+    const onNavigate = jest.fn();
+    new NewBill({ document, onNavigate, store, localStorage: window.localStorage });
+    const file = new File(["dummy"], "note.png", { type: "image/png" });
+    await userEvent.upload(screen.getByTestId("file"), file);
+    await new Promise(process.nextTick);
+    return onNavigate;
+  };
+
+  describe("When the API answers 401", () => {
+    test("Then the ended session should be left to the router, with no error shown", async () => {
+      const onNavigate = await uploadWith(new AuthError("Non autorisé", { status: 401, code: "session_expired" }));
+      expect(onNavigate).not.toHaveBeenCalled();
+      expect(screen.queryByTestId("error-message")).toBeNull();
+    });
+  });
+
+  describe("When the API answers 403", () => {
+    test("Then its message should be shown without logging me out", async () => {
+      const onNavigate = await uploadWith(new AuthError("Accès refusé", { status: 403 }));
+      expect(onNavigate).not.toHaveBeenCalled();
+      expect(screen.getByTestId("error-message").textContent).toMatch(/Accès refusé/);
+    });
+  });
+
+  describe("When the API answers 422 with field errors", () => {
+    test("Then the errors should be shown next to the fields", async () => {
+      await uploadWith(new ValidationError("Invalide", { status: 422, fields: { file: "Fichier trop volumineux" } }));
+      expect(screen.getByTestId("file").classList.contains("is-invalid")).toBe(true);
+      expect(screen.getByTestId("file-error").textContent).toBe("Fichier trop volumineux");
+    });
+  });
+
+  describe("When the API answers 500", () => {
+    test("Then the error page should be rendered", async () => {
+      await uploadWith(new ServerError("Erreur 500", { status: 500 }));
+      expect(screen.getByTestId("error-message").textContent).toMatch(/Erreur 500/);
+    });
+  });
+});
+
+describe("Given I am connected as an employee and the network is down", () => {
+  beforeEach(() => {
+    setupEmployee();
+    render();
+  });
+
+  describe("When I choose a file and submit the form", () => {
+    test("Then the bill should be queued in the outbox and I should be sent to Bills", async () => {
+      const create = jest.fn().mockRejectedValue(new NetworkError("offline"));
+      const update = jest.fn();
+      const outbox = new Outbox({ bills: () => ({ create, update }), storage: new MemoryStorage() });
+      const store = { bills: () => ({ create, update }), outbox };
+      const onNavigate = jest.fn();
+      const container = new NewBill({ document, onNavigate, store, localStorage: window.localStorage });
+
+      await userEvent.upload(screen.getByTestId("file"), new File(["dummy"], "note.png", { type: "image/png" }));
+      await waitFor(() => expect(isLocalId(container.billId)).toBe(true));
+
+      screen.getByTestId("expense-name").value = "Taxi";
+      screen.getByTestId("amount").value = "42";
+      screen.getByTestId("datepicker").value = "2023-01-02";
+      fireEvent.submit(screen.getByTestId("form-new-bill"));
+
+      await waitFor(() => expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.Bills));
+      expect(update).not.toHaveBeenCalled();
+      const [pending] = await outbox.pendingBills("a@a");
+      expect(pending).toMatchObject({ id: container.billId, name: "Taxi", outbox: "pending" });
+    });
+  });
+});
+
+describe("Given I am connected as an employee on a slow connection", () => {
+  beforeEach(() => {
+    setupEmployee();
+    render();
+  });
+
+  describe("When the upload of my justificatif stops making progress", () => {
+    test("Then I should be asked to choose it again rather than have the bill queued", async () => {
+      const create = jest.fn().mockRejectedValue(new NetworkError("trop long", { code: "timeout" }));
+      const outbox = new Outbox({ bills: () => ({ create }), storage: new MemoryStorage() });
+      const container = new NewBill({ document, onNavigate: jest.fn(), store: { bills: () => ({ create }), outbox }, localStorage: window.localStorage });
+
+      await userEvent.upload(screen.getByTestId("file"), new File(["dummy"], "note.png", { type: "image/png" }));
+
+      await waitFor(() => screen.getByTestId("file-error"));
+      expect(screen.getByTestId("file-error").textContent).toBe(UPLOAD_TIMEOUT_MESSAGE);
+      expect(container.billId).toBeFalsy();
+      await expect(outbox.pendingBills("a@a")).resolves.toEqual([]);
+    });
+  });
+});
+
+describe("Given I am connected as an employee and my justificatif is uploading", () => {
+  beforeEach(() => {
+    setupEmployee();
+    render();
+  });
+
+  const startUpload = async () => {
+    let finish;
+    const create = jest.fn(({ onProgress, signal }) => {
+      onProgress({ loaded: 40, total: 100, percent: 40 });
+      return new Promise((resolve, reject) => {
+        finish = resolve;
+        signal.addEventListener("abort", () => reject(new ApiError("annulé", { code: "aborted" })));
+      });
+    });
+    const store = { bills: () => ({ create, update: jest.fn().mockResolvedValue({}) }) };
+    const container = new NewBill({ document, onNavigate: jest.fn(), store, localStorage: window.localStorage });
+    await userEvent.upload(screen.getByTestId("file"), new File(["dummy"], "note.png", { type: "image/png" }));
+    return { create, container, finish: (value) => finish(value) };
+  };
+
+  describe("When the upload is in progress", () => {
+    test("Then the progress bar should show it and the submit button should be disabled", async () => {
+      const { container, finish } = await startUpload();
+      expect(screen.getByTestId("upload-status").hidden).toBe(false);
+      expect(document.querySelector(".progress-bar").style.width).toBe("40%");
+      expect(document.getElementById("btn-send-bill").disabled).toBe(true);
+
+      finish({ fileUrl: "https://cdn/test.png", key: "abc123" });
+      await waitFor(() => expect(document.getElementById("btn-send-bill").disabled).toBe(false));
+      expect(screen.getByTestId("upload-status").hidden).toBe(true);
+      expect(container.fileUrl).toBe("https://cdn/test.png");
+    });
+  });
+
+  describe("When I click on the cancel button", () => {
+    test("Then the upload should be aborted and the form usable again", async () => {
+      const { create } = await startUpload();
+      const { signal } = create.mock.calls[0][0];
+      fireEvent.click(screen.getByTestId("btn-cancel-upload"));
+      expect(signal.aborted).toBe(true);
+      await waitFor(() => expect(document.getElementById("btn-send-bill").disabled).toBe(false));
+      expect(screen.getByTestId("upload-status").hidden).toBe(true);
+      expect(screen.queryByTestId("error-message")).toBeNull();
+    });
+  });
+
+  describe("When I submit the form before the upload has finished", () => {
+    test("Then the bill should not be sent", async () => {
+      const { container } = await startUpload();
+      const updateBill = jest.spyOn(container, "updateBill");
+      fireEvent.submit(screen.getByTestId("form-new-bill"));
+      expect(updateBill).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe("Given I am connected as an employee and correct a refused bill", () => {
+  const refused = billsFixture.find(bill => bill.id === "BeKy5Mo4jkmdfPGYpTxZ");
+
+  beforeEach(() => {
+    setupEmployee();
+    document.body.innerHTML = `<div id="root">${NewBillUI({ bill: refused })}</div>`;
+  });
+
+  describe("When the form is opened", () => {
+    test("Then it should be filled with the bill, its justificatif and the reason of the refusal", () => {
+      expect(screen.getByTestId("refusal-comment").textContent).toMatch(/en fait non/);
+      expect(screen.getByTestId("expense-type").value).toBe("Transports");
+      expect(screen.getByTestId("expense-name").value).toBe("test1");
+      expect(screen.getByTestId("amount").value).toBe("100");
+      expect(screen.getByTestId("datepicker").value).toBe("2001-01-01");
+      expect(screen.getByTestId("commentary").value).toBe("plop");
+      expect(screen.getByTestId("current-file").textContent).toBe("1592770761.jpeg");
+      expect(screen.getByTestId("file").required).toBe(false);
+      expect(document.getElementById("btn-send-bill").textContent).toBe("Renvoyer");
+    });
+
+    test("Then the reason of the refusal and the file name should be shown as typed, never as markup", () => {
+      document.body.innerHTML = NewBillUI({ bill: { ...refused, commentAdmin: "<img src=x onerror=alert(1)>", fileName: "<b>note</b>.png" } });
+      expect(screen.getByTestId("refusal-comment").textContent).toMatch("<img src=x onerror=alert(1)>");
+      expect(screen.getByTestId("refusal-comment").querySelector("img")).toBeNull();
+      expect(screen.getByTestId("current-file").textContent).toBe("<b>note</b>.png");
+    });
+  });
+
+  describe("When I change a field and send it again", () => {
+    test("Then the same bill should be sent back as pending, with its justificatif", async () => {
+      const update = jest.fn().mockResolvedValue({});
+      const create = jest.fn();
+      const store = { bills: () => ({ create, update }) };
+      const onNavigate = jest.fn();
+      new NewBill({ document, onNavigate, store, localStorage: window.localStorage, bill: refused });
+
+      screen.getByTestId("amount").value = "120";
+      fireEvent.submit(screen.getByTestId("form-new-bill"));
+
+      await waitFor(() => expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.Bills));
+      expect(create).not.toHaveBeenCalled();
+      const { selector, data } = update.mock.calls[0][0];
+      expect(selector).toBe(refused.id);
+      expect(JSON.parse(data)).toMatchObject({ amount: 120, name: "test1", status: "pending", fileUrl: refused.fileUrl, fileName: refused.fileName });
+    });
+  });
+
+  describe("When I replace the justificatif", () => {
+    test("Then the new file should be attached to the bill instead of creating another one", async () => {
+      const replaceBillFile = jest.fn().mockResolvedValue({ fileUrl: "https://cdn/new.png", fileName: "new.png" });
+      const create = jest.fn();
+      const store = { bills: () => ({ create, update: jest.fn() }), replaceBillFile };
+      const container = new NewBill({ document, onNavigate: jest.fn(), store, localStorage: window.localStorage, bill: refused });
+
+      await userEvent.upload(screen.getByTestId("file"), new File(["dummy"], "new.png", { type: "image/png" }));
+
+      await waitFor(() => expect(container.fileUrl).toBe("https://cdn/new.png"));
+      expect(replaceBillFile.mock.calls[0][0].bid).toBe(refused.id);
+      expect(create).not.toHaveBeenCalled();
+      expect(container.billId).toBe(refused.id);
+    });
+
+    test("Then without a connection the current justificatif should be kept, with a message", async () => {
+      const replaceBillFile = jest.fn().mockRejectedValue(new NetworkError("offline"));
+      const store = { bills: () => ({ create: jest.fn(), update: jest.fn() }), replaceBillFile };
+      const container = new NewBill({ document, onNavigate: jest.fn(), store, localStorage: window.localStorage, bill: refused });
+
+      await userEvent.upload(screen.getByTestId("file"), new File(["dummy"], "new.png", { type: "image/png" }));
+
+      await waitFor(() => screen.getByTestId("file-error"));
+      expect(screen.getByTestId("file-error").textContent).toBe("Le justificatif ne peut pas être remplacé sans connexion.");
+      expect(container.fileUrl).toBe(refused.fileUrl);
+    });
+  });
+});
+
+describe("Given I am connected as an employee and open the correction of a bill", () => {
+  beforeEach(() => {
+    setupEmployee();
+    window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }));
+    document.body.innerHTML = `<div id="root"></div>`;
+    router();
+  });
+
+  describe("When the bill has been refused", () => {
+    test("Then the form should be filled with it", async () => {
+      window.onNavigate("#employee/bill/BeKy5Mo4jkmdfPGYpTxZ/edit");
+      await waitFor(() => screen.getByTestId("form-new-bill"));
+      expect(screen.getByTestId("expense-name").value).toBe("test1");
+      expect(screen.getByTestId("icon-mail").classList.contains("active-icon")).toBe(true);
+    });
+  });
+
+  describe("When the server refuses my request with a 401", () => {
+    test("Then I should be sent to the login page and brought back to the bill once logged in", async () => {
+      const bills = jest.spyOn(mockStore, "bills").mockImplementation(() => ({
+        select: jest.fn().mockRejectedValue(new AuthError("Authentification requise.", { status: 401 }))
+      }));
+
+      window.onNavigate("#employee/bill/BeKy5Mo4jkmdfPGYpTxZ/edit");
+      await waitFor(() => screen.getByTestId("form-employee"));
+      bills.mockRestore();
+
+      expect(window.localStorage.getItem("returnLocation")).toBe(JSON.stringify("#employee/bill/BeKy5Mo4jkmdfPGYpTxZ/edit"));
+    });
+  });
+
+  describe("When the bill has not been refused", () => {
+    test("Then an error page should point to the page of the bill", async () => {
+      window.onNavigate("#employee/bill/UIUZtnPQvnbFnB0ozvJh/edit");
+      await waitFor(() => screen.getByTestId("error-message"));
+      expect(screen.getByTestId("error-message").textContent.trim()).toBe("Seuls les brouillons et les notes de frais refusées peuvent être modifiés et envoyés.");
+
+      await userEvent.click(screen.getByTestId("btn-home"));
+      expect(window.location.hash).toBe("#employee/bill/UIUZtnPQvnbFnB0ozvJh");
+    });
+  });
+});
+
+describe("Given I am connected as an employee and leave a new bill unfinished", () => {
+  beforeEach(() => {
+    setupEmployee();
+    window.localStorage.removeItem(LOCAL_DRAFT_KEY);
+    render();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe("When I type before choosing a justificatif", () => {
+    test("Then the fields should be kept in this browser once I stop typing", () => {
+      jest.useFakeTimers();
+      new NewBill({ document, onNavigate: jest.fn(), store: null, localStorage: window.localStorage });
+      screen.getByTestId("expense-name").value = "Taxi";
+      fireEvent.input(screen.getByTestId("expense-name"));
+      expect(readLocalDraft("a@a")).toBeNull();
+
+      jest.advanceTimersByTime(AUTOSAVE_DELAY);
+      expect(readLocalDraft("a@a")).toMatchObject({ name: "Taxi" });
+      expect(readLocalDraft("b@b")).toBeNull();
+    });
+
+    test("Then they should fill in the form when I come back, unless I start over", () => {
+      saveLocalDraft("a@a", { type: "Transports", name: "Taxi", amount: 42, commentary: "Trajet client" });
+      document.body.innerHTML = NewBillUI({ draft: readLocalDraft("a@a") });
+      new NewBill({ document, onNavigate: jest.fn(), store: null, localStorage: window.localStorage });
+      expect(screen.getByTestId("local-draft-notice")).toBeTruthy();
+      expect(screen.getByTestId("expense-type").value).toBe("Transports");
+      expect(screen.getByTestId("expense-name").value).toBe("Taxi");
+      expect(screen.getByTestId("amount").value).toBe("42");
+      expect(screen.getByTestId("commentary").value).toBe("Trajet client");
+
+      fireEvent.click(screen.getByTestId("btn-discard-local-draft"));
+      expect(screen.getByTestId("expense-name").value).toBe("");
+      expect(screen.getByTestId("commentary").value).toBe("");
+      expect(screen.queryByTestId("local-draft-notice")).toBeNull();
+      expect(readLocalDraft("a@a")).toBeNull();
+    });
+  });
+
+  describe("When my justificatif has been uploaded", () => {
+    test("Then the fields should be saved on the draft bill instead", async () => {
+      saveLocalDraft("a@a", { name: "Taxi" });
+      const create = jest.fn().mockResolvedValue({ fileUrl: "https://cdn/test.png", key: "123" });
+      const update = jest.fn().mockResolvedValue({});
+      const store = { bills: () => ({ create, update }) };
+      const container = new NewBill({ document, onNavigate: jest.fn(), store, localStorage: window.localStorage });
+      await userEvent.upload(screen.getByTestId("file"), new File(["dummy"], "note.png", { type: "image/png" }));
+      await waitFor(() => expect(container.billId).toBe("123"));
+
+      screen.getByTestId("expense-name").value = "Taxi";
+      await container.autosave();
+
+      const { selector, data } = update.mock.calls[0][0];
+      expect(selector).toBe("123");
+      expect(JSON.parse(data)).toMatchObject({ name: "Taxi", status: "draft", fileUrl: "https://cdn/test.png" });
+      expect(readLocalDraft("a@a")).toBeNull();
+      expect(screen.getByTestId("autosave-status").textContent).toBe(AUTOSAVED_MESSAGE);
+    });
+  });
+
+  describe("When I resume a draft and click on Enregistrer le brouillon", () => {
+    test("Then it should be saved as a draft and I should be sent to Bills", async () => {
+      const draft = { id: "d1", status: "draft", name: "Taxi", fileUrl: "https://cdn/d1.png", fileName: "d1.png" };
+      document.body.innerHTML = NewBillUI({ bill: draft });
+      expect(screen.getByText("Reprendre un brouillon")).toBeTruthy();
+      expect(screen.queryByTestId("refusal-comment")).toBeNull();
+      expect(document.getElementById("btn-send-bill").textContent).toBe("Envoyer");
+
+      const update = jest.fn().mockResolvedValue({});
+      const onNavigate = jest.fn();
+      new NewBill({ document, onNavigate, store: { bills: () => ({ update }) }, localStorage: window.localStorage, bill: draft });
+      screen.getByTestId("amount").value = "12";
+      fireEvent.click(screen.getByTestId("btn-save-draft"));
+
+      await waitFor(() => expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.Bills));
+      const { selector, data } = update.mock.calls[0][0];
+      expect(selector).toBe("d1");
+      expect(JSON.parse(data)).toMatchObject({ name: "Taxi", amount: 12, status: "draft", fileUrl: draft.fileUrl });
+    });
+  });
+
+  describe("When I send the bill", () => {
+    test("Then the draft kept in this browser should be cleared", async () => {
+      saveLocalDraft("a@a", { name: "Taxi" });
+      const onNavigate = jest.fn();
+      new NewBill({ document, onNavigate, store: null, localStorage: window.localStorage });
+      fireEvent.submit(screen.getByTestId("form-new-bill"));
+      await waitFor(() => expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.Bills));
+      expect(readLocalDraft("a@a")).toBeNull();
+    });
+  });
+
+  describe("When I correct a refused bill", () => {
+    test("Then nothing should be saved as a draft", () => {
+      jest.useFakeTimers();
+      const refused = billsFixture.find(bill => bill.status === "refused");
+      document.body.innerHTML = NewBillUI({ bill: refused });
+      const update = jest.fn().mockResolvedValue({});
+      new NewBill({ document, onNavigate: jest.fn(), store: { bills: () => ({ update }) }, localStorage: window.localStorage, bill: refused });
+      expect(screen.queryByTestId("btn-save-draft")).toBeNull();
+
+      fireEvent.input(screen.getByTestId("expense-name"));
+      jest.advanceTimersByTime(AUTOSAVE_DELAY);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("When I open a bill to edit it", () => {
+    test("Then a draft should be opened but not a bill already sent", async () => {
+      const select = jest.fn()
+        .mockResolvedValueOnce({ id: "d1", status: "draft" })
+        .mockResolvedValueOnce({ id: "p1", status: "pending" });
+      const store = { bills: () => ({ select }) };
+      await expect(getEditableBill(store, "d1")).resolves.toMatchObject({ id: "d1" });
+      await expect(getEditableBill(store, "p1")).rejects.toThrow(NOT_EDITABLE_MESSAGE);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import Outbox, { MemoryStorage, isLocalId } from "../app/Outbox.js"
+import { NetworkError, NotFoundError } from "../app/errors.js"
+
+const bill = { email: "a@a", type: "Transports", name: "Taxi", date: "2023-01-02", amount: 42, status: "pending", fileUrl: null }
+const file = new File(["dummy"], "note.png", { type: "image/png" })
+
+const outboxWith = (bills) => new Outbox({ bills: () => bills, storage: new MemoryStorage() })
+
+describe("Given I submitted a bill while offline", () => {
+  test("Then it should be listed as waiting with a local id", async () => {
+    const outbox = outboxWith({})
+    const billId = await outbox.queueUpload({ file, fileName: "note.png", email: "a@a" })
+    await outbox.queueUpdate({ billId, bill })
+
+    expect(isLocalId(billId)).toBe(true)
+    const pending = await outbox.pendingBills("a@a")
+    expect(pending).toHaveLength(1)
+    expect(pending[0]).toMatchObject({ id: billId, name: "Taxi", outbox: "pending" })
+    expect(await outbox.pendingBills("other@a")).toHaveLength(0)
+  })
+
+  describe("When the connection is back", () => {
+    test("Then the upload and the update should be replayed in order", async () => {
+      const create = jest.fn().mockResolvedValue({ key: "1234", fileUrl: "https://cdn/note.png" })
+      const update = jest.fn().mockResolvedValue({})
+      const outbox = outboxWith({ create, update })
+      const billId = await outbox.queueUpload({ file, fileName: "note.png", email: "a@a" })
+      await outbox.queueUpdate({ billId, bill })
+
+      await outbox.replay("a@a")
+
+      expect(create).toHaveBeenCalledTimes(1)
+      expect(create.mock.calls[0][0].idempotencyKey).toBeTruthy()
+      expect(update).toHaveBeenCalledTimes(1)
+      const { selector, data } = update.mock.calls[0][0]
+      expect(selector).toBe("1234")
+      expect(JSON.parse(data).fileUrl).toBe("https://cdn/note.png")
+      expect(await outbox.entries()).toHaveLength(0)
+    })
+
+    test("Then entries of another user should wait", async () => {
+      const update = jest.fn().mockResolvedValue({})
+      const outbox = outboxWith({ update })
+      await outbox.queueUpdate({ billId: "1234", bill })
+
+      await outbox.replay("other@a")
+
+      expect(update).not.toHaveBeenCalled()
+      expect(await outbox.entries()).toHaveLength(1)
+    })
+  })
+
+  describe("When the connection is still down", () => {
+    test("Then the entries should stay queued", async () => {
+      const update = jest.fn().mockRejectedValue(new NetworkError("offline"))
+      const outbox = outboxWith({ update })
+      await outbox.queueUpdate({ billId: "1234", bill })
+
+      await outbox.replay("a@a")
+
+      const [entry] = await outbox.entries()
+      expect(entry.status).toBe("pending")
+    })
+  })
+
+  describe("When the server rejects the replay", () => {
+    test("Then the conflict should be reported on the bill", async () => {
+      const create = jest.fn().mockRejectedValue(new NotFoundError("Note introuvable", { status: 404 }))
+      const update = jest.fn()
+      const outbox = outboxWith({ create, update })
+      jest.spyOn(console, "error").mockImplementation(() => {})
+      const billId = await outbox.queueUpload({ file, fileName: "note.png", email: "a@a" })
+      await outbox.queueUpdate({ billId, bill })
+
+      await outbox.replay("a@a")
+
+      expect(update).not.toHaveBeenCalled()
+      const [pending] = await outbox.pendingBills("a@a")
+      expect(pending.outbox).toBe("failed")
+      expect(pending.outboxError).toMatch(/justificatif/)
+      console.error.mockRestore()
+    })
+  })
+})
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import ReadCache from "../app/ReadCache.js"
+
+const flush = () => new Promise(process.nextTick)
+
+describe('Given I read data through the cache', () => {
+  describe('When nothing is cached yet', () => {
+    test('Then it should wait for the request', async () => {
+      const cache = new ReadCache()
+      const fetcher = jest.fn().mockResolvedValue(['a'])
+      await expect(cache.read('bills', fetcher)).resolves.toEqual(['a'])
+      expect(fetcher).toHaveBeenCalledTimes(1)
+    })
+
+    test('Then a failed request should not be cached', async () => {
+      const cache = new ReadCache()
+      await expect(cache.read('bills', jest.fn().mockRejectedValue(new Error('Erreur 500')))).rejects.toThrow('Erreur 500')
+      await expect(cache.read('bills', jest.fn().mockResolvedValue(['a']))).resolves.toEqual(['a'])
+    })
+  })
+
+  describe('When the data is already cached', () => {
+    test('Then it should resolve at once with the cached value and refresh it in the background', async () => {
+      const cache = new ReadCache()
+      await cache.read('bills', () => Promise.resolve(['a']))
+      const onRevalidate = jest.fn()
+
+      const value = await cache.read('bills', () => Promise.resolve(['a', 'b']), { onRevalidate })
+      expect(value).toEqual(['a'])
+
+      await flush()
+      expect(onRevalidate).toHaveBeenCalledWith(['a', 'b'])
+      await expect(cache.read('bills', () => Promise.resolve(['a', 'b']))).resolves.toEqual(['a', 'b'])
+    })
+
+    test('Then a fresh read should wait for the server instead of the cached value', async () => {
+      const cache = new ReadCache()
+      await cache.read('bills/1', () => Promise.resolve({ name: 'v1' }))
+      await expect(cache.read('bills/1', () => Promise.resolve({ name: 'v2' }), { fresh: true })).resolves.toEqual({ name: 'v2' })
+      await expect(cache.read('bills/1', () => Promise.resolve({ name: 'v2' }))).resolves.toEqual({ name: 'v2' })
+    })
+
+    test('Then onRevalidate should not be called when nothing changed', async () => {
+      const cache = new ReadCache()
+      await cache.read('bills', () => Promise.resolve(['a']))
+      const onRevalidate = jest.fn()
+      await cache.read('bills', () => Promise.resolve(['a']), { onRevalidate })
+      await flush()
+      expect(onRevalidate).not.toHaveBeenCalled()
+    })
+
+    test('Then a fresh value should not be refetched before maxAge', async () => {
+      const cache = new ReadCache({ maxAge: 60 * 1000 })
+      await cache.read('bills', () => Promise.resolve(['a']))
+      const fetcher = jest.fn().mockResolvedValue(['b'])
+      await cache.read('bills', fetcher)
+      expect(fetcher).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('When the cached data is invalidated after a write', () => {
+    test('Then the page showing it should be refreshed', async () => {
+      const cache = new ReadCache({ maxAge: 60 * 1000 })
+      const onRevalidate = jest.fn()
+      const fetcher = jest.fn()
+        .mockResolvedValueOnce([{ id: '1', status: 'pending' }])
+        .mockResolvedValueOnce([{ id: '1', status: 'accepted' }])
+      await cache.read('bills', fetcher, { onRevalidate })
+
+      cache.invalidate('bills')
+      await flush()
+
+      expect(fetcher).toHaveBeenCalledTimes(2)
+      expect(onRevalidate).toHaveBeenCalledWith([{ id: '1', status: 'accepted' }])
+    })
+
+    test('Then only the entries of that entity should become stale', async () => {
+      const cache = new ReadCache({ maxAge: 60 * 1000 })
+      await cache.read('bills/1', () => Promise.resolve({ id: '1' }))
+      await cache.read('users', () => Promise.resolve([]))
+
+      cache.invalidate('bills')
+
+      const billFetcher = jest.fn().mockResolvedValue({ id: '1' })
+      const usersFetcher = jest.fn().mockResolvedValue([])
+      await cache.read('bills/1', billFetcher)
+      await cache.read('users', usersFetcher)
+      expect(billFetcher).toHaveBeenCalled()
+      expect(usersFetcher).not.toHaveBeenCalled()
+    })
+  })
+})
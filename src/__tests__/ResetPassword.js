@@ -0,0 +1,119 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { fireEvent, screen } from "@testing-library/dom"
+import ResetPasswordUI from "../views/ResetPasswordUI.js"
+import ResetPassword, { INVALID_RESET_LINK_MESSAGE } from "../containers/ResetPassword.js"
+import { ROUTES_PATH } from "../constants/routes.js"
+import { ApiError, ValidationError } from "../app/errors.js"
+
+const setUp = (token, resetPassword = jest.fn()) => {
+  document.body.innerHTML = ResetPasswordUI()
+  const onNavigate = jest.fn()
+  const store = { resetPassword }
+  const container = new ResetPassword({ document, onNavigate, store, token })
+  return { container, onNavigate, store }
+}
+
+const type = (password, confirmation = password) => {
+  fireEvent.input(screen.getByTestId("new-password-input"), { target: { value: password } })
+  fireEvent.input(screen.getByTestId("confirm-password-input"), { target: { value: confirmation } })
+}
+
+const submit = (container) => container.handleSubmit({ preventDefault: jest.fn(), target: screen.getByTestId("form-reset-password") })
+
+const rule = (id) => document.querySelector(`[data-rule="${id}"]`)
+
+describe("Given I opened the link of a reset email", () => {
+  describe("When I type a new password", () => {
+    test("Then the strength rules should be ticked as they are met", () => {
+      setUp("abc")
+      type("abcdefgh")
+      expect(rule("length").classList.contains("text-success")).toBe(true)
+      expect(rule("lowercase").classList.contains("text-success")).toBe(true)
+      expect(rule("uppercase").classList.contains("text-success")).toBe(false)
+      expect(rule("digit").classList.contains("text-success")).toBe(false)
+    })
+  })
+
+  describe("When I submit a weak password", () => {
+    test("Then it should not be sent and the missing rules should be pointed at", async () => {
+      const { container, store } = setUp("abc")
+      type("abcdefgh")
+
+      await submit(container)
+
+      expect(store.resetPassword).not.toHaveBeenCalled()
+      expect(screen.getByTestId("new-password-input").classList.contains("is-invalid")).toBe(true)
+      expect(rule("uppercase").classList.contains("text-danger")).toBe(true)
+      expect(rule("length").classList.contains("text-danger")).toBe(false)
+    })
+  })
+
+  describe("When the two passwords differ", () => {
+    test("Then the confirmation should be marked invalid", async () => {
+      const { container, store } = setUp("abc")
+      type("Nouveau1", "Nouveau2")
+
+      await submit(container)
+
+      expect(store.resetPassword).not.toHaveBeenCalled()
+      expect(screen.getByTestId("confirm-password-input").classList.contains("is-invalid")).toBe(true)
+    })
+  })
+
+  describe("When I submit a strong password", () => {
+    test("Then it should be sent with the token and the success shown", async () => {
+      const { container, store } = setUp("abc", jest.fn().mockResolvedValue({}))
+      type("Nouveau1")
+
+      await submit(container)
+
+      expect(store.resetPassword).toHaveBeenCalledWith({ token: "abc", password: "Nouveau1" })
+      expect(screen.getByTestId("reset-password-done").hidden).toBe(false)
+      expect(screen.getByTestId("form-reset-password").hidden).toBe(true)
+    })
+  })
+
+  describe("When the link has expired", () => {
+    test("Then the error should offer to request a new link", async () => {
+      const { container, onNavigate } = setUp("abc", jest.fn().mockRejectedValue(new ApiError("Ce lien de réinitialisation a expiré.", { status: 410 })))
+      type("Nouveau1")
+
+      await submit(container)
+
+      expect(screen.getByTestId("reset-password-error").hidden).toBe(false)
+      expect(screen.getByTestId("reset-password-error-message").textContent).toBe("Ce lien de réinitialisation a expiré.")
+      expect(screen.getByTestId("link-forgot-password").hidden).toBe(false)
+      fireEvent.click(screen.getByTestId("link-forgot-password"))
+      expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.ForgotPassword)
+    })
+  })
+
+  describe("When the server finds the password too weak", () => {
+    test("Then its message should be shown on the password", async () => {
+      const error = new ValidationError("Mot de passe trop faible.", { status: 422, fields: { password: "Le mot de passe doit contenir : un chiffre." } })
+      const { container } = setUp("abc", jest.fn().mockRejectedValue(error))
+      type("Nouveau1")
+
+      await submit(container)
+
+      expect(screen.getByTestId("reset-password-error-message").textContent).toBe("Le mot de passe doit contenir : un chiffre.")
+      expect(screen.getByTestId("link-forgot-password").hidden).toBe(true)
+      expect(screen.getByTestId("new-password-input").classList.contains("is-invalid")).toBe(true)
+    })
+  })
+
+  describe("When the link has no token", () => {
+    test("Then it should be reported as invalid and nothing sent", async () => {
+      const { container, store } = setUp(undefined)
+      expect(screen.getByTestId("reset-password-error-message").textContent).toBe(INVALID_RESET_LINK_MESSAGE)
+      type("Nouveau1")
+
+      await submit(container)
+
+      expect(store.resetPassword).not.toHaveBeenCalled()
+    })
+  })
+})
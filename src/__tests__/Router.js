@@ -0,0 +1,385 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { screen, waitFor } from "@testing-library/dom"
+import router from "../app/Router.js"
+import mockStore from "../__mocks__/store"
+import { ROUTES_PATH } from "../constants/routes.js"
+import { localStorageMock } from "../__mocks__/localStorage.js"
+import { tokenFor } from "../__mocks__/jwt.js"
+import { setConfig } from "../app/config.js"
+import FakeBroadcastChannel from "../__mocks__/broadcastChannel.js"
+import { SESSION_CHANNEL } from "../app/tabSync.js"
+
+global.BroadcastChannel = FakeBroadcastChannel
+
+jest.mock("../app/Store.js", () => ({
+  __esModule: true,
+  default: require("../__mocks__/store").default,
+}))
+
+const startAt = (location) => {
+  window.history.replaceState(null, '', window.location.origin + '/' + location)
+  document.body.innerHTML = `<div id="root"></div>`
+  document.body.style.backgroundColor = ''
+  router()
+}
+
+describe("Given I am connected as an employee", () => {
+  beforeEach(() => {
+    Object.defineProperty(window, "localStorage", { value: localStorageMock })
+    window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+    window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+  })
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe("When I open the app directly on a page", () => {
+    test("Then it should be set up like when navigating to it", async () => {
+      startAt(ROUTES_PATH.NewBill)
+
+      expect(screen.getByTestId("form-new-bill")).toBeTruthy()
+      expect(document.body.style.backgroundColor).toBe("rgb(255, 255, 255)")
+      expect(screen.getByTestId("icon-mail").classList.contains("active-icon")).toBe(true)
+      expect(screen.getByTestId("icon-window").classList.contains("active-icon")).toBe(false)
+    })
+  })
+
+  describe("When I click on the account icon of the layout", () => {
+    test("Then the change-password page should be shown", () => {
+      startAt(ROUTES_PATH.NewBill)
+
+      screen.getByTestId("layout-account").click()
+
+      expect(window.location.hash).toBe(ROUTES_PATH.ChangePassword)
+      expect(screen.getByTestId("form-change-password")).toBeTruthy()
+    })
+  })
+
+  describe("When I leave a page before its bills are loaded", () => {
+    test("Then the late answer should not replace the page I went to", async () => {
+      let answer
+      jest.spyOn(mockStore, "bills").mockImplementation(() => ({
+        list: () => new Promise(resolve => { answer = resolve })
+      }))
+      startAt(ROUTES_PATH.Bills)
+
+      window.onNavigate(ROUTES_PATH.NewBill)
+      answer([])
+      await new Promise(process.nextTick)
+
+      expect(screen.getByTestId("form-new-bill")).toBeTruthy()
+      expect(screen.queryByText("Mes notes de frais")).toBeNull()
+    })
+  })
+
+  describe("When I go back in the browser history", () => {
+    test("Then the page of the popped location should be rendered", async () => {
+      startAt(ROUTES_PATH.NewBill)
+      window.onNavigate(ROUTES_PATH.Bills)
+      await waitFor(() => screen.getByText("Mes notes de frais"))
+
+      window.history.replaceState(null, '', window.location.origin + '/' + ROUTES_PATH.NewBill)
+      window.onpopstate(new PopStateEvent("popstate"))
+
+      expect(screen.getByTestId("form-new-bill")).toBeTruthy()
+    })
+  })
+})
+
+describe("Given I am not logged in", () => {
+  beforeEach(() => {
+    Object.defineProperty(window, "localStorage", { value: localStorageMock })
+    window.localStorage.clear()
+  })
+
+  describe("When I open a page of the employee space", () => {
+    test("Then I should be sent to Login with a message and the page remembered", () => {
+      startAt(ROUTES_PATH.NewBill)
+
+      expect(screen.getByTestId("login-error").textContent).toMatch(/connecter/)
+      expect(screen.queryByTestId("form-new-bill")).toBeNull()
+      expect(window.location.hash).toBe("")
+      expect(window.localStorage.getItem("returnLocation")).toBe(JSON.stringify(ROUTES_PATH.NewBill))
+    })
+  })
+
+  describe("When I only picked a user type without a session", () => {
+    test("Then it should not be enough to open the page", () => {
+      window.localStorage.setItem("user", JSON.stringify({ type: "Admin", email: "a@a" }))
+      startAt(ROUTES_PATH.Dashboard)
+
+      expect(screen.queryByText("Validations")).toBeNull()
+      expect(screen.getByTestId("login-error")).toBeTruthy()
+    })
+  })
+})
+
+describe("Given the server gave me the Employee role", () => {
+  beforeEach(() => {
+    Object.defineProperty(window, "localStorage", { value: localStorageMock })
+    window.localStorage.clear()
+    // whatever the login form said, the token is what counts
+    window.localStorage.setItem("user", JSON.stringify({ type: "Admin", email: "a@a" }))
+    window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+  })
+
+  describe("When I type the address of the admin dashboard", () => {
+    test("Then a 403 page should be shown with a link to my home page", async () => {
+      startAt(ROUTES_PATH.Dashboard)
+
+      expect(screen.getByText("Accès refusé")).toBeTruthy()
+      expect(screen.queryByText("Validations")).toBeNull()
+      const home = screen.getByTestId("btn-home")
+      expect(home.getAttribute("href")).toBe(ROUTES_PATH.Bills)
+
+      home.click()
+      await waitFor(() => screen.getByText("Mes notes de frais"))
+      expect(window.location.hash).toBe(ROUTES_PATH.Bills)
+    })
+  })
+})
+
+describe("Given I am connected as an admin", () => {
+  beforeEach(() => {
+    Object.defineProperty(window, "localStorage", { value: localStorageMock })
+    window.localStorage.clear()
+    window.localStorage.setItem("user", JSON.stringify({ type: "Admin", email: "admin@test.tld" }))
+    window.localStorage.setItem("jwt", tokenFor({ email: "admin@test.tld", type: "Admin" }))
+  })
+
+  describe("When I open an address matching no page", () => {
+    test("Then a 404 page should be shown with a link to my home page", async () => {
+      startAt("#admin/unknown")
+
+      expect(screen.getByText("Page introuvable")).toBeTruthy()
+      expect(screen.queryByText("Administration")).toBeNull()
+      const home = screen.getByTestId("btn-home")
+      expect(home.getAttribute("href")).toBe(ROUTES_PATH.Dashboard)
+
+      home.click()
+      await waitFor(() => screen.getByText("Validations"))
+      expect(window.location.hash).toBe(ROUTES_PATH.Dashboard)
+    })
+  })
+
+  describe("When I navigate from a page to an unknown location", () => {
+    test("Then the 404 page should replace it", async () => {
+      startAt(ROUTES_PATH.Dashboard)
+      await waitFor(() => screen.getByText("Validations"))
+
+      window.onNavigate("#admin/nowhere")
+
+      expect(screen.getByText("Page introuvable")).toBeTruthy()
+      expect(screen.queryByText("Validations")).toBeNull()
+    })
+  })
+})
+
+describe("Given I browse the app and use the back and forward buttons", () => {
+  const waitForPopState = () => new Promise(resolve => window.addEventListener("popstate", resolve, { once: true }))
+
+  beforeEach(() => {
+    Object.defineProperty(window, "localStorage", { value: localStorageMock })
+    window.localStorage.clear()
+    window.scrollTo = jest.fn()
+  })
+
+  describe("When I go back to the previous page", () => {
+    test("Then it should be rendered again without adding a history entry", async () => {
+      window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+      window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+      startAt(ROUTES_PATH.Bills)
+      await waitFor(() => screen.getByText("Mes notes de frais"))
+      window.scrollY = 240
+      window.onNavigate(ROUTES_PATH.NewBill)
+      window.scrollY = 0
+      const length = window.history.length
+
+      const popped = waitForPopState()
+      window.history.back()
+      await popped
+      await waitFor(() => screen.getByText("Mes notes de frais"))
+
+      expect(window.location.hash).toBe(ROUTES_PATH.Bills)
+      expect(window.history.length).toBe(length)
+      expect(window.scrollTo).toHaveBeenCalledWith(0, 240)
+    })
+  })
+
+  describe("When I navigate to the page already shown", () => {
+    test("Then no duplicate entry should be pushed", () => {
+      window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+      window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+      startAt(ROUTES_PATH.NewBill)
+      const length = window.history.length
+
+      window.onNavigate(ROUTES_PATH.NewBill)
+
+      expect(window.history.length).toBe(length)
+    })
+  })
+
+  describe("When I come back to the dashboard with a bill open", () => {
+    test("Then the open sections and the bill should be restored", async () => {
+      window.localStorage.setItem("user", JSON.stringify({ type: "Admin", email: "admin@a" }))
+      window.localStorage.setItem("jwt", tokenFor({ email: "admin@a", type: "Admin" }))
+      startAt(ROUTES_PATH.Dashboard)
+      await waitFor(() => screen.getByText("Validations"))
+      screen.getByTestId("arrow-icon3").click()
+      screen.getByTestId("arrow-icon1").click()
+      screen.getByTestId("open-bill47qAXb6fIm2zOKkLzMro").click()
+      expect(window.location.hash).toBe("#admin/dashboard/bill/47qAXb6fIm2zOKkLzMro?status=pending")
+
+      window.onNavigate(ROUTES_PATH.Dashboard)
+      await waitFor(() => screen.getByText("Validations"))
+      expect(screen.queryByTestId("dashboard-form")).toBeNull()
+
+      const popped = waitForPopState()
+      window.history.back()
+      await popped
+      await waitFor(() => screen.getByTestId("dashboard-form"))
+
+      expect(screen.getByTestId("open-bill47qAXb6fIm2zOKkLzMro")).toBeTruthy()
+      expect(screen.getByTestId("open-billBeKy5Mo4jkmdfPGYpTxZ")).toBeTruthy()
+      expect(screen.queryByTestId("open-billUIUZtnPQvnbFnB0ozvJh")).toBeNull()
+    })
+  })
+})
+
+describe("Given I am connected and stop using the app", () => {
+  const MINUTE = 60 * 1000
+
+  beforeEach(() => {
+    Object.defineProperty(window, "localStorage", { value: localStorageMock })
+    window.localStorage.clear()
+    window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+    window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+    setConfig({ idleTimeout: { Employee: 10, Admin: 5 } })
+    jest.useFakeTimers()
+  })
+  afterEach(() => {
+    jest.useRealTimers()
+    setConfig()
+  })
+
+  describe("When the timeout of my role is about to run out", () => {
+    test("Then I should be warned and be able to stay", () => {
+      startAt(ROUTES_PATH.NewBill)
+
+      jest.advanceTimersByTime(9 * MINUTE)
+      expect(screen.getByTestId("idle-countdown").textContent).toBe("60")
+
+      screen.getByTestId("btn-idle-extend").click()
+      jest.advanceTimersByTime(5 * MINUTE)
+      expect(screen.getByTestId("form-new-bill")).toBeTruthy()
+      expect(window.localStorage.getItem("jwt")).toBeTruthy()
+    })
+  })
+
+  describe("When I do not answer the warning", () => {
+    test("Then I should be logged out like with the disconnect button, with a message", () => {
+      startAt(ROUTES_PATH.NewBill)
+
+      jest.advanceTimersByTime(10 * MINUTE)
+
+      expect(window.location.pathname).toBe(ROUTES_PATH.Login)
+      expect(screen.getByTestId("login-error").textContent).toBe("Vous avez été déconnecté après une période d'inactivité.")
+      expect(window.localStorage.getItem("jwt")).toBeUndefined()
+      expect(window.localStorage.getItem("user")).toBeUndefined()
+    })
+  })
+
+  describe("When I am not logged in", () => {
+    test("Then no timer should run", () => {
+      window.localStorage.clear()
+      startAt(ROUTES_PATH.Login)
+
+      jest.advanceTimersByTime(60 * MINUTE)
+
+      expect(screen.queryByTestId("modal-idle")).toBeNull()
+    })
+  })
+})
+
+describe("Given I am connected in several tabs", () => {
+  // the mocked localStorage is not a Storage the event could name as its storageArea
+  const changedInOtherTab = (key) => window.dispatchEvent(new StorageEvent("storage", { key }))
+
+  beforeEach(() => {
+    Object.defineProperty(window, "localStorage", { value: localStorageMock })
+    window.localStorage.clear()
+    window.sessionStorage.clear()
+    window.localStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+    window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+  })
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe("When I log out in another tab", () => {
+    test("Then this tab should go back to Login with a message", () => {
+      startAt(ROUTES_PATH.NewBill)
+
+      window.localStorage.clear()
+      changedInOtherTab(null)
+
+      expect(window.location.pathname).toBe(ROUTES_PATH.Login)
+      expect(screen.getByTestId("login-error").textContent).toBe("Vous avez été déconnecté depuis un autre onglet.")
+    })
+  })
+
+  describe("When another tab logs in as another user", () => {
+    test("Then this tab should show the home page of that user", () => {
+      startAt(ROUTES_PATH.NewBill)
+
+      window.localStorage.setItem("user", JSON.stringify({ type: "Admin", email: "admin@a" }))
+      window.localStorage.setItem("jwt", tokenFor({ email: "admin@a", type: "Admin" }))
+      changedInOtherTab("jwt")
+
+      expect(window.location.hash).toBe(ROUTES_PATH.Dashboard)
+    })
+  })
+
+  describe("When another tab gets a new token for me", () => {
+    test("Then this tab should stay on its page and load its data again", async () => {
+      const bills = jest.spyOn(mockStore, "bills")
+      startAt(ROUTES_PATH.Bills)
+      await waitFor(() => screen.getByTestId("tbody"))
+      const calls = bills.mock.calls.length
+
+      window.localStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee", iat: 2 }))
+      changedInOtherTab("jwt")
+
+      expect(window.location.hash).toBe(ROUTES_PATH.Bills)
+      expect(bills.mock.calls.length).toBeGreaterThan(calls)
+    })
+  })
+
+  describe("When nothing changed for this tab", () => {
+    test("Then the page should be left alone", () => {
+      startAt(ROUTES_PATH.NewBill)
+      screen.getByTestId("expense-name").value = "Vol Paris"
+
+      changedInOtherTab("user")
+
+      expect(screen.getByTestId("expense-name").value).toBe("Vol Paris")
+    })
+  })
+
+  describe("When I log out in another tab while this one keeps its own session", () => {
+    test("Then the session of this tab should be ended too", () => {
+      window.localStorage.clear()
+      window.sessionStorage.setItem("user", JSON.stringify({ type: "Employee", email: "a@a" }))
+      window.sessionStorage.setItem("jwt", tokenFor({ email: "a@a", type: "Employee" }))
+      startAt(ROUTES_PATH.NewBill)
+
+      new BroadcastChannel(SESSION_CHANNEL).postMessage({ type: "logout", email: "a@a" })
+
+      expect(window.sessionStorage.getItem("jwt")).toBeNull()
+      expect(screen.getByTestId("login-error").textContent).toBe("Vous avez été déconnecté depuis un autre onglet.")
+    })
+  })
+})
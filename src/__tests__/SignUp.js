@@ -0,0 +1,104 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { fireEvent, screen, waitFor } from "@testing-library/dom"
+import SignUpUI from "../views/SignUpUI.js"
+import SignUp from "../containers/SignUp.js"
+import { ROUTES_PATH } from "../constants/routes.js"
+import { ApiError, ValidationError } from "../app/errors.js"
+
+const setUp = (signUp) => {
+  document.body.innerHTML = SignUpUI()
+  const onNavigate = jest.fn()
+  const store = { signUp }
+  const container = new SignUp({ document, onNavigate, store })
+  return { container, onNavigate, store }
+}
+
+const fill = ({ name = "John Doe", email = "john@test.tld", password = "Secret12", confirmation = password } = {}) => {
+  fireEvent.change(screen.getByTestId("signup-name-input"), { target: { value: name } })
+  fireEvent.change(screen.getByTestId("signup-email-input"), { target: { value: email } })
+  fireEvent.change(screen.getByTestId("new-password-input"), { target: { value: password } })
+  fireEvent.change(screen.getByTestId("confirm-password-input"), { target: { value: confirmation } })
+  fireEvent.submit(screen.getByTestId("form-signup"))
+}
+
+describe("Given I am on the sign-up page", () => {
+  describe("When I submit the form", () => {
+    test("Then my account should be sent and I should be asked to confirm my email", async () => {
+      const { store } = setUp(jest.fn().mockResolvedValue({ email: "john@test.tld", type: "Employee", confirmed: false }))
+
+      fill()
+
+      expect(store.signUp).toHaveBeenCalledWith(JSON.stringify({ name: "John Doe", email: "john@test.tld", password: "Secret12" }))
+      await waitFor(() => expect(screen.getByTestId("signup-sent").hidden).toBe(false))
+      expect(screen.getByTestId("signup-sent-email").textContent).toBe("john@test.tld")
+      expect(screen.getByTestId("form-signup").hidden).toBe(true)
+    })
+  })
+
+  describe("When my password breaks the rules or is not typed the same twice", () => {
+    test("Then nothing should be sent and the problem should be pointed at", () => {
+      const { store } = setUp(jest.fn())
+
+      fill({ password: "secret" })
+      expect(screen.getByTestId("new-password-input").classList.contains("is-invalid")).toBe(true)
+      expect(screen.getByTestId("password-rules").querySelector('[data-rule="uppercase"]').classList.contains("text-danger")).toBe(true)
+
+      fill({ confirmation: "Secret13" })
+      expect(screen.getByTestId("new-password-input").classList.contains("is-invalid")).toBe(false)
+      expect(screen.getByTestId("confirm-password-input").classList.contains("is-invalid")).toBe(true)
+      expect(store.signUp).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("When the server finds my password too weak", () => {
+    test("Then its message should be shown and the password marked as invalid", async () => {
+      setUp(jest.fn().mockRejectedValue(new ValidationError("Mot de passe trop faible.", { status: 422, fields: { password: "Le mot de passe doit contenir : un chiffre." } })))
+
+      fill()
+
+      await waitFor(() => expect(screen.getByTestId("signup-error").hidden).toBe(false))
+      expect(screen.getByTestId("signup-error").textContent).toBe("Le mot de passe doit contenir : un chiffre.")
+      expect(screen.getByTestId("new-password-input").classList.contains("is-invalid")).toBe(true)
+    })
+  })
+
+  describe("When the server refuses some fields", () => {
+    test("Then their errors should be shown under them", async () => {
+      setUp(jest.fn().mockRejectedValue(new ValidationError("Utilisateur invalide.", { status: 422, fields: { email: "Adresse email invalide." } })))
+
+      fill({ email: "john@" })
+
+      await waitFor(() => expect(screen.getByTestId("signup-email-input").classList.contains("is-invalid")).toBe(true))
+      expect(screen.getByTestId("signup-email-error").textContent).toBe("Adresse email invalide.")
+      expect(screen.getByTestId("signup-name-input").classList.contains("is-invalid")).toBe(false)
+      expect(screen.getByTestId("signup-button").disabled).toBe(false)
+    })
+  })
+
+  describe("When an account already exists for my email", () => {
+    test("Then the message of the server should be shown and cleared on the next try", async () => {
+      const signUp = jest.fn().mockRejectedValueOnce(new ApiError("Un compte existe déjà pour cet email.", { status: 409 }))
+      setUp(signUp)
+
+      fill()
+      await waitFor(() => expect(screen.getByTestId("signup-error").hidden).toBe(false))
+      expect(screen.getByTestId("signup-error").textContent).toBe("Un compte existe déjà pour cet email.")
+
+      signUp.mockReturnValue(new Promise(() => {}))
+      fill({ email: "other@test.tld" })
+      expect(screen.getByTestId("signup-error").hidden).toBe(true)
+      expect(screen.getByTestId("signup-button").disabled).toBe(true)
+    })
+  })
+
+  describe("When I click on the login link", () => {
+    test("Then I should be sent back to the login page", () => {
+      const { onNavigate } = setUp(jest.fn())
+      fireEvent.click(screen.getByTestId("link-login"))
+      expect(onNavigate).toHaveBeenCalledWith(ROUTES_PATH.Login)
+    })
+  })
+})
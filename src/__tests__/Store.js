@@ -0,0 +1,345 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { Api, ApiEntity, backoffDelay } from "../app/Store.js"
+import { ApiError, AuthError, NetworkError, NotFoundError, ServerError, ValidationError } from "../app/errors.js"
+import ReadCache from "../app/ReadCache.js"
+import { getEditableBill } from "../containers/NewBill.js"
+import { localStorageMock } from "../__mocks__/localStorage.js"
+
+const textResponse = (text, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(text)
+})
+
+const jsonResponse = (body, status = 200) => textResponse(JSON.stringify(body), status)
+
+// a fetch that never settles by itself, only when its signal is aborted
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+})
+
+const policy = { timeout: 50, retries: 2, backoffBase: 0, backoffMax: 0 }
+
+describe('Given I use the Api with a request policy', () => {
+  beforeEach(() => {
+    Object.defineProperty(window, 'localStorage', { value: localStorageMock })
+    window.localStorage.clear()
+  })
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  describe('When a GET fails with a server error then succeeds', () => {
+    test('Then it should retry and resolve with the response body', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse({ message: 'Erreur 503' }, 503))
+        .mockResolvedValueOnce(jsonResponse([{ id: '1' }]))
+      const api = new Api({ baseUrl: 'http://api', policy })
+
+      const result = await api.get({ url: '/bills', headers: {} })
+
+      expect(result).toEqual([{ id: '1' }])
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('When a GET keeps failing', () => {
+    test('Then it should give up after the configured retries with a structured error', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'))
+      const api = new Api({ baseUrl: 'http://api', policy })
+
+      const error = await api.get({ url: '/bills', headers: {} }).catch(e => e)
+
+      expect(error).toBeInstanceOf(ApiError)
+      expect(error.code).toBe('network')
+      expect(error.retryable).toBe(true)
+      expect(global.fetch).toHaveBeenCalledTimes(3)
+    })
+  })
+
+  describe('When the server does not answer in time', () => {
+    test('Then it should abort the request with a timeout error', async () => {
+      global.fetch = jest.fn(hangingFetch)
+      const api = new Api({ baseUrl: 'http://api', policy: { ...policy, retries: 0 } })
+
+      const error = await api.get({ url: '/bills', headers: {} }).catch(e => e)
+
+      expect(error.code).toBe('timeout')
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('When a client error is returned', () => {
+    test('Then it should not retry', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse({ message: 'Erreur 404' }, 404))
+      const api = new Api({ baseUrl: 'http://api', policy })
+
+      const error = await api.get({ url: '/bills/x', headers: {} }).catch(e => e)
+
+      expect(error.status).toBe(404)
+      expect(error.message).toBe('Erreur 404')
+      expect(error.retryable).toBe(false)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('When a POST fails', () => {
+    test('Then it should not retry without an idempotency key', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse({ message: 'Erreur 500' }, 500))
+      const entity = new ApiEntity({ key: 'bills', api: new Api({ baseUrl: 'http://api', policy }) })
+
+      await expect(entity.create({ data: '{}' })).rejects.toBeInstanceOf(ApiError)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test('Then it should retry when an idempotency key is supplied', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse({ message: 'Erreur 500' }, 500))
+        .mockResolvedValueOnce(jsonResponse({ key: '1234' }))
+      const entity = new ApiEntity({ key: 'bills', api: new Api({ baseUrl: 'http://api', policy }) })
+
+      const result = await entity.create({ data: '{}', idempotencyKey: 'abc' })
+
+      expect(result).toEqual({ key: '1234' })
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      expect(global.fetch.mock.calls[1][1].headers['Idempotency-Key']).toBe('abc')
+    })
+  })
+})
+
+describe('Given I compute a backoff delay', () => {
+  test('Then it should stay between 0 and the capped exponential delay', () => {
+    const options = { backoffBase: 100, backoffMax: 1000 }
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const delay = backoffDelay(attempt, options)
+      expect(delay).toBeGreaterThanOrEqual(0)
+      expect(delay).toBeLessThanOrEqual(Math.min(1000, 100 * 2 ** attempt))
+    }
+  })
+})
+
+describe('Given the backend answers with an error', () => {
+  beforeEach(() => {
+    Object.defineProperty(window, 'localStorage', { value: localStorageMock })
+  })
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  const failWith = (response) => {
+    global.fetch = jest.fn().mockResolvedValue(response)
+    return new Api({ baseUrl: 'http://api', policy: { ...policy, retries: 0 } })
+      .get({ url: '/bills', headers: {} })
+      .catch(e => e)
+  }
+
+  test.each([
+    [401, AuthError],
+    [403, AuthError],
+    [404, NotFoundError],
+    [500, ServerError],
+    [503, ServerError]
+  ])('Then a %i status should be raised as %p', async (status, ErrorClass) => {
+    const error = await failWith(jsonResponse({ message: 'oops' }, status))
+    expect(error).toBeInstanceOf(ErrorClass)
+    expect(error.status).toBe(status)
+    expect(error.message).toBe('oops')
+  })
+
+  test('Then a 422 status should be raised as a ValidationError with its field map', async () => {
+    const error = await failWith(jsonResponse({ message: 'Invalide', errors: { file: 'Format non supporté' } }, 422))
+    expect(error).toBeInstanceOf(ValidationError)
+    expect(error.fields).toEqual({ file: 'Format non supporté' })
+  })
+
+  test('Then an HTML or empty error body should not crash the parsing', async () => {
+    const htmlError = await failWith(textResponse('<html>Bad Gateway</html>', 502))
+    expect(htmlError).toBeInstanceOf(ServerError)
+    expect(htmlError.message).toBe('Erreur 502')
+
+    const emptyError = await failWith(textResponse('', 500))
+    expect(emptyError).toBeInstanceOf(ServerError)
+    expect(emptyError.message).toBe('Erreur 500')
+  })
+
+  test('Then an unreachable server should be raised as a NetworkError', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'))
+    const error = await new Api({ baseUrl: 'http://api', policy: { ...policy, retries: 0 } })
+      .get({ url: '/bills', headers: {} })
+      .catch(e => e)
+    expect(error).toBeInstanceOf(NetworkError)
+  })
+})
+
+describe('Given my JWT has expired', () => {
+  beforeEach(() => {
+    Object.defineProperty(window, 'localStorage', { value: localStorageMock })
+    const encode = (object) => btoa(JSON.stringify(object))
+    window.localStorage.setItem('jwt', `${encode({ alg: 'HS256' })}.${encode({ exp: 1 })}.signature`)
+  })
+  afterEach(() => {
+    window.localStorage.clear()
+    delete global.fetch
+  })
+
+  test('Then no request should be sent and the session should be ended', async () => {
+    global.fetch = jest.fn()
+    const entity = new ApiEntity({ key: 'bills', api: new Api({ baseUrl: 'http://api', policy }) })
+
+    const error = await entity.list().catch(e => e)
+
+    expect(error).toBeInstanceOf(AuthError)
+    expect(error.code).toBe('session_expired')
+    expect(global.fetch).not.toHaveBeenCalled()
+    expect(window.localStorage.getItem('jwt')).toBeUndefined()
+  })
+})
+
+describe('Given the bills entity is cached', () => {
+  beforeEach(() => {
+    Object.defineProperty(window, 'localStorage', { value: localStorageMock })
+    window.localStorage.clear()
+  })
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  test('Then a second list should be served from the cache and an update should refresh it', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse([{ id: '1', status: 'pending' }]))
+      .mockResolvedValueOnce(jsonResponse([{ id: '1', status: 'pending' }]))
+      .mockResolvedValueOnce(jsonResponse({ id: '1', status: 'accepted' }))
+      .mockResolvedValueOnce(jsonResponse([{ id: '1', status: 'accepted' }]))
+    const entity = new ApiEntity({ key: 'bills', api: new Api({ baseUrl: 'http://api', policy }), cache: new ReadCache() })
+    const onRevalidate = jest.fn()
+
+    await entity.list()
+    await expect(entity.list({ onRevalidate })).resolves.toMatchObject({ items: [{ id: '1', status: 'pending' }] })
+    await new Promise(process.nextTick)
+
+    await entity.update({ selector: '1', data: '{}' })
+    await new Promise(process.nextTick)
+
+    expect(global.fetch.mock.calls.map(([url, { method }]) => `${method} ${url}`)).toEqual([
+      'GET http://api/bills',
+      'GET http://api/bills',
+      'PATCH http://api/bills/1',
+      'GET http://api/bills'
+    ])
+    expect(onRevalidate).toHaveBeenCalledWith(expect.objectContaining({ items: [{ id: '1', status: 'accepted' }] }))
+  })
+
+  test('Then a draft opened again after an update should be read from the server, not from the cache', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ id: 'd1', status: 'draft', name: 'v1' }))
+      .mockResolvedValueOnce(jsonResponse({ id: 'd1', status: 'draft', name: 'v2' }))
+      .mockResolvedValueOnce(jsonResponse({ id: 'd1', status: 'draft', name: 'v2' }))
+    const entity = new ApiEntity({ key: 'bills', api: new Api({ baseUrl: 'http://api', policy }), cache: new ReadCache() })
+    const store = { bills: () => entity }
+
+    await expect(getEditableBill(store, 'd1')).resolves.toMatchObject({ name: 'v1' })
+    await entity.update({ selector: 'd1', data: JSON.stringify({ name: 'v2' }) })
+
+    await expect(getEditableBill(store, 'd1')).resolves.toMatchObject({ name: 'v2' })
+  })
+})
+
+describe('Given I list an entity with a query', () => {
+  beforeEach(() => {
+    Object.defineProperty(window, 'localStorage', { value: localStorageMock })
+    window.localStorage.clear()
+  })
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  test('Then the query should be sent as query-string and a page envelope returned', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse({ items: [{ id: '1' }], total: 21, page: 2, pageSize: 20 }))
+    const entity = new ApiEntity({ key: 'bills', api: new Api({ baseUrl: 'http://api', policy }) })
+
+    const page = await entity.list({ query: { page: 2, pageSize: 20, status: 'pending' } })
+
+    expect(global.fetch.mock.calls[0][0]).toBe('http://api/bills?page=2&pageSize=20&status=pending')
+    expect(page).toEqual({ items: [{ id: '1' }], total: 21, page: 2, pageSize: 20 })
+  })
+})
+
+describe('Given I upload a file through the Api', () => {
+  let xhr
+  beforeEach(() => {
+    Object.defineProperty(window, 'localStorage', { value: localStorageMock })
+    window.localStorage.clear()
+    xhr = {
+      upload: {},
+      open: jest.fn(),
+      setRequestHeader: jest.fn(),
+      send: jest.fn(),
+      abort: jest.fn(() => xhr.onabort())
+    }
+    jest.spyOn(window, 'XMLHttpRequest').mockImplementation(() => xhr)
+  })
+  afterEach(() => {
+    window.XMLHttpRequest.mockRestore()
+  })
+
+  const entity = () => new ApiEntity({ key: 'bills', api: new Api({ baseUrl: 'http://api', policy }) })
+  // the request goes through the interceptors before the XMLHttpRequest is opened
+  const sent = () => new Promise(resolve => setTimeout(resolve))
+
+  test('Then progress should be reported and the JSON answer returned', async () => {
+    const onProgress = jest.fn()
+    const upload = entity().create({ data: 'form', headers: { noContentType: true }, onProgress })
+    await sent()
+
+    xhr.upload.onprogress({ lengthComputable: true, loaded: 25, total: 100 })
+    Object.assign(xhr, { status: 200, responseText: JSON.stringify({ key: '1', fileUrl: 'https://cdn/a.png' }) })
+    xhr.onload()
+
+    await expect(upload).resolves.toEqual({ key: '1', fileUrl: 'https://cdn/a.png' })
+    expect(xhr.open).toHaveBeenCalledWith('POST', 'http://api/bills')
+    expect(xhr.setRequestHeader).not.toHaveBeenCalledWith('noContentType', expect.anything())
+    expect(onProgress).toHaveBeenCalledWith({ loaded: 25, total: 100, percent: 25 })
+  })
+
+  test('Then aborting the signal should cancel the upload', async () => {
+    const controller = new AbortController()
+    const upload = entity().create({ data: 'form', signal: controller.signal })
+    await sent()
+
+    controller.abort()
+
+    await expect(upload).rejects.toMatchObject({ code: 'aborted', retryable: false })
+    expect(xhr.abort).toHaveBeenCalled()
+  })
+
+  test('Then a server error should be typed like any other request', async () => {
+    const upload = entity().create({ data: 'form', onProgress: jest.fn() })
+    await sent()
+
+    Object.assign(xhr, { status: 500, responseText: '' })
+    xhr.onload()
+
+    await expect(upload).rejects.toBeInstanceOf(ServerError)
+  })
+
+  test('Then it should only time out once the transfer stops making progress', async () => {
+    jest.useFakeTimers()
+    const upload = entity().create({ data: 'form', onProgress: jest.fn(), policy: { timeout: 50, uploadTimeout: 1000 } })
+    const settled = jest.fn()
+    upload.catch(settled)
+    await jest.advanceTimersByTimeAsync(800)
+    xhr.upload.onprogress({ lengthComputable: true, loaded: 25, total: 100 })
+    await jest.advanceTimersByTimeAsync(800)
+    expect(settled).not.toHaveBeenCalled()
+
+    await jest.advanceTimersByTimeAsync(200)
+    jest.useRealTimers()
+
+    await expect(upload).rejects.toBeInstanceOf(NetworkError)
+    await expect(upload).rejects.toMatchObject({ code: 'timeout', retryable: true })
+    expect(xhr.abort).toHaveBeenCalled()
+  })
+})
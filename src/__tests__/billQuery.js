@@ -0,0 +1,38 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { matchesBillQuery, sortBills, toggleSort, hasBillFilters } from "../app/billQuery.js"
+import { bills } from "../fixtures/bills.js"
+
+describe("Given I narrow a list of bills", () => {
+  test("Then status, type, date range and search should all have to match", () => {
+    const names = (query) => bills.filter(bill => matchesBillQuery(bill, query)).map(bill => bill.name)
+
+    expect(names({ status: "refused" })).toEqual(["test1", "test2"])
+    expect(names({ type: "Transports" })).toEqual(["test1"])
+    expect(names({ from: "2002-01-01", to: "2003-12-31" })).toEqual(["test3", "test2"])
+    expect(names({ search: "SÉMINAIRE" })).toEqual(["encore"])
+    expect(names({ status: "refused", search: "plop" })).toEqual(["test1"])
+  })
+
+  test("Then only the filters, not the sort or the page, should count as narrowing the list", () => {
+    expect(hasBillFilters({ sort: "amount", page: 2 })).toBe(false)
+    expect(hasBillFilters({ search: "taxi" })).toBe(true)
+  })
+})
+
+describe("Given I sort a list of bills", () => {
+  test("Then it should be by descending date unless asked otherwise", () => {
+    expect(sortBills(bills).map(bill => bill.date)).toEqual(["2004-04-04", "2003-03-03", "2002-02-02", "2001-01-01"])
+    expect(sortBills(bills, "amount").map(bill => bill.amount)).toEqual([100, 200, 300, 400])
+    expect(sortBills(bills, "-name").map(bill => bill.name)).toEqual(["test3", "test2", "test1", "encore"])
+  })
+
+  test("Then clicking a column should sort on it ascending, then descending", () => {
+    expect(toggleSort(undefined, "amount")).toBe("amount")
+    expect(toggleSort("amount", "amount")).toBe("-amount")
+    expect(toggleSort("-amount", "amount")).toBe("amount")
+    expect(toggleSort(undefined, "date")).toBe("date")
+  })
+})
@@ -0,0 +1,67 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { loadConfig, getConfig, setConfig, DEFAULT_CONFIG } from "../app/config.js"
+import { ConfigError } from "../app/errors.js"
+import store from "../app/Store.js"
+
+const file = {
+  profile: 'dev',
+  profiles: {
+    dev: { apiBaseUrl: 'http://localhost:5678', usersTest: ['test@billed.com'] },
+    production: { apiBaseUrl: '/api', usersTest: [] }
+  }
+}
+
+const respondWith = (body, ok = true) => {
+  global.fetch = jest.fn().mockResolvedValue({ ok, status: ok ? 200 : 404, json: () => Promise.resolve(body) })
+}
+
+describe('Given the app loads its runtime configuration', () => {
+  afterEach(() => {
+    delete global.fetch
+    setConfig(DEFAULT_CONFIG)
+  })
+
+  describe('When the file names a default profile', () => {
+    test('Then that profile should become the current configuration', async () => {
+      respondWith(file)
+      const config = await loadConfig()
+      expect(config.profile).toBe('dev')
+      expect(getConfig().usersTest).toEqual(['test@billed.com'])
+      expect(global.fetch.mock.calls[0][0]).toBe('config.json')
+    })
+  })
+
+  describe('When another profile is requested', () => {
+    test('Then it should be used instead', async () => {
+      respondWith(file)
+      const config = await loadConfig({ profile: 'production' })
+      expect(config.apiBaseUrl).toBe('/api')
+    })
+  })
+
+  describe('When the store is configured with it', () => {
+    test('Then requests should target its base URL', async () => {
+      respondWith(file)
+      store.configure(await loadConfig({ profile: 'production' }))
+      expect(store.api.baseUrl).toBe('/api')
+      store.configure(DEFAULT_CONFIG)
+    })
+  })
+
+  describe('When the file is missing', () => {
+    test('Then a ConfigError should be raised', async () => {
+      respondWith({}, false)
+      await expect(loadConfig()).rejects.toBeInstanceOf(ConfigError)
+    })
+  })
+
+  describe('When the requested profile does not exist', () => {
+    test('Then a ConfigError should be raised', async () => {
+      respondWith(file)
+      await expect(loadConfig({ profile: 'staging' })).rejects.toThrow(/staging/)
+    })
+  })
+})
@@ -0,0 +1,179 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import store, { Api, ApiEntity } from "../app/Store.js"
+import { AuthError, NetworkError, ServerError } from "../app/errors.js"
+import { onSessionExpired } from "../app/session.js"
+import { acceptLanguageInterceptor, correlationIdInterceptor, jwtInterceptor, timingInterceptor } from "../app/interceptors.js"
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(JSON.stringify(body))
+})
+
+const policy = { timeout: 50, retries: 1, backoffBase: 0, backoffMax: 0 }
+
+const sentHeaders = (call = 0) => global.fetch.mock.calls[call][1].headers
+
+describe("Given I register interceptors on the Api", () => {
+  let api
+  beforeEach(() => {
+    localStorage.clear()
+    api = new Api({ baseUrl: "http://api", policy })
+  })
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  describe("When a request is sent", () => {
+    test("Then the hooks should run in registration order around it", async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse({ data: [{ id: "1" }] }))
+      const calls = []
+      api.use({ beforeRequest: (request) => { calls.push("first"); return { ...request, headers: { ...request.headers, "X-Order": "1" } } } })
+      api.use({ beforeRequest: (request) => { calls.push(`second ${request.headers["X-Order"]}`) } })
+      // a legacy backend wrapping its answers in { data }
+      api.use({ afterResponse: (body, { response }) => { calls.push(`after ${response.status}`); return body.data } })
+
+      const body = await api.get({ url: "/bills" })
+
+      expect(calls).toEqual(["first", "second 1", "after 200"])
+      expect(sentHeaders()["X-Order"]).toBe("1")
+      expect(body).toEqual([{ id: "1" }])
+    })
+  })
+
+  describe("When a request fails", () => {
+    test("Then onError should receive the final error and may replace it", async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse({}, 500))
+      const onError = jest.fn((error) => new ServerError("Service indisponible", { status: error.status }))
+      api.use({ onError })
+
+      await expect(api.get({ url: "/bills" })).rejects.toThrow("Service indisponible")
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      expect(onError).toHaveBeenCalledTimes(1)
+      expect(onError.mock.calls[0][1].request).toMatchObject({ method: "GET", url: "/bills" })
+    })
+  })
+
+  describe("When I remove an interceptor", () => {
+    test("Then it should not run anymore", async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse([]))
+      const beforeRequest = jest.fn()
+      const remove = api.use({ beforeRequest })
+
+      remove()
+      await api.get({ url: "/bills" })
+
+      expect(beforeRequest).not.toHaveBeenCalled()
+    })
+  })
+})
+
+describe("Given the built-in interceptors", () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  test("Then the JWT should be sent unless the request opts out", async () => {
+    localStorage.setItem("jwt", "token")
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse({}))
+    const api = new Api({ baseUrl: "http://api", policy, interceptors: [jwtInterceptor] })
+
+    await api.get({ url: "/bills" })
+    await api.post({ url: "/auth/login", data: "{}", auth: false })
+
+    expect(sentHeaders(0).Authorization).toBe("Bearer token")
+    expect(sentHeaders(1).Authorization).toBeUndefined()
+  })
+
+  test("Then a 401 answered to the JWT should end the session, but not one answered to a request without it", async () => {
+    localStorage.setItem("jwt", "token")
+    const expired = jest.fn()
+    const stopListening = onSessionExpired(expired)
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse({ message: "Authentification requise." }, 401))
+    const api = new Api({ baseUrl: "http://api", policy, interceptors: [jwtInterceptor] })
+
+    const refused = await api.post({ url: "/auth/login", data: "{}", auth: false }).catch(e => e)
+    expect(refused.code).toBe("auth")
+    expect(expired).not.toHaveBeenCalled()
+
+    const error = await api.get({ url: "/bills" }).catch(e => e)
+    stopListening()
+    expect(error).toBeInstanceOf(AuthError)
+    expect(error.code).toBe("session_expired")
+    expect(localStorage.getItem("jwt")).toBeNull()
+    expect(expired).toHaveBeenCalledTimes(1)
+  })
+
+  test("Then the same correlation id should be kept across retries", async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValueOnce(jsonResponse({}))
+    let sequence = 0
+    const api = new Api({ baseUrl: "http://api", policy, interceptors: [correlationIdInterceptor({ generate: () => `id-${sequence++}` })] })
+
+    await api.get({ url: "/bills" })
+
+    expect(sentHeaders(0)["X-Correlation-Id"]).toBe("id-0")
+    expect(sentHeaders(1)["X-Correlation-Id"]).toBe("id-0")
+  })
+
+  test("Then the Accept-Language header should be injected without overriding the caller's", async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse({}))
+    const api = new Api({ baseUrl: "http://api", policy, interceptors: [acceptLanguageInterceptor("fr-FR")] })
+
+    await api.get({ url: "/bills" })
+    await api.get({ url: "/bills", headers: { "Accept-Language": "en" } })
+
+    expect(sentHeaders(0)["Accept-Language"]).toBe("fr-FR")
+    expect(sentHeaders(1)["Accept-Language"]).toBe("en")
+  })
+
+  test("Then the timing of successful and failed requests should be logged", async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({}))
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+    const log = jest.fn()
+    let clock = 0
+    const api = new Api({ baseUrl: "http://api", policy: { ...policy, retries: 0 }, interceptors: [timingInterceptor({ log, now: () => (clock += 5) })] })
+
+    await api.get({ url: "/bills" })
+    await expect(api.post({ url: "/bills", data: "{}" })).rejects.toBeInstanceOf(NetworkError)
+
+    expect(log).toHaveBeenNthCalledWith(1, "GET /bills 200 5ms")
+    expect(log).toHaveBeenNthCalledWith(2, "POST /bills network 5ms")
+  })
+
+  test("Then an error thrown before the request should go through onError without sending it", async () => {
+    global.fetch = jest.fn()
+    const onError = jest.fn()
+    const api = new Api({ baseUrl: "http://api", policy, interceptors: [{ beforeRequest: () => { throw new AuthError("Non autorisé") } }, { onError }] })
+
+    await expect(new ApiEntity({ key: "bills", api }).list()).rejects.toBeInstanceOf(AuthError)
+    expect(onError).toHaveBeenCalled()
+    expect(global.fetch).not.toHaveBeenCalled()
+  })
+})
+
+describe("Given interceptors registered on the store at bootstrap", () => {
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  test("Then they should survive a new configuration", async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse([]))
+    const remove = store.use(acceptLanguageInterceptor("fr-FR"))
+
+    store.configure({ apiBaseUrl: "http://other", request: policy })
+    await store.bills().list({ query: { page: 1 } })
+
+    expect(global.fetch.mock.calls[0][0]).toBe("http://other/bills?page=1")
+    expect(sentHeaders()["Accept-Language"]).toBe("fr-FR")
+    remove()
+  })
+})
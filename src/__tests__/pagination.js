@@ -0,0 +1,50 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { screen } from "@testing-library/dom"
+import { toQueryString, fromQueryString, toPage, pageCount } from "../app/pagination.js"
+import Pager from "../views/Pager.js"
+
+describe('Given I list bills with a query', () => {
+  test('Then it should be serialized to query-string parameters, skipping empty values', () => {
+    expect(toQueryString({ page: 2, pageSize: 20, sort: '-date', status: 'pending', email: '', type: undefined }))
+      .toBe('?page=2&pageSize=20&sort=-date&status=pending')
+    expect(toQueryString({})).toBe('')
+  })
+
+  test('Then the query-string of the location should be read back', () => {
+    expect(fromQueryString('?page=2&status=pending')).toEqual({ page: 2, status: 'pending' })
+    expect(fromQueryString(undefined)).toEqual({})
+  })
+})
+
+describe('Given the backend answers a list', () => {
+  test('Then a page envelope should be kept as is', () => {
+    expect(toPage({ items: [{ id: '1' }], total: 41, page: 2, pageSize: 20 }))
+      .toEqual({ items: [{ id: '1' }], total: 41, page: 2, pageSize: 20 })
+  })
+
+  test('Then a plain array should be seen as a single page', () => {
+    expect(toPage([{ id: '1' }, { id: '2' }])).toEqual({ items: [{ id: '1' }, { id: '2' }], total: 2, page: 1, pageSize: 2 })
+  })
+
+  test('Then the number of pages should be computed from the totals', () => {
+    expect(pageCount({ total: 41, pageSize: 20 })).toBe(3)
+    expect(pageCount({ total: 0, pageSize: 20 })).toBe(1)
+  })
+})
+
+describe('Given the Pager is rendered', () => {
+  test('Then it should not be shown for a single page', () => {
+    expect(Pager({ total: 3, page: 1, pageSize: 20 })).toBe('')
+    expect(Pager(undefined)).toBe('')
+  })
+
+  test('Then it should link to the previous and next pages', () => {
+    document.body.innerHTML = Pager({ total: 41, page: 1, pageSize: 20 })
+    expect(screen.getByText(/Page 1 \/ 3/)).toBeTruthy()
+    expect(screen.getByTestId('btn-previous-page').disabled).toBe(true)
+    expect(screen.getByTestId('btn-next-page').getAttribute('data-page')).toBe('2')
+  })
+})
@@ -2,7 +2,7 @@
  * @jest-environment jsdom
  */
 
-import { ROUTES, ROUTES_PATH } from "../constants/routes"
+import { ROUTES, ROUTES_PATH, buildPath, matchRoute, resolvePath } from "../constants/routes"
 import { screen } from "@testing-library/dom"
 
 const data = []
@@ -63,7 +63,7 @@ describe('Given I am connected and I am on some page of the app', () => {
     })
   })
   describe('When I navigate to anywhere else other than Login, Bills, NewBill, Dashboard', () => {
-    test(('Then, it should render Loginpage'), () => {
+    test(('Then, it should render the not found page with a link back home'), () => {
       const pathname = '/anywhere-else'
       const html = ROUTES({
         pathname,
@@ -72,7 +72,51 @@ describe('Given I am connected and I am on some page of the app', () => {
         error
        })
        document.body.innerHTML = html
-       expect(screen.getAllByText('Administration')).toBeTruthy()
+       expect(screen.getByText('Page introuvable')).toBeTruthy()
+       expect(screen.getByTestId('btn-home').getAttribute('href')).toBe(ROUTES_PATH['Login'])
+       expect(screen.queryByText('Administration')).toBeNull()
+    })
+  })
+})
+
+describe('Given the route table', () => {
+  describe('When I match a location with parameters and a query string', () => {
+    test('Then the route name, params and query should be extracted', () => {
+      const route = matchRoute('#admin/dashboard/bill/47qAX%20b?status=pending&page=2')
+      expect(route.name).toBe('DashboardBill')
+      expect(route.params).toEqual({ id: '47qAX b' })
+      expect(route.query).toEqual({ status: 'pending', page: 2 })
+    })
+  })
+  describe('When I match a fixed path', () => {
+    test('Then it should not be taken for a parameterized one', () => {
+      expect(matchRoute('#employee/bill/new').name).toBe('NewBill')
+      expect(matchRoute('#admin/dashboard').params).toEqual({})
+      expect(matchRoute('#signup').name).toBe('SignUp')
+      expect(matchRoute('#signup/confirm?token=abc')).toMatchObject({ name: 'ConfirmEmail', query: { token: 'abc' } })
+    })
+  })
+  describe('When I match an unknown location', () => {
+    test('Then nothing should be matched', () => {
+      expect(matchRoute('#admin/dashboard/bill/')).toBeNull()
+      expect(matchRoute('#nowhere')).toBeNull()
+    })
+  })
+  describe('When I build the path of a route', () => {
+    test('Then params should be encoded and the query appended', () => {
+      expect(buildPath('DashboardBill', { id: 'a/b' }, { status: 'pending' })).toBe('#admin/dashboard/bill/a%2Fb?status=pending')
+      expect(buildPath('Bills')).toBe(ROUTES_PATH.Bills)
+    })
+    test('Then a missing param or an unknown route should throw', () => {
+      expect(() => buildPath('DashboardBill')).toThrow(/id/)
+      expect(() => buildPath('Nowhere')).toThrow(/Nowhere/)
+    })
+  })
+  describe('When I resolve a navigation target', () => {
+    test('Then route names should be built and paths kept as they are', () => {
+      expect(resolvePath('DashboardBill', { params: { id: '1' } })).toBe('#admin/dashboard/bill/1')
+      expect(resolvePath('#employee/bills?page=2')).toBe('#employee/bills?page=2')
+      expect(resolvePath(ROUTES_PATH.Login)).toBe('/')
     })
   })
 })
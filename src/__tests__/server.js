@@ -0,0 +1,433 @@
+/**
+ * @jest-environment node
+ */
+
+import { createApp } from "../../server/app.js"
+import Database from "../../server/Database.js"
+import { parseMultipart } from "../../server/multipart.js"
+import { signToken, verifyToken } from "../../server/token.js"
+import { Api, ApiEntity } from "../app/Store.js"
+import { AuthError, NotFoundError, ValidationError } from "../app/errors.js"
+import { bills as billsFixture } from "../fixtures/bills.js"
+
+// a real Storage stand-in: the shared localStorage mock double-encodes the values it returns
+const memoryStorage = () => {
+  const items = new Map()
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  }
+}
+
+const policy = { timeout: 2000, retries: 0 }
+
+let server
+let baseUrl
+let database
+let mails
+
+const signIn = (email, password) =>
+  new Api({ baseUrl, policy }).post({ url: '/auth/login', data: JSON.stringify({ email, password }), headers: { 'Content-Type': 'application/json' } })
+
+const login = async (email, password) => {
+  const { jwt } = await new Api({ baseUrl, policy }).post({ url: '/auth/login', data: JSON.stringify({ email, password }), headers: { 'Content-Type': 'application/json' } })
+  localStorage.setItem('jwt', jwt)
+  return jwt
+}
+
+const bills = () => new ApiEntity({ key: 'bills', api: new Api({ baseUrl, policy }) })
+const users = () => new ApiEntity({ key: 'users', api: new Api({ baseUrl, policy }) })
+const confirm = (token) => new Api({ baseUrl, policy }).post({ url: '/users/confirm', data: JSON.stringify({ token }), headers: { 'Content-Type': 'application/json' } })
+const confirmationToken = (mail) => /token=(\w+)/.exec(mail.text)[1]
+
+const upload = (type = 'image/png', fileName = 'note.png') => {
+  const data = new FormData()
+  data.append('file', new Blob(['dummy'], { type }), fileName)
+  data.append('email', 'a@a')
+  return bills().create({ data, headers: { noContentType: true } })
+}
+
+const replaceFile = (id) => {
+  const data = new FormData()
+  data.append('file', new Blob(['corrected'], { type: 'image/png' }), 'corrected.png')
+  return new Api({ baseUrl, policy }).post({ url: `/bills/${id}/file`, data })
+}
+
+beforeAll(() => {
+  global.localStorage = memoryStorage()
+})
+
+beforeEach((done) => {
+  database = new Database()
+  mails = []
+  server = createApp({ database, mailer: mail => mails.push(mail) }).listen(0, () => {
+    baseUrl = `http://localhost:${server.address().port}`
+    done()
+  })
+})
+
+afterEach((done) => {
+  localStorage.clear()
+  server.close(done)
+})
+
+describe("Given the fake backend is running", () => {
+  describe("When I log in with a seeded account", () => {
+    test("Then I should get a JWT carrying my role and an expiry", async () => {
+      const jwt = await login("employee@test.tld", "employee")
+      const claims = verifyToken(jwt, { secret: 'billed-fake-secret' })
+      expect(claims).toMatchObject({ email: "employee@test.tld", type: "Employee" })
+      expect(claims.exp * 1000).toBeGreaterThan(Date.now())
+    })
+  })
+
+  describe("When I log in with a wrong password", () => {
+    test("Then an auth error should be raised and no account created", async () => {
+      await expect(login("employee@test.tld", "oops")).rejects.toBeInstanceOf(AuthError)
+      expect(database.data.users.filter(user => user.email === "employee@test.tld")).toHaveLength(1)
+    })
+  })
+
+  describe("When I log in", () => {
+    test("Then the response should carry my account, whatever form I used", async () => {
+      const { user } = await signIn("employee@test.tld", "employee")
+      expect(user).toEqual({ id: expect.any(String), email: "employee@test.tld", type: "Employee", name: "employee", confirmed: true })
+    })
+  })
+
+  describe("When I sign up", () => {
+    test("Then I should only be able to log in once my email is confirmed", async () => {
+      const user = await users().create({ data: JSON.stringify({ email: "new@test.tld", password: "Secret12" }) })
+      expect(user).toMatchObject({ email: "new@test.tld", type: "Employee", name: "new", confirmed: false })
+      expect(user.password).toBeUndefined()
+      expect(user.confirmationToken).toBeUndefined()
+
+      const error = await login("new@test.tld", "Secret12").catch(e => e)
+      expect(error).toBeInstanceOf(AuthError)
+      expect(error.status).toBe(403)
+
+      expect(mails).toEqual([expect.objectContaining({ to: "new@test.tld", text: expect.stringContaining("#signup/confirm?token=") })])
+      await expect(confirm(confirmationToken(mails[0]))).resolves.toMatchObject({ email: "new@test.tld", confirmed: true })
+      await expect(login("new@test.tld", "Secret12")).resolves.toEqual(expect.any(String))
+    })
+
+    test("Then a confirmation token should only be usable once", async () => {
+      await users().create({ data: JSON.stringify({ email: "new@test.tld", password: "Secret12" }) })
+      const token = confirmationToken(mails[0])
+      await confirm(token)
+      await expect(confirm(token)).rejects.toBeInstanceOf(NotFoundError)
+    })
+
+    test("Then signing up again before confirming should send a new link", async () => {
+      await users().create({ data: JSON.stringify({ email: "new@test.tld", password: "Secret12" }) })
+      await users().create({ data: JSON.stringify({ email: "new@test.tld", password: "Other123" }) })
+      await expect(confirm(confirmationToken(mails[0]))).rejects.toBeInstanceOf(NotFoundError)
+      await confirm(confirmationToken(mails[1]))
+      await expect(login("new@test.tld", "Other123")).resolves.toEqual(expect.any(String))
+    })
+
+    test("Then I should not be able to give myself the Admin role", async () => {
+      const error = await users().create({ data: JSON.stringify({ type: "Admin", email: "boss@test.tld", password: "Secret12" }) }).catch(e => e)
+      expect(error).toBeInstanceOf(AuthError)
+      expect(database.findUser(user => user.email === "boss@test.tld")).toBeUndefined()
+    })
+
+    test("Then an admin should be able to create a confirmed Admin account", async () => {
+      await login("admin@test.tld", "admin")
+      await users().create({ data: JSON.stringify({ type: "Admin", email: "boss@test.tld", password: "Secret12" }) })
+      expect(mails).toEqual([])
+      await expect(login("boss@test.tld", "Secret12")).resolves.toEqual(expect.any(String))
+    })
+
+    test("Then an already used email should be refused", async () => {
+      const error = await users().create({ data: JSON.stringify({ email: "a@a", password: "Secret12" }) }).catch(e => e)
+      expect(error.status).toBe(409)
+    })
+
+    test("Then a weak password should be refused with the rules it breaks", async () => {
+      const error = await users().create({ data: JSON.stringify({ email: "new@test.tld", password: "secret" }) }).catch(e => e)
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(error.fields.password).toBe("Le mot de passe doit contenir : au moins 8 caractères, une lettre majuscule, un chiffre.")
+      expect(database.findUser(user => user.email === "new@test.tld")).toBeUndefined()
+      expect(mails).toEqual([])
+    })
+
+    test("Then invalid fields should come back as a validation error", async () => {
+      const error = await users().create({ data: JSON.stringify({ type: "Boss", email: "nope" }) }).catch(e => e)
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(Object.keys(error.fields)).toEqual(["email", "password", "type"])
+    })
+  })
+
+  describe("When I forget my password", () => {
+    const post = (url, body) => new Api({ baseUrl, policy }).post({ url, data: JSON.stringify(body), headers: { 'Content-Type': 'application/json' } })
+    const resetToken = (mail) => /token=(\w+)/.exec(mail.text)[1]
+
+    test("Then a reset link should be mailed and let me choose a new password once", async () => {
+      await post('/auth/password-reset', { email: "employee@test.tld" })
+      expect(mails).toEqual([expect.objectContaining({ to: "employee@test.tld", text: expect.stringContaining("#password/reset?token=") })])
+      const token = resetToken(mails[0])
+
+      await post('/auth/password-reset/confirm', { token, password: "Nouveau1" })
+
+      await expect(login("employee@test.tld", "employee")).rejects.toBeInstanceOf(AuthError)
+      await expect(login("employee@test.tld", "Nouveau1")).resolves.toEqual(expect.any(String))
+      await expect(post('/auth/password-reset/confirm', { token, password: "Autre123" })).rejects.toBeInstanceOf(NotFoundError)
+    })
+
+    test("Then an unknown email should get the same answer without any mail", async () => {
+      const known = await post('/auth/password-reset', { email: "employee@test.tld" })
+      const unknown = await post('/auth/password-reset', { email: "nobody@test.tld" })
+      expect(unknown).toEqual(known)
+      expect(mails).toHaveLength(1)
+    })
+
+    test("Then a weak password or an expired link should be refused", async () => {
+      await post('/auth/password-reset', { email: "employee@test.tld" })
+      const token = resetToken(mails[0])
+
+      const weak = await post('/auth/password-reset/confirm', { token, password: "short" }).catch(e => e)
+      expect(weak).toBeInstanceOf(ValidationError)
+      expect(weak.fields.password).toMatch(/au moins 8 caractères, une lettre majuscule, un chiffre/)
+
+      database.findUser(user => user.email === "employee@test.tld").resetExpiresAt = Date.now() - 1
+      const expired = await post('/auth/password-reset/confirm', { token, password: "Nouveau1" }).catch(e => e)
+      expect(expired.status).toBe(410)
+    })
+  })
+
+  describe("When I change my password", () => {
+    const change = (body) => new Api({ baseUrl, policy }).post({ url: '/users/me/password', data: JSON.stringify(body), headers: { 'Content-Type': 'application/json' } })
+
+    test("Then my current password should be required", async () => {
+      await login("a@a", "a")
+      const error = await change({ currentPassword: "wrong", password: "Nouveau1" }).catch(e => e)
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(Object.keys(error.fields)).toEqual(["currentPassword"])
+
+      await change({ currentPassword: "a", password: "Nouveau1" })
+      await expect(login("a@a", "Nouveau1")).resolves.toEqual(expect.any(String))
+    })
+
+    test("Then it should not be possible without a session", async () => {
+      await expect(change({ currentPassword: "a", password: "Nouveau1" })).rejects.toBeInstanceOf(AuthError)
+    })
+  })
+
+  describe("When I list bills without being logged in", () => {
+    test("Then the request should be refused", async () => {
+      await expect(bills().list()).rejects.toBeInstanceOf(AuthError)
+    })
+  })
+
+  describe("When I list bills as the owner of the fixtures", () => {
+    test("Then I should get them, seeded from the fixtures", async () => {
+      await login("a@a", "a")
+      const page = await bills().list()
+      expect(page.total).toBe(billsFixture.length)
+      expect(page.items.map(bill => bill.date)).toEqual(billsFixture.map(bill => bill.date).sort().reverse())
+    })
+
+    test("Then the query should filter, sort and paginate them", async () => {
+      await login("a@a", "a")
+      const page = await bills().list({ query: { status: "refused", sort: "amount", page: 1, pageSize: 1 } })
+      expect(page).toMatchObject({ total: 2, page: 1, pageSize: 1 })
+      expect(page.items[0].amount).toBe(100)
+    })
+  })
+
+  describe("When I list bills as another employee", () => {
+    test("Then I should not see the bills of others", async () => {
+      await login("employee@test.tld", "employee")
+      expect((await bills().list()).total).toBe(0)
+      await expect(bills().select({ selector: billsFixture[0].id })).rejects.toMatchObject({ status: 404 })
+    })
+  })
+
+  describe("When I upload a justificatif and submit the bill", () => {
+    test("Then the file should be served and the bill updated", async () => {
+      await login("a@a", "a")
+      const { key, fileUrl } = await upload()
+
+      const file = await fetch(fileUrl)
+      expect(file.headers.get("content-type")).toBe("image/png")
+      expect(await file.text()).toBe("dummy")
+
+      const bill = await bills().update({ selector: key, data: JSON.stringify({ name: "Taxi", amount: 42, status: "pending", fileUrl, fileName: "note.png" }) })
+      expect(bill).toMatchObject({ id: key, email: "a@a", name: "Taxi", amount: 42, status: "pending" })
+    })
+
+    test("Then a file of the wrong type should be refused with a field error", async () => {
+      await login("a@a", "a")
+      const error = await upload("application/pdf", "note.pdf").catch(e => e)
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(error.fields.file).toMatch(/png, jpg, jpeg/)
+    })
+
+    test("Then retrying with the same idempotency key should not create a second bill", async () => {
+      await login("a@a", "a")
+      const data = () => {
+        const form = new FormData()
+        form.append('file', new Blob(['dummy'], { type: 'image/png' }), 'note.png')
+        return form
+      }
+      const first = await bills().create({ data: data(), headers: { noContentType: true }, idempotencyKey: "retry-1" })
+      const second = await bills().create({ data: data(), headers: { noContentType: true }, idempotencyKey: "retry-1" })
+      expect(second).toEqual(first)
+      expect(database.bills()).toHaveLength(billsFixture.length + 1)
+    })
+  })
+
+  describe("When an employee tries to accept their own bill", () => {
+    test("Then it should be forbidden while an admin can", async () => {
+      await login("a@a", "a")
+      await expect(bills().update({ selector: billsFixture[0].id, data: JSON.stringify({ status: "accepted" }) })).rejects.toMatchObject({ status: 403 })
+
+      await login("admin@test.tld", "admin")
+      const bill = await bills().update({ selector: billsFixture[0].id, data: JSON.stringify({ status: "accepted", commentAdmin: "ok" }) })
+      expect(bill.status).toBe("accepted")
+    })
+  })
+
+  describe("When an employee edits a bill already sent", () => {
+    test("Then it should be forbidden unless the bill was refused", async () => {
+      await login("a@a", "a")
+      const pending = billsFixture.find(bill => bill.status === "pending")
+      const accepted = billsFixture.find(bill => bill.status === "accepted")
+      await expect(bills().update({ selector: pending.id, data: JSON.stringify({ amount: 1 }) })).rejects.toMatchObject({ status: 403 })
+      await expect(bills().update({ selector: accepted.id, data: JSON.stringify({ status: "pending" }) })).rejects.toMatchObject({ status: 403 })
+      expect(database.findBill(pending.id).amount).toBe(pending.amount)
+      expect(database.findBill(accepted.id).status).toBe("accepted")
+    })
+  })
+
+  describe("When a bill goes through its review", () => {
+    const review = (id) => new Api({ baseUrl, policy }).post({ url: `/bills/${id}/review`, headers: { 'Content-Type': 'application/json' } })
+
+    test("Then the server should date its submission, its first review and the decision", async () => {
+      await login("a@a", "a")
+      const { key } = await upload()
+      const submitted = await bills().update({ selector: key, data: JSON.stringify({ name: "Taxi", status: "pending", submittedAt: "2000-01-01" }) })
+      expect(submitted.createdAt).toEqual(expect.any(String))
+      expect(new Date(submitted.submittedAt).getTime()).toBeGreaterThan(new Date("2001-01-01").getTime())
+      await expect(review(key)).rejects.toMatchObject({ status: 403 })
+
+      await login("admin@test.tld", "admin")
+      const { reviewedAt } = await review(key)
+      expect((await review(key)).reviewedAt).toBe(reviewedAt)
+
+      const decided = await bills().update({ selector: key, data: JSON.stringify({ status: "refused", commentAdmin: "illisible" }) })
+      expect(decided).toMatchObject({ reviewedAt, decidedAt: expect.any(String) })
+    })
+  })
+
+  describe("When I correct and send again a refused bill", () => {
+    test("Then the refused version should be kept in its revisions and its review start over", async () => {
+      await login("a@a", "a")
+      const { key, fileUrl } = await upload()
+      await bills().update({ selector: key, data: JSON.stringify({ name: "Taxi", amount: 40, status: "pending", fileUrl }) })
+      await login("admin@test.tld", "admin")
+      await bills().update({ selector: key, data: JSON.stringify({ status: "refused", commentAdmin: "illisible" }) })
+
+      await login("a@a", "a")
+      const replaced = await replaceFile(key)
+      expect(database.findBill(key).fileUrl).toBe(fileUrl)
+      const bill = await bills().update({ selector: key, data: JSON.stringify({ name: "Taxi", amount: 42, status: "pending", ...replaced }) })
+
+      expect(bill).toMatchObject({ amount: 42, status: "pending", fileName: "corrected.png", commentAdmin: "", reviewedAt: null, decidedAt: null })
+      expect(bill.revisions).toHaveLength(1)
+      expect(bill.revisions[0]).toMatchObject({ amount: 40, status: "refused", commentAdmin: "illisible", fileUrl })
+      expect(await (await fetch(fileUrl)).text()).toBe("dummy")
+      expect(await (await fetch(bill.fileUrl)).text()).toBe("corrected")
+
+      await bills().delete({ selector: key })
+      expect((await fetch(fileUrl)).status).toBe(404)
+      expect((await fetch(bill.fileUrl)).status).toBe(404)
+    })
+
+    test("Then a justificatif that was never uploaded should be refused", async () => {
+      await login("a@a", "a")
+      const { key } = await upload()
+      const error = await bills().update({ selector: key, data: JSON.stringify({ fileUrl: `${baseUrl}/files/unknown` }) }).catch(e => e)
+      expect(error).toBeInstanceOf(ValidationError)
+    })
+  })
+
+  describe("When I leave a bill as a draft", () => {
+    test("Then it should only be listed for me and when asked for", async () => {
+      await login("a@a", "a")
+      const { key } = await upload()
+      await bills().update({ selector: key, data: JSON.stringify({ name: "Taxi", status: "draft" }) })
+      expect((await bills().list()).items.map(bill => bill.id)).not.toContain(key)
+      expect((await bills().list({ query: { status: "draft" } })).items).toEqual([expect.objectContaining({ id: key, name: "Taxi", status: "draft" })])
+
+      await login("admin@test.tld", "admin")
+      expect((await bills().list({ query: { status: "draft" } })).items).toEqual([])
+    })
+
+    test("Then a bill once sent should not go back to being a draft", async () => {
+      await login("a@a", "a")
+      const { key } = await upload()
+      await bills().update({ selector: key, data: JSON.stringify({ name: "Taxi", status: "pending" }) })
+      await expect(bills().update({ selector: key, data: JSON.stringify({ name: "Taxi", status: "draft" }) })).rejects.toMatchObject({ status: 403 })
+      expect(database.findBill(key).status).toBe("pending")
+    })
+
+    test("Then the justificatif it no longer uses should be deleted", async () => {
+      await login("a@a", "a")
+      const { key, fileUrl } = await upload()
+      const replaced = await replaceFile(key)
+      await bills().update({ selector: key, data: JSON.stringify({ status: "draft", ...replaced }) })
+      expect((await fetch(fileUrl)).status).toBe(404)
+      expect(await (await fetch(replaced.fileUrl)).text()).toBe("corrected")
+    })
+  })
+
+  describe("When I delete a bill", () => {
+    test("Then a bill already decided on should not be withdrawn by its employee", async () => {
+      await login("a@a", "a")
+      const refused = billsFixture.find(bill => bill.status === "refused")
+      await expect(bills().delete({ selector: refused.id })).rejects.toMatchObject({ status: 403 })
+      expect(database.findBill(refused.id)).toBeTruthy()
+    })
+
+    test("Then its file should be deleted too", async () => {
+      await login("a@a", "a")
+      const { key, fileUrl } = await upload()
+      await bills().delete({ selector: key })
+      expect((await fetch(fileUrl)).status).toBe(404)
+      expect(database.findBill(key)).toBeUndefined()
+    })
+  })
+})
+
+describe("Given the fake backend helpers", () => {
+  test("Then a forged or expired token should be rejected", () => {
+    const token = signToken({ userId: "1" }, { secret: "s", expiresIn: 60 })
+    expect(verifyToken(token, { secret: "s" })).toMatchObject({ userId: "1" })
+    expect(verifyToken(token, { secret: "other" })).toBeNull()
+    expect(verifyToken(signToken({ userId: "1" }, { secret: "s", expiresIn: -1 }), { secret: "s" })).toBeNull()
+  })
+
+  test("Then a multipart body should be split into fields and files", () => {
+    const body = Buffer.from([
+      "--b",
+      'Content-Disposition: form-data; name="email"',
+      "",
+      "a@a",
+      "--b",
+      'Content-Disposition: form-data; name="file"; filename="note.png"',
+      "Content-Type: image/png",
+      "",
+      "png-bytes",
+      "--b--",
+      ""
+    ].join("\r\n"))
+    const { fields, files } = parseMultipart(body, "multipart/form-data; boundary=b")
+    expect(fields).toEqual({ email: "a@a" })
+    expect(files.file).toMatchObject({ fileName: "note.png", mimeType: "image/png" })
+    expect(files.file.data.toString()).toBe("png-bytes")
+  })
+})
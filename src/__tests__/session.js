@@ -0,0 +1,220 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { screen } from "@testing-library/dom"
+import {
+  decodeToken,
+  getRole,
+  isAuthenticated,
+  isTokenExpired,
+  watchSession,
+  onSessionExpired,
+  saveReturnLocation,
+  consumeReturnLocation,
+  startSession,
+  clearSession,
+  getUser,
+  getSessionItem,
+  scrubStoredPasswords
+} from "../app/session.js"
+import router from "../app/Router.js"
+import { checkAccess } from "../app/guards.js"
+import { ROUTES_PATH } from "../constants/routes.js"
+import { tokenFor } from "../__mocks__/jwt.js"
+
+jest.mock("../app/Store.js", () => ({
+  __esModule: true,
+  default: require("../__mocks__/store").default,
+}))
+
+const tokenExpiringAt = (exp) => {
+  const encode = (object) => btoa(JSON.stringify(object)).replace(/=+$/, '')
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ email: 'a@a', exp })}.signature`
+}
+const inSeconds = (seconds) => Math.floor(Date.now() / 1000) + seconds
+
+describe('Given I have a JWT', () => {
+  test('Then its payload should be decoded', () => {
+    expect(decodeToken(tokenExpiringAt(42))).toEqual({ email: 'a@a', exp: 42 })
+    expect(decodeToken('not-a-token')).toBeNull()
+  })
+
+  test('Then it should be considered expired once its exp date has passed', () => {
+    expect(isTokenExpired(tokenExpiringAt(inSeconds(-10)))).toBe(true)
+    expect(isTokenExpired(tokenExpiringAt(inSeconds(60)))).toBe(false)
+    expect(isTokenExpired('not-a-token')).toBe(false)
+  })
+})
+
+describe('Given I am connected with a token', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    jest.useFakeTimers()
+  })
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('When the token lapses', () => {
+    test('Then the session should expire and the token be removed', () => {
+      localStorage.setItem('jwt', tokenExpiringAt(inSeconds(60)))
+      const listener = jest.fn()
+      const stop = onSessionExpired(listener)
+
+      expect(watchSession()).toBe(true)
+      expect(listener).not.toHaveBeenCalled()
+      jest.advanceTimersByTime(61 * 1000)
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(localStorage.getItem('jwt')).toBeNull()
+      stop()
+    })
+  })
+
+  describe('When I log out before the token lapses', () => {
+    test('Then nothing should happen at expiry', () => {
+      localStorage.setItem('jwt', tokenExpiringAt(inSeconds(60)))
+      const listener = jest.fn()
+      const stop = onSessionExpired(listener)
+
+      watchSession()
+      localStorage.clear()
+      jest.advanceTimersByTime(61 * 1000)
+
+      expect(listener).not.toHaveBeenCalled()
+      stop()
+    })
+  })
+
+  describe('When I open the app on a page with an expired token', () => {
+    test('Then I should be sent to Login with a message and my page remembered', () => {
+      localStorage.setItem('jwt', tokenExpiringAt(inSeconds(-10)))
+      localStorage.setItem('user', JSON.stringify({ type: 'Employee', email: 'a@a' }))
+      window.history.pushState({}, '', window.location.origin + '/' + ROUTES_PATH['Bills'])
+      document.body.innerHTML = `<div id="root"></div>`
+
+      router()
+
+      expect(screen.getByTestId('login-error').textContent).toMatch(/session a expiré/)
+      expect(localStorage.getItem('returnLocation')).toBe(ROUTES_PATH['Bills'])
+    })
+  })
+})
+
+describe('Given a return location was saved', () => {
+  beforeEach(() => localStorage.clear())
+
+  test('Then it should be used once for a user of the same space', () => {
+    saveReturnLocation('#employee/bill/new')
+    expect(consumeReturnLocation(ROUTES_PATH['Bills'])).toBe('#employee/bill/new')
+    expect(consumeReturnLocation(ROUTES_PATH['Bills'])).toBe(ROUTES_PATH['Bills'])
+  })
+
+  test('Then it should be ignored for a user of another space', () => {
+    saveReturnLocation('#employee/bill/new')
+    expect(consumeReturnLocation(ROUTES_PATH['Dashboard'])).toBe(ROUTES_PATH['Dashboard'])
+  })
+})
+
+describe('Given the server signed my role in the JWT', () => {
+  beforeEach(() => localStorage.clear())
+
+  test('Then it should be read from the token', () => {
+    localStorage.setItem('jwt', tokenFor({ type: 'Admin', exp: inSeconds(60) }))
+    expect(getRole()).toBe('Admin')
+    expect(isAuthenticated()).toBe(true)
+  })
+
+  test('Then a token without a role should leave it to the profile the login answered with', () => {
+    startSession({ jwt: tokenExpiringAt(inSeconds(60)), user: { email: 'a@a', type: 'Employee' } }, { remember: true })
+    expect(getRole()).toBe('Employee')
+    expect(checkAccess({ guard: 'Employee' })).toBe('allow')
+    expect(checkAccess({ guard: 'Admin' })).toBe('forbidden')
+  })
+
+  test('Then an expired or missing token should not count as a session', () => {
+    expect(isAuthenticated()).toBe(false)
+    expect(getRole()).toBeNull()
+    localStorage.setItem('jwt', tokenExpiringAt(inSeconds(-10)))
+    expect(isAuthenticated()).toBe(false)
+  })
+})
+
+describe('Given I log in', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    sessionStorage.clear()
+  })
+
+  const login = { jwt: tokenFor({ type: 'Employee' }), user: { id: '42', email: 'a@a', type: 'Employee', name: 'a', confirmed: true } }
+
+  describe('When I do not ask to stay connected', () => {
+    test('Then the session should only be kept for the tab, with a minimal profile', () => {
+      expect(startSession(login)).toEqual({ email: 'a@a', type: 'Employee', name: 'a' })
+
+      expect(sessionStorage.getItem('jwt')).toBe(login.jwt)
+      expect(localStorage.getItem('jwt')).toBeNull()
+      expect(getUser()).toEqual({ email: 'a@a', type: 'Employee', name: 'a' })
+      expect(getRole()).toBe('Employee')
+    })
+  })
+
+  describe('When I ask to stay connected', () => {
+    test('Then the session should be kept in localStorage, replacing the one of the tab', () => {
+      startSession({ jwt: 'previous', user: { email: 'b@b', type: 'Admin' } })
+      startSession(login, { remember: true })
+
+      expect(localStorage.getItem('jwt')).toBe(login.jwt)
+      expect(sessionStorage.getItem('jwt')).toBeNull()
+      expect(getSessionItem('jwt')).toBe(login.jwt)
+      expect(getUser().email).toBe('a@a')
+    })
+  })
+
+  describe('When I log out', () => {
+    test('Then the session should be removed from both storages', () => {
+      startSession(login, { remember: true })
+      sessionStorage.setItem('jwt', 'other')
+      saveReturnLocation('#employee/bill/new')
+
+      clearSession()
+
+      expect(getSessionItem('jwt')).toBeNull()
+      expect(getUser()).toBeNull()
+      expect(localStorage.getItem('returnLocation')).toBeNull()
+    })
+  })
+})
+
+describe('Given an earlier version stored my password', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    sessionStorage.clear()
+  })
+
+  describe('When the app starts', () => {
+    test('Then the password should be scrubbed and the rest of the profile kept', () => {
+      localStorage.setItem('user', JSON.stringify({ type: 'Employee', email: 'a@a', password: 'secret', status: 'connected' }))
+      localStorage.setItem('jwt', tokenFor({ type: 'Employee' }))
+      window.history.pushState({}, '', window.location.origin + '/')
+      document.body.innerHTML = `<div id="root"></div>`
+
+      router()
+
+      expect(localStorage.getItem('user')).not.toMatch(/secret/)
+      expect(getUser()).toEqual({ type: 'Employee', email: 'a@a' })
+      expect(localStorage.getItem('jwt')).not.toBeNull()
+    })
+
+    test('Then an unreadable entry should be dropped and a clean one left alone', () => {
+      localStorage.setItem('user', '{not json')
+      sessionStorage.setItem('user', JSON.stringify({ type: 'Admin', email: 'b@b', name: 'b' }))
+
+      scrubStoredPasswords()
+
+      expect(localStorage.getItem('user')).toBeNull()
+      expect(sessionStorage.getItem('user')).toBe(JSON.stringify({ type: 'Admin', email: 'b@b', name: 'b' }))
+    })
+  })
+})
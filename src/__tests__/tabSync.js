@@ -0,0 +1,72 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import FakeBroadcastChannel from "../__mocks__/broadcastChannel.js"
+import { SESSION_CHANNEL, announceSession, watchOtherTabs } from "../app/tabSync.js"
+import { clearSession, startSession } from "../app/session.js"
+import { tokenFor } from "../__mocks__/jwt.js"
+
+global.BroadcastChannel = FakeBroadcastChannel
+
+describe("Given the app is open in several tabs", () => {
+  let otherTab
+  let received
+
+  beforeEach(() => {
+    otherTab = new BroadcastChannel(SESSION_CHANNEL)
+    received = jest.fn()
+    otherTab.addEventListener("message", received)
+    localStorage.clear()
+    sessionStorage.clear()
+  })
+  afterEach(() => {
+    otherTab.removeEventListener("message", received)
+  })
+
+  describe("When I log in or out in this tab", () => {
+    test("Then the other tabs should be told", () => {
+      startSession({ jwt: tokenFor({ type: "Employee" }), user: { email: "a@a", type: "Employee" } })
+      clearSession()
+
+      expect(received.mock.calls.map(([e]) => e.data)).toEqual([
+        { type: "login", email: "a@a" },
+        { type: "logout", email: "a@a" }
+      ])
+    })
+
+    test("Then a logout relayed from another tab should not be broadcast again", () => {
+      startSession({ jwt: tokenFor({ type: "Employee" }), user: { email: "a@a", type: "Employee" } })
+      received.mockClear()
+      clearSession({ broadcast: false })
+      expect(received).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("When another tab changes the session", () => {
+    test("Then its messages and its writes to the shared session should be reported", () => {
+      const onChange = jest.fn()
+      const stop = watchOtherTabs(onChange)
+
+      otherTab.postMessage({ type: "logout", email: "a@a" })
+      window.dispatchEvent(new StorageEvent("storage", { key: "jwt", storageArea: localStorage }))
+      window.dispatchEvent(new StorageEvent("storage", { key: null }))
+
+      expect(onChange.mock.calls).toEqual([[{ type: "logout", email: "a@a" }], [{ type: "storage" }], [{ type: "storage" }]])
+      stop()
+    })
+
+    test("Then other keys and the sessionStorage of the tab should be ignored, as after stopping", () => {
+      const onChange = jest.fn()
+      const stop = watchOtherTabs(onChange)
+
+      window.dispatchEvent(new StorageEvent("storage", { key: "returnLocation", storageArea: localStorage }))
+      window.dispatchEvent(new StorageEvent("storage", { key: "jwt", storageArea: sessionStorage }))
+      stop()
+      otherTab.postMessage({ type: "logout", email: "a@a" })
+      announceSession("login", "a@a")
+
+      expect(onChange).not.toHaveBeenCalled()
+    })
+  })
+})
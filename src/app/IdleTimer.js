@@ -0,0 +1,60 @@
+export const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart']
+export const IDLE_WARNING = 60 * 1000
+
+// a mouse move fires dozens of events, the timers are only rescheduled once per second
+const ACTIVITY_THROTTLE = 1000
+
+// Counts the time since the last activity of the user: onWarn(remaining) is called `warning` ms before
+// the timeout, then onTimeout. Once warned, only extend() restarts the count: the user has to choose to stay.
+export default class IdleTimer {
+  constructor({ timeout, warning = IDLE_WARNING, onWarn, onTimeout, target = document }) {
+    this.timeout = timeout
+    this.warning = Math.min(warning, timeout)
+    this.onWarn = onWarn
+    this.onTimeout = onTimeout
+    this.target = target
+    this.running = false
+    this.warned = false
+    this.lastActivity = 0
+  }
+
+  start = () => {
+    if (this.running) return
+    this.running = true
+    ACTIVITY_EVENTS.forEach(event => this.target.addEventListener(event, this.handleActivity, { passive: true }))
+    this.schedule()
+  }
+
+  stop = () => {
+    this.running = false
+    this.warned = false
+    ACTIVITY_EVENTS.forEach(event => this.target.removeEventListener(event, this.handleActivity))
+    clearTimeout(this.warnTimer)
+    clearTimeout(this.timeoutTimer)
+  }
+
+  extend = () => {
+    if (!this.running) return
+    this.warned = false
+    this.schedule()
+  }
+
+  handleActivity = () => {
+    if (this.warned || Date.now() - this.lastActivity < ACTIVITY_THROTTLE) return
+    this.schedule()
+  }
+
+  schedule = () => {
+    this.lastActivity = Date.now()
+    clearTimeout(this.warnTimer)
+    clearTimeout(this.timeoutTimer)
+    this.warnTimer = setTimeout(() => {
+      this.warned = true
+      this.onWarn(this.warning)
+    }, this.timeout - this.warning)
+    this.timeoutTimer = setTimeout(() => {
+      this.stop()
+      this.onTimeout()
+    }, this.timeout)
+  }
+}
@@ -0,0 +1,138 @@
+import { NetworkError } from './errors.js'
+
+export const OUTBOX_DB = 'billed-outbox'
+export const LOCAL_ID_PREFIX = 'local-'
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX)
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+export class IndexedDbStorage {
+  constructor(name = OUTBOX_DB) {
+    this.name = name
+  }
+  db() {
+    if (!this.opening) {
+      const request = indexedDB.open(this.name, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore('entries', { keyPath: 'id' })
+      this.opening = promisify(request)
+    }
+    return this.opening
+  }
+  async run(mode, action) {
+    const db = await this.db()
+    return promisify(action(db.transaction('entries', mode).objectStore('entries')))
+  }
+  all = () => this.run('readonly', entries => entries.getAll())
+  put = (entry) => this.run('readwrite', entries => entries.put(entry))
+  delete = (id) => this.run('readwrite', entries => entries.delete(id))
+}
+
+// used where IndexedDB is not available (jsdom, some private browsing modes)
+export class MemoryStorage {
+  constructor() {
+    this.entries = new Map()
+  }
+  all = async () => [...this.entries.values()]
+  put = async (entry) => { this.entries.set(entry.id, entry) }
+  delete = async (id) => { this.entries.delete(id) }
+}
+
+let sequence = 0
+const nextId = () => `${Date.now()}-${sequence++}`
+
+// queue of uploads and bill updates made while offline, replayed in order once back online
+export default class Outbox {
+  constructor({ bills, storage }) {
+    this.bills = bills
+    this.storage = storage || (typeof indexedDB !== 'undefined' ? new IndexedDbStorage() : new MemoryStorage())
+    this.replaying = null
+  }
+
+  entries = async () => (await this.storage.all())
+    .sort((a, b) => a.createdAt - b.createdAt || a.sequence - b.sequence)
+
+  enqueue = async ({ id = nextId(), ...fields }) => {
+    const entry = { id, createdAt: Date.now(), sequence: sequence++, status: 'pending', ...fields }
+    await this.storage.put(entry)
+    return entry
+  }
+
+  // returns the local id standing for the bill until the upload reaches the server
+  queueUpload = async ({ file, fileName, email }) => {
+    const id = nextId()
+    const billId = `${LOCAL_ID_PREFIX}${id}`
+    await this.enqueue({ id, type: 'upload', email, billId, payload: { file, fileName } })
+    return billId
+  }
+
+  queueUpdate = ({ billId, bill }) => this.enqueue({ type: 'update', email: bill.email, billId, payload: bill })
+
+  remove = (id) => this.storage.delete(id)
+
+  // bills waiting to be sent (or whose replay failed) for a user, as they will look once sent
+  pendingBills = async (email) => (await this.entries())
+    .filter(entry => entry.type === 'update' && entry.email === email)
+    .map(entry => ({
+      ...entry.payload,
+      id: entry.billId,
+      outbox: entry.status,
+      outboxId: entry.id,
+      outboxError: entry.error
+    }))
+
+  replay = (email) => {
+    if (!this.replaying) {
+      this.replaying = this.flush(email).finally(() => { this.replaying = null })
+    }
+    return this.replaying
+  }
+
+  flush = async (email) => {
+    const entries = (await this.entries()).filter(entry => entry.email === email && entry.status === 'pending')
+    for (const { id } of entries) {
+      // an earlier upload may have given this entry its server id
+      const entry = (await this.entries()).find(candidate => candidate.id === id)
+      try {
+        await this.send(entry)
+        await this.storage.delete(entry.id)
+      } catch (error) {
+        // still offline, the remaining entries wait for the next replay
+        if (error instanceof NetworkError) return
+        console.error('Outbox replay failed for', entry, error)
+        await this.storage.put({ ...entry, status: 'failed', error: error.message })
+      }
+    }
+  }
+
+  send = async (entry) => {
+    if (entry.type === 'upload') {
+      const formData = new FormData()
+      formData.append('file', entry.payload.file, entry.payload.fileName)
+      formData.append('email', entry.email)
+      const { key, fileUrl } = await this.bills().create({
+        data: formData,
+        headers: { noContentType: true },
+        idempotencyKey: entry.id
+      })
+      const dependents = (await this.entries()).filter(other => other.type === 'update' && other.billId === entry.billId)
+      for (const dependent of dependents) {
+        await this.storage.put({
+          ...dependent,
+          billId: key,
+          payload: { ...dependent.payload, fileUrl: dependent.payload.fileUrl || fileUrl }
+        })
+      }
+    } else {
+      if (isLocalId(entry.billId)) throw new Error("Le justificatif de cette note n'a pas pu être envoyé.")
+      await this.bills().update({
+        data: JSON.stringify(entry.payload),
+        selector: entry.billId,
+        idempotencyKey: entry.id
+      })
+    }
+  }
+}
@@ -0,0 +1,61 @@
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// stale-while-revalidate cache: a cached read resolves at once with the last known value
+// while a background request refreshes it, and onRevalidate is told when the value changed
+export default class ReadCache {
+  constructor({ maxAge = 0 } = {}) {
+    this.maxAge = maxAge
+    this.entries = new Map()
+  }
+
+  // fresh waits for the server instead, for a form about to write over the value
+  read = (key, fetcher, { onRevalidate, fresh = false } = {}) => {
+    const entry = this.entries.get(key)
+    if (!entry) {
+      const created = { fetcher, onRevalidate, stale: true }
+      this.entries.set(key, created)
+      return this.refresh(created).catch(error => {
+        if (!('value' in created)) this.entries.delete(key)
+        throw error
+      })
+    }
+    entry.fetcher = fetcher
+    entry.onRevalidate = onRevalidate
+    if (!('value' in entry)) return entry.request
+    if (fresh) return this.refresh(entry)
+    if (entry.stale || Date.now() - entry.fetchedAt >= this.maxAge) this.revalidate(entry)
+    return Promise.resolve(entry.value)
+  }
+
+  refresh = (entry) => {
+    // only the latest request of an entry is allowed to update it
+    const request = entry.request = Promise.resolve().then(entry.fetcher).then(value => {
+      if (entry.request !== request) return entry.request
+      const changed = 'value' in entry && !sameValue(entry.value, value)
+      entry.value = value
+      entry.fetchedAt = Date.now()
+      entry.stale = false
+      if (changed && entry.onRevalidate) entry.onRevalidate(value)
+      return value
+    })
+    return request
+  }
+
+  revalidate = (entry) => {
+    // a failed background refresh keeps serving the stale value
+    this.refresh(entry).catch(error => console.error(error))
+  }
+
+  invalidate = (prefix) => {
+    this.entries.forEach((entry, key) => {
+      if (key !== prefix && !key.startsWith(`${prefix}/`) && !key.startsWith(`${prefix}?`)) return
+      entry.stale = true
+      // a page is still showing this data, refresh it right away
+      if (entry.onRevalidate && 'value' in entry) this.revalidate(entry)
+    })
+  }
+
+  clear = () => {
+    this.entries.clear()
+  }
+}
@@ -1,116 +1,373 @@
 import store from "./Store.js"
 import Login, { PREVIOUS_LOCATION } from "../containers/Login.js"
 import Bills  from "../containers/Bills.js"
-import NewBill from "../containers/NewBill.js"
+import NewBill, { getEditableBill } from "../containers/NewBill.js"
+import BillDetail from "../containers/BillDetail.js"
 import Dashboard from "../containers/Dashboard.js"
+import SignUp from "../containers/SignUp.js"
+import ConfirmEmail from "../containers/ConfirmEmail.js"
+import ForgotPassword from "../containers/ForgotPassword.js"
+import ResetPassword from "../containers/ResetPassword.js"
+import ChangePassword from "../containers/ChangePassword.js"
+import IdleWarning from "../containers/IdleWarning.js"
+import { logout } from "../containers/Logout.js"
 
 import BillsUI from "../views/BillsUI.js"
+import BillDetailUI from "../views/BillDetailUI.js"
+import NewBillUI from "../views/NewBillUI.js"
 import DashboardUI from "../views/DashboardUI.js"
+import ForbiddenPage from "../views/ForbiddenPage.js"
+import NotFoundPage from "../views/NotFoundPage.js"
 
-import { ROUTES, ROUTES_PATH } from "../constants/routes.js"
+import { ROUTES, ROUTES_PATH, homePath, matchRoute, resolvePath } from "../constants/routes.js"
+import { AuthError, isUnauthenticated } from "./errors.js"
+import { getConfig } from "./config.js"
+import IdleTimer from "./IdleTimer.js"
+import { LOGIN_REQUIRED_MESSAGE, checkAccess } from "./guards.js"
+import {
+  SESSION_EXPIRED_MESSAGE, clearSession, getRole, getSessionItem, getUser, isAuthenticated,
+  onSessionExpired, saveReturnLocation, scrubStoredPasswords, watchSession
+} from "./session.js"
+import { watchOtherTabs } from "./tabSync.js"
+import { readLocalDraft } from "./drafts.js"
 
-export default () => {
-  const rootDiv = document.getElementById('root')
-  rootDiv.innerHTML = ROUTES({ pathname: window.location.pathname })
-
-  window.onNavigate = (pathname) => {
-
-    window.history.pushState(
-      {},
-      pathname,
-      window.location.origin + pathname
-    )
-    if (pathname === ROUTES_PATH['Login']) {
-      rootDiv.innerHTML = ROUTES({ pathname })
-      document.body.style.backgroundColor="#0E5AE5"
+export const IDLE_LOGOUT_MESSAGE = "Vous avez été déconnecté après une période d'inactivité."
+export const OTHER_TAB_LOGOUT_MESSAGE = "Vous avez été déconnecté depuis un autre onglet."
+
+let stopSessionListener = null
+let stopTabSync = null
+let idleTimer = null
+// the Bills container of the page shown, whose withdrawal waiting for its undo delay survives a repaint
+let shownBills = null
+
+const LOGIN_BACKGROUND = '#0E5AE5'
+const PAGE_BACKGROUND = '#fff'
+
+// the fields of a new bill typed in this browser by the user connected, see drafts.js
+const ownLocalDraft = () => {
+  const user = getUser()
+  return user ? readLocalDraft(user.email) : null
+}
+
+// One entry per route name, each hook being optional:
+// - load(route, refresh): resolves with the data of the page, refresh(data) repaints it after a background revalidation
+// - render(route, data): the markup of the page, ROUTES by default
+// - mount(route, data, state): binds the container to the rendered markup, state being the history state of the entry
+//   when coming back to it; may return a cleanup called when leaving the page, not when a background refresh repaints it
+// activeIcon is the VerticalLayout icon to highlight, background the color of the body
+const pages = {
+  Login: {
+    background: LOGIN_BACKGROUND,
+    mount: () => {
       new Login({ document, localStorage, onNavigate, PREVIOUS_LOCATION, store })
-    } else if (pathname === ROUTES_PATH['Bills']) {
-      rootDiv.innerHTML = ROUTES({ pathname, loading: true })
-      const divIcon1 = document.getElementById('layout-icon1')
-      const divIcon2 = document.getElementById('layout-icon2')
-      divIcon1.classList.add('active-icon')
-      divIcon2.classList.remove('active-icon')
-      const bills = new Bills({ document, onNavigate, store, localStorage  })
-      bills.getBills().then(data => {
-        rootDiv.innerHTML = BillsUI({ data })
-        const divIcon1 = document.getElementById('layout-icon1')
-        const divIcon2 = document.getElementById('layout-icon2')
-        divIcon1.classList.add('active-icon')
-        divIcon2.classList.remove('active-icon')
-        new Bills({ document, onNavigate, store, localStorage })
-      }).catch(error => {
-        rootDiv.innerHTML = ROUTES({ pathname, error })
-      })
-    } else if (pathname === ROUTES_PATH['NewBill']) {
-      rootDiv.innerHTML = ROUTES({ pathname, loading: true })
-      new NewBill({ document, onNavigate, store, localStorage })
-      const divIcon1 = document.getElementById('layout-icon1')
-      const divIcon2 = document.getElementById('layout-icon2')
-      divIcon1.classList.remove('active-icon')
-      divIcon2.classList.add('active-icon')
-    } else if (pathname === ROUTES_PATH['Dashboard']) {
-      rootDiv.innerHTML = ROUTES({ pathname, loading: true })
-      const bills = new Dashboard({ document, onNavigate, store, bills: [], localStorage })
-      bills.getBillsAllUsers().then(bills => {
-          rootDiv.innerHTML = DashboardUI({data: {bills}})
-          new Dashboard({document, onNavigate, store, bills, localStorage})
-        }).catch(error => {
-        rootDiv.innerHTML = ROUTES({ pathname, error })
+    }
+  },
+  SignUp: {
+    background: LOGIN_BACKGROUND,
+    mount: () => {
+      new SignUp({ document, onNavigate, store })
+    }
+  },
+  ConfirmEmail: {
+    background: LOGIN_BACKGROUND,
+    mount: ({ query }) => {
+      new ConfirmEmail({ document, onNavigate, store, token: query.token })
+    }
+  },
+  ForgotPassword: {
+    background: LOGIN_BACKGROUND,
+    mount: () => {
+      new ForgotPassword({ document, onNavigate, store })
+    }
+  },
+  ResetPassword: {
+    background: LOGIN_BACKGROUND,
+    mount: ({ query }) => {
+      new ResetPassword({ document, onNavigate, store, token: query.token })
+    }
+  },
+  ChangePassword: {
+    mount: () => {
+      new ChangePassword({ document, onNavigate, store, localStorage })
+    }
+  },
+  Bills: {
+    activeIcon: 1,
+    load: ({ query }, refresh) => {
+      const container = new Bills({ document, onNavigate, store, localStorage })
+      let bills = []
+      let drafts = []
+      const pageData = () => ({ bills, drafts, pagination: container.pagination, localDraft: ownLocalDraft() })
+      return Promise.all([
+        container.getBills({ query, onRevalidate: refreshed => { bills = refreshed; refresh(pageData()) } }),
+        container.getDrafts({ onRevalidate: refreshed => { drafts = refreshed; refresh(pageData()) } })
+      ]).then(([pageBills, pageDrafts]) => {
+        bills = pageBills
+        drafts = pageDrafts
+        return pageData()
       })
+    },
+    render: ({ query }, { bills, pagination, drafts, localDraft }) => BillsUI({ data: bills, pagination, query, drafts, localDraft }),
+    mount: ({ query }) => {
+      const container = new Bills({ document, onNavigate, store, localStorage, query })
+      if (shownBills) container.takeOverWithdrawal(shownBills)
+      shownBills = container
+      return () => {
+        shownBills = null
+        return container.sendWithdrawal()
+      }
+    }
+  },
+  NewBill: {
+    activeIcon: 2,
+    render: () => NewBillUI({ draft: ownLocalDraft() }),
+    // what was typed since the last autosave is saved when leaving the page
+    mount: () => new NewBill({ document, onNavigate, store, localStorage }).autosave
+  },
+  EditBill: {
+    activeIcon: 2,
+    load: ({ params }) => getEditableBill(store, params.id),
+    render: (route, bill) => NewBillUI({ bill }),
+    mount: (route, bill) => new NewBill({ document, onNavigate, store, localStorage, bill }).autosave
+  },
+  BillDetail: {
+    activeIcon: 1,
+    load: ({ params }, refresh) => new BillDetail({ document, onNavigate, store, localStorage }).getBill(params.id, { onRevalidate: refresh }),
+    render: (route, bill) => BillDetailUI({ data: bill }),
+    mount: (route, bill) => {
+      new BillDetail({ document, onNavigate, store, localStorage, bill })
+    }
+  },
+  Dashboard: {
+    load: ({ query, params }, refresh) => {
+      const container = new Dashboard({ document, onNavigate, store, bills: [], localStorage })
+      const withPagination = bills => container.withLinkedBill(bills, params.id).then(bills => ({ bills, pagination: container.pagination }))
+      return container.getBillsAllUsers({ query, onRevalidate: bills => withPagination(bills).then(refresh) }).then(withPagination)
+    },
+    render: (route, data) => DashboardUI({ data }),
+    mount: ({ query, params }, { bills }, state) => {
+      new Dashboard({ document, onNavigate, store, bills, localStorage, query, params, sections: (state && state.sections) || [] })
     }
   }
+}
+pages.DashboardBill = pages.Dashboard
 
-  window.onpopstate = (e) => {
-    const user = JSON.parse(localStorage.getItem('user'))
-    if (window.location.pathname === "/" && !user) {
-      document.body.style.backgroundColor="#0E5AE5"
-      rootDiv.innerHTML = ROUTES({ pathname: window.location.pathname })
+// error pages offering a way back to the home page of the user's role
+const homeLinkPage = (view) => ({
+  render: () => view({ home: homePath(getRole()) }),
+  mount: () => {
+    const homeLink = document.querySelector(`a[data-testid="btn-home"]`)
+    if (homeLink) homeLink.addEventListener('click', e => {
+      e.preventDefault()
+      onNavigate(homePath(getRole()))
+    })
+  }
+})
+
+// shown in place of a page the role of the user does not give access to
+const forbiddenPage = homeLinkPage(ForbiddenPage)
+// shown for any location matching no route
+const notFoundPage = homeLinkPage(NotFoundPage)
+
+const idleTimeoutFor = (role) => {
+  const minutes = (getConfig().idleTimeout || {})[role]
+  return minutes ? minutes * 60 * 1000 : null
+}
+
+// the account icon of VerticalLayout, on every page using it
+const bindLayout = () => {
+  const accountIcon = document.getElementById('layout-account')
+  if (accountIcon) accountIcon.addEventListener('click', () => onNavigate(ROUTES_PATH['ChangePassword']))
+}
+
+const highlightIcon = (activeIcon) => {
+  const divIcon1 = document.getElementById('layout-icon1')
+  const divIcon2 = document.getElementById('layout-icon2')
+  if (!activeIcon || !divIcon1 || !divIcon2) return
+  divIcon1.classList.toggle('active-icon', activeIcon === 1)
+  divIcon2.classList.toggle('active-icon', activeIcon === 2)
+}
+
+export default () => {
+  const rootDiv = document.getElementById('root')
+  scrubStoredPasswords()
+
+  // the page being shown: a new dispatch replaces it, and with it any pending load or refresh
+  let visit = null
+  let scrollTimer = null
+
+  const currentLocation = () => window.location.hash || window.location.pathname
+
+  // the session this tab last rendered a page with, to tell what another tab changed
+  const currentSession = () => {
+    const user = getUser()
+    const jwt = getSessionItem('jwt')
+    return user && jwt ? { email: user.email, jwt } : null
+  }
+  let knownSession = null
+
+  // the scroll position is kept in the history entry, to be restored on back/forward
+  const saveScroll = () => {
+    window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '', window.location.href)
+  }
+
+  const renderError = (pathname, error) => {
+    if (isUnauthenticated(error)) {
+      // an ended session is sent back to Login by its listener, a request refused without one is sent there here
+      if (error.code !== 'session_expired') {
+        saveReturnLocation(pathname)
+        onNavigate(ROUTES_PATH['Login'])
+      }
+      return
     }
-    else if (user) {
-      onNavigate(PREVIOUS_LOCATION)
+    // the backend refuses the page to this logged-in user
+    if (error instanceof AuthError) {
+      rootDiv.innerHTML = forbiddenPage.render()
+      return forbiddenPage.mount()
     }
+    rootDiv.innerHTML = ROUTES({ pathname, error })
+    const retryButton = document.querySelector(`button[data-testid="btn-retry"]`)
+    if (retryButton) retryButton.addEventListener('click', () => onNavigate(pathname))
+    const homeLink = document.querySelector(`a[data-testid="btn-home"]`)
+    if (homeLink) homeLink.addEventListener('click', e => {
+      e.preventDefault()
+      onNavigate(homeLink.getAttribute('href'))
+    })
   }
 
-  if (window.location.pathname === "/" && window.location.hash === "") {
-    new Login({ document, localStorage, onNavigate, PREVIOUS_LOCATION, store })
-    document.body.style.backgroundColor="#0E5AE5"
-  } else if (window.location.hash !== "") {
-    if (window.location.hash === ROUTES_PATH['Bills']) {
-      rootDiv.innerHTML = ROUTES({ pathname: window.location.hash, loading: true })
-      const divIcon1 = document.getElementById('layout-icon1')
-      const divIcon2 = document.getElementById('layout-icon2')
-      divIcon1.classList.add('active-icon')
-      divIcon2.classList.remove('active-icon')
-      const bills = new Bills({ document, onNavigate, store, localStorage  })
-      bills.getBills().then(data => {
-        rootDiv.innerHTML = BillsUI({ data })
-        const divIcon1 = document.getElementById('layout-icon1')
-        const divIcon2 = document.getElementById('layout-icon2')
-        divIcon1.classList.add('active-icon')
-        divIcon2.classList.remove('active-icon')
-        new Bills({ document, onNavigate, store, localStorage })
-      }).catch(error => {
-        rootDiv.innerHTML = ROUTES({ pathname: window.location.hash, error })
-      })
-    } else if (window.location.hash === ROUTES_PATH['NewBill']) {
-      rootDiv.innerHTML = ROUTES({ pathname: window.location.hash, loading: true })
-      new NewBill({ document, onNavigate, store, localStorage })
-      const divIcon1 = document.getElementById('layout-icon1')
-      const divIcon2 = document.getElementById('layout-icon2')
-      divIcon1.classList.remove('active-icon')
-      divIcon2.classList.add('active-icon')
-    } else if (window.location.hash === ROUTES_PATH['Dashboard']) {
-      rootDiv.innerHTML = ROUTES({ pathname: window.location.hash, loading: true })
-      const bills = new Dashboard({ document, onNavigate, store, bills: [], localStorage })
-      bills.getBillsAllUsers().then(bills => {
-        rootDiv.innerHTML = DashboardUI({ data: { bills } })
-        new Dashboard({ document, onNavigate, store, bills, localStorage })
-      }).catch(error => {
-        rootDiv.innerHTML = ROUTES({ pathname: window.location.hash, error })
-      })
+  // a timer left by a previous start of the router would call back into it
+  if (idleTimer) idleTimer.stop()
+  idleTimer = null
+  const idleWarning = new IdleWarning({
+    document,
+    onExtend: () => idleTimer && idleTimer.extend(),
+    onLogout: () => logout(onNavigate)
+  })
+
+  // the inactivity timer runs while a session is open, with the timeout of its role
+  const watchIdle = () => {
+    const timeout = isAuthenticated() ? idleTimeoutFor(getRole()) : null
+    if (idleTimer && idleTimer.running && idleTimer.timeout === timeout) return
+    if (idleTimer) idleTimer.stop()
+    idleWarning.hide()
+    idleTimer = timeout && new IdleTimer({
+      timeout,
+      onWarn: idleWarning.show,
+      onTimeout: () => {
+        idleWarning.hide()
+        logout(onNavigate, { error: IDLE_LOGOUT_MESSAGE })
+      }
+    })
+    if (idleTimer) idleTimer.start()
+  }
+
+  const leave = () => {
+    if (visit && visit.cleanup) visit.cleanup()
+    visit = null
+  }
+
+  // the single pipeline behind the initial load, onNavigate and onpopstate
+  const dispatch = (pathname, { error, state } = {}) => {
+    leave()
+    knownSession = currentSession()
+    const route = matchRoute(pathname) || { name: 'NotFound', params: {}, query: {} }
+    const access = checkAccess(route)
+    if (access === 'login') {
+      // back to this page once logged in
+      saveReturnLocation(pathname)
+      window.history.replaceState({}, ROUTES_PATH['Login'], window.location.origin + ROUTES_PATH['Login'])
+      return dispatch(ROUTES_PATH['Login'], { error: LOGIN_REQUIRED_MESSAGE })
     }
+    watchIdle()
+    const page = access === 'forbidden' ? forbiddenPage : pages[route.name] || notFoundPage
+    const current = visit = { pathname, route }
+    document.body.style.backgroundColor = page.background || PAGE_BACKGROUND
+
+    const show = (data) => {
+      if (visit !== current) return
+      rootDiv.innerHTML = page.render ? page.render(route, data) : ROUTES({ pathname, error })
+      highlightIcon(page.activeIcon)
+      bindLayout()
+      // the live history state, which a container may have updated since the dispatch (see Dashboard.syncLocation)
+      current.cleanup = page.mount ? page.mount(route, data, window.history.state) : null
+      // a background refresh repaints the page but leaves the scroll where the user put it
+      if (!current.shown && state && state.scrollY !== undefined) window.scrollTo(0, state.scrollY)
+      current.shown = true
+    }
+
+    if (!page.load) return show()
+    rootDiv.innerHTML = ROUTES({ pathname, loading: true })
+    highlightIcon(page.activeIcon)
+    page.load(route, show).then(show).catch(error => {
+      if (visit === current) renderError(pathname, error)
+    })
+  }
+
+  // onNavigate('#employee/bills?page=2') or onNavigate('DashboardBill', { params: { id }, query: { status } })
+  window.onNavigate = (target, { error, params, query } = {}) => {
+    const pathname = resolvePath(target, { params, query })
+    const route = matchRoute(pathname)
+    const state = { pathname, name: route && route.name, params: route && route.params }
+    saveScroll()
+    // navigating to the page already shown (retry, refresh after a decision) does not add an entry
+    if (pathname === currentLocation()) {
+      window.history.replaceState(state, pathname, window.location.origin + pathname)
+    } else {
+      window.history.pushState(state, pathname, window.location.origin + pathname)
+    }
+    dispatch(pathname, { error })
+  }
+
+  // back/forward: the entry is already in the history, only the page is rendered again
+  window.onpopstate = (e) => {
+    dispatch(currentLocation(), { state: e && e.state })
+  }
+
+  window.onscroll = () => {
+    clearTimeout(scrollTimer)
+    scrollTimer = setTimeout(saveScroll, 100)
+  }
+
+  // bills submitted while offline are sent as soon as the connection is back
+  const replayOutbox = () => {
+    const user = getUser()
+    if (store.outbox && user && navigator.onLine !== false) return store.outbox.replay(user.email)
+  }
+  window.ononline = replayOutbox
+
+  // a lapsed token sends the user back to Login, remembering where they were
+  if (stopSessionListener) stopSessionListener()
+  stopSessionListener = onSessionExpired(() => {
+    saveReturnLocation(window.location.hash)
+    onNavigate(ROUTES_PATH['Login'], { error: SESSION_EXPIRED_MESSAGE })
+  })
+
+  // keeps this tab in step with the logins, logouts and new tokens of the other tabs
+  const syncWithOtherTabs = ({ type, email }) => {
+    const before = knownSession
+    // a logout ends the session of that user in every tab, even those keeping it in their own sessionStorage
+    if (type === 'logout' && before && before.email === email) clearSession({ broadcast: false })
+    const now = currentSession()
+    if ((before && before.jwt) === (now && now.jwt)) return
+    knownSession = now
+    // the cached reads belong to the previous token
+    if (store.cache) store.cache.clear()
+    if (!now) return onNavigate(ROUTES_PATH['Login'], { error: OTHER_TAB_LOGOUT_MESSAGE })
+    watchSession()
+    if (!before || before.email !== now.email) return onNavigate(homePath(getRole()))
+    // same user with a new token: the page is loaded again
+    dispatch(currentLocation())
+  }
+  if (stopTabSync) stopTabSync()
+  stopTabSync = watchOtherTabs(syncWithOtherTabs)
+
+  // the pages are all hash routes: without a hash (/, /index.html) the app starts on Login
+  if (window.location.hash === "") {
+    dispatch(ROUTES_PATH['Login'])
+  } else if (watchSession()) {
+    replayOutbox()
+    dispatch(window.location.hash)
   }
 
   return null
 }
-
@@ -1,54 +1,206 @@
+import { ApiError, ServerError, errorFromResponse, parseBody, toApiError } from './errors.js'
+import { jwtInterceptor } from './interceptors.js'
+import { getConfig } from './config.js'
+import ReadCache from './ReadCache.js'
+import Outbox from './Outbox.js'
+import { toPage, toQueryString } from './pagination.js'
 
-const jsonOrThrowIfError = async (response) => {
-  if(!response.ok) throw new Error((await response.json()).message)
-  return response.json()
+export const DEFAULT_REQUEST_POLICY = {
+  timeout: 10000,
+  // uploads time out after this long without progress, however long the whole transfer takes
+  uploadTimeout: 30000,
+  retries: 3,
+  backoffBase: 300,
+  backoffMax: 5000
 }
 
-class Api {
-  constructor({baseUrl}) {
-    this.baseUrl = baseUrl;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// exponential backoff with "full jitter": a random delay between 0 and the capped exponential
+export const backoffDelay = (attempt, { backoffBase, backoffMax }) =>
+  Math.random() * Math.min(backoffMax, backoffBase * 2 ** attempt)
+
+const canRetry = (method, headers = {}) =>
+  IDEMPOTENT_METHODS.includes(method) || Boolean(headers['Idempotency-Key'])
+
+const fetchWithTimeout = async (url, options, timeout) => {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+  try {
+    return await fetch(url, { ...options, signal: controller.signal })
+  } finally {
+    clearTimeout(timer)
   }
-  async get({url, headers}) {
-    return jsonOrThrowIfError(await fetch(`${this.baseUrl}${url}`, {headers, method: 'GET'}))
+}
+
+const jsonOrThrowIfError = async (response, { method, url }) => {
+  if(!response.ok) throw await errorFromResponse(response, { method, url })
+  const body = await parseBody(response)
+  if (typeof body === 'string') throw new ServerError("Réponse inattendue du serveur.", { status: response.status, method, url })
+  return body
+}
+
+const sendXhr = ({ method, url, data, headers }, href, { onProgress, signal, timeout }) => new Promise((resolve, reject) => {
+  const context = { method, url }
+  const xhr = new XMLHttpRequest()
+  let stalled = null
+  const watch = () => {
+    clearTimeout(stalled)
+    if (timeout) stalled = setTimeout(xhr.ontimeout, timeout)
   }
-  async post({url, data, headers}) {
-    return jsonOrThrowIfError(await fetch(`${this.baseUrl}${url}`, {headers, method: 'POST', body: data}))
+  xhr.open(method, href)
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+  xhr.upload.onprogress = (e) => {
+    watch()
+    if (onProgress && e.lengthComputable) onProgress({ loaded: e.loaded, total: e.total, percent: Math.round(e.loaded / e.total * 100) })
   }
-  async delete({url, headers}) {
-    return jsonOrThrowIfError(await fetch(`${this.baseUrl}${url}`, {headers, method: 'DELETE'}))
+  xhr.onload = () => {
+    clearTimeout(stalled)
+    const response = {
+      ok: xhr.status >= 200 && xhr.status < 300,
+      status: xhr.status,
+      text: () => Promise.resolve(xhr.responseText)
+    }
+    jsonOrThrowIfError(response, context).then(body => resolve({ body, response }), reject)
   }
-  async patch({url, data, headers}) {
-    return jsonOrThrowIfError(await fetch(`${this.baseUrl}${url}`, {headers, method: 'PATCH', body: data}))
+  xhr.onerror = () => {
+    clearTimeout(stalled)
+    reject(toApiError(new TypeError('upload failed'), context))
   }
+  // the same error as a fetch aborted by fetchWithTimeout, rejected before the abort reports a cancellation
+  xhr.ontimeout = () => {
+    reject(toApiError(new DOMException('upload timed out', 'AbortError'), context))
+    xhr.abort()
+  }
+  xhr.onabort = () => {
+    clearTimeout(stalled)
+    reject(new ApiError("L'envoi du fichier a été annulé.", { ...context, code: 'aborted', retryable: false }))
+  }
+  if (signal) {
+    if (signal.aborted) return xhr.onabort()
+    signal.addEventListener('abort', () => xhr.abort())
+  }
+  xhr.send(data)
+  watch()
+})
+
+// hooks returning nothing leave the value as it was
+const pipe = async (hooks, value, ...args) => {
+  for (const hook of hooks) {
+    const result = await hook(value, ...args)
+    if (result !== undefined) value = result
+  }
+  return value
 }
 
-const getHeaders = (headers) => {
-  const h = { }
-  if (!headers.noContentType) h['Content-Type'] = 'application/json'
-  const jwt = localStorage.getItem('jwt')
-  if (jwt && !headers.noAuthorization) h['Authorization'] = `Bearer ${jwt}`
-  return {...h, ...headers}
+export class Api {
+  constructor({baseUrl, policy = {}, interceptors = [jwtInterceptor]}) {
+    this.baseUrl = baseUrl;
+    this.policy = {...DEFAULT_REQUEST_POLICY, ...policy}
+    this.interceptors = interceptors
+  }
+  // registers an interceptor (see interceptors.js), returns a function removing it
+  use = (interceptor) => {
+    this.interceptors.push(interceptor)
+    return () => {
+      const index = this.interceptors.indexOf(interceptor)
+      if (index !== -1) this.interceptors.splice(index, 1)
+    }
+  }
+  hooks(name) {
+    return this.interceptors.filter(interceptor => interceptor[name]).map(interceptor => interceptor[name])
+  }
+  // runs the interceptors around send(request, href), which resolves with { body, response }
+  async intercept({auth = true, ...request}, send) {
+    let current = {...request, auth, headers: {...request.headers}}
+    try {
+      current = await pipe(this.hooks('beforeRequest'), current)
+      const { body, response } = await send(current, `${this.baseUrl}${current.url}`)
+      return await pipe(this.hooks('afterResponse'), body, { request: current, response })
+    } catch (error) {
+      throw await pipe(this.hooks('onError'), error, { request: current })
+    }
+  }
+  async request({policy = {}, ...request}) {
+    const { timeout, retries, ...backoff } = {...this.policy, ...policy}
+    return this.intercept(request, async ({method, url, data, headers}, href) => {
+      const context = { method, url }
+      const retryable = canRetry(method, headers)
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await fetchWithTimeout(href, {headers, method, body: data}, timeout)
+          return { body: await jsonOrThrowIfError(response, context), response }
+        } catch (error) {
+          const apiError = toApiError(error, context)
+          if (!retryable || !apiError.retryable || attempt >= retries) throw apiError
+          await sleep(backoffDelay(attempt, backoff))
+        }
+      }
+    })
+  }
+  async get(options) {
+    return this.request({...options, method: 'GET'})
+  }
+  async post(options) {
+    return this.request({...options, method: 'POST'})
+  }
+  async delete(options) {
+    return this.request({...options, method: 'DELETE'})
+  }
+  async patch(options) {
+    return this.request({...options, method: 'PATCH'})
+  }
+  // fetch cannot report upload progress, so uploads go through XMLHttpRequest
+  upload({onProgress, signal, policy = {}, ...request}) {
+    const { uploadTimeout } = {...this.policy, ...policy}
+    return this.intercept({...request, method: 'POST'}, (current, href) => sendXhr(current, href, { onProgress, signal, timeout: uploadTimeout }))
+  }
 }
 
-class ApiEntity {
-  constructor({key, api}) {
+// noContentType is a flag, not a header: FormData bodies need the browser to set their boundary
+const getHeaders = ({noContentType, ...headers}) =>
+  noContentType ? headers : {'Content-Type': 'application/json', ...headers}
+
+const withIdempotencyKey = (headers, idempotencyKey) =>
+  idempotencyKey ? {...headers, 'Idempotency-Key': idempotencyKey} : headers
+
+export class ApiEntity {
+  constructor({key, api, cache}) {
     this.key = key;
     this.api = api;
+    this.cache = cache;
+  }
+  // reads go through the cache when there is one, see ReadCache
+  cached(key, fetcher, options) {
+    return this.cache ? this.cache.read(key, fetcher, options) : fetcher()
   }
-  async select({selector, headers = {}}) {
-    return await (this.api.get({url: `/${this.key}/${selector}`, headers: getHeaders(headers)}))
+  // any write makes every cached read of the entity stale
+  invalidating(request) {
+    return this.cache ? request.then(result => {
+      this.cache.invalidate(this.key)
+      return result
+    }) : request
   }
-  async list({headers = {}} = {}) {
-    return await (this.api.get({url: `/${this.key}`, headers: getHeaders(headers)}))
+  async select({selector, headers = {}, policy, onRevalidate, fresh}) {
+    return await this.cached(`${this.key}/${selector}`, () => this.api.get({url: `/${this.key}/${selector}`, headers: getHeaders(headers), policy}), { onRevalidate, fresh })
   }
-  async update({data, selector, headers = {}}) {
-    return await (this.api.patch({url: `/${this.key}/${selector}`, headers: getHeaders(headers), data}))
+  // resolves with a page envelope: { items, total, page, pageSize }
+  async list({query, headers = {}, policy, onRevalidate} = {}) {
+    const path = `${this.key}${toQueryString(query)}`
+    return await this.cached(path, () => this.api.get({url: `/${path}`, headers: getHeaders(headers), policy}).then(toPage), { onRevalidate })
   }
-  async create({data, headers = {}}) {
-    return await (this.api.post({url: `/${this.key}`, headers: getHeaders(headers), data}))
+  async update({data, selector, headers = {}, idempotencyKey, policy}) {
+    return await this.invalidating(this.api.patch({url: `/${this.key}/${selector}`, headers: getHeaders(withIdempotencyKey(headers, idempotencyKey)), data, policy}))
   }
-  async delete({selector, headers = {}}) {
-    return await (this.api.delete({url: `/${this.key}/${selector}`, headers: getHeaders(headers)}))
+  // onProgress or signal turn the creation into a cancellable upload, see Api.upload
+  async create({data, headers = {}, idempotencyKey, policy, onProgress, signal}) {
+    const request = { url: `/${this.key}`, headers: getHeaders(withIdempotencyKey(headers, idempotencyKey)), data, policy }
+    return await this.invalidating(onProgress || signal ? this.api.upload({ ...request, onProgress, signal }) : this.api.post(request))
+  }
+  async delete({selector, headers = {}, policy}) {
+    return await this.invalidating(this.api.delete({url: `/${this.key}/${selector}`, headers: getHeaders(headers), policy}))
   }
 }
 
@@ -56,17 +208,45 @@ class ApiEntity {
 
 class Store {
   constructor() {
-    this.api = new Api({baseUrl: 'http://localhost:5678'})
+    this.cache = new ReadCache()
+    // kept across configure() so that interceptors registered at bootstrap survive it
+    this.interceptors = [jwtInterceptor]
+    this.outbox = new Outbox({ bills: () => this.bills() })
+    this.configure(getConfig())
+  }
+
+  configure = ({ apiBaseUrl, request }) => {
+    this.api = new Api({baseUrl: apiBaseUrl, policy: request, interceptors: this.interceptors})
   }
 
-  user = uid => (new ApiEntity({key: 'users', api: this.api})).select({selector: uid})
-  users = () => new ApiEntity({key: 'users', api: this.api})
-  login = (data) => this.api.post({url: '/auth/login', data, headers: getHeaders({noAuthorization: true})})
+  use = (interceptor) => this.api.use(interceptor)
+
+  user = uid => this.users().select({selector: uid})
+  users = () => new ApiEntity({key: 'users', api: this.api, cache: this.cache})
+  // a new session must not be served the previous user's cached reads
+  login = (data) => this.api.post({url: '/auth/login', data, headers: getHeaders({}), auth: false})
+    .then(response => {
+      this.cache.clear()
+      return response
+    })
+
+  // sign-up creates an Employee account, to be confirmed with the token emailed to the user
+  signUp = (data) => this.api.post({url: '/users', data, headers: getHeaders({}), auth: false})
+  confirmEmail = (token) => this.api.post({url: '/users/confirm', data: JSON.stringify({token}), headers: getHeaders({}), auth: false})
+
+  requestPasswordReset = (email) => this.api.post({url: '/auth/password-reset', data: JSON.stringify({email}), headers: getHeaders({}), auth: false})
+  resetPassword = ({token, password}) => this.api.post({url: '/auth/password-reset/confirm', data: JSON.stringify({token, password}), headers: getHeaders({}), auth: false})
+  changePassword = ({currentPassword, password}) => this.api.post({url: '/users/me/password', data: JSON.stringify({currentPassword, password}), headers: getHeaders({})})
 
   ref = (path) => this.store.doc(path)
 
-  bill = bid => (new ApiEntity({key: 'bills', api: this.api})).select({selector: bid})
-  bills = () => new ApiEntity({key: 'bills', api: this.api})
+  bill = bid => this.bills().select({selector: bid})
+  // a new justificatif for a refused bill being corrected, see NewBill; resolves with { fileUrl, fileName }
+  replaceBillFile = ({bid, data, onProgress, signal}) =>
+    this.bills().invalidating(this.api.upload({url: `/bills/${bid}/file`, data, headers: getHeaders({noContentType: true}), onProgress, signal}))
+  // dates the first time an admin opens the bill, for the timeline the employee sees
+  reviewBill = (bid) => this.api.post({url: `/bills/${bid}/review`, headers: getHeaders({})})
+  bills = () => new ApiEntity({key: 'bills', api: this.api, cache: this.cache})
 }
 
 export default new Store()
\ No newline at end of file
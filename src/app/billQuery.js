@@ -0,0 +1,35 @@
+// the filters and sort of bill lists, shared with the fake backend (server/app.js)
+
+export const BILL_FILTERS = ['status', 'type', 'from', 'to', 'search']
+export const BILL_SORT_FIELDS = ['type', 'name', 'date', 'amount', 'status']
+export const DEFAULT_BILL_SORT = '-date'
+
+export const DRAFT_STATUS = 'draft'
+
+// from and to are ISO dates (2004-04-04), as stored on bills; drafts are only listed when asked for
+export const matchesBillQuery = (bill, { status, email, type, from, to, search } = {}) =>
+  (status ? bill.status === status : bill.status !== DRAFT_STATUS) &&
+  (!email || bill.email === email) &&
+  (!type || bill.type === type) &&
+  (!from || bill.date >= from) &&
+  (!to || bill.date <= to) &&
+  (!search || [bill.name, bill.commentary].some(text => (text || '').toLowerCase().includes(search.toLowerCase())))
+
+// sort=-date sorts by descending date, sort=amount by ascending amount
+export const parseSort = (sort = DEFAULT_BILL_SORT) => ({ field: sort.replace(/^-/, ''), descending: sort.startsWith('-') })
+
+export const sortBills = (bills, sort) => {
+  const { field, descending } = parseSort(sort)
+  return [...bills].sort((a, b) => {
+    const order = a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0
+    return descending ? -order : order
+  })
+}
+
+// clicking the column already sorted on reverses it, another column starts ascending
+export const toggleSort = (current, field) => {
+  const { field: currentField, descending } = parseSort(current)
+  return field === currentField && !descending ? `-${field}` : field
+}
+
+export const hasBillFilters = (query = {}) => BILL_FILTERS.some(key => query[key])
@@ -0,0 +1,42 @@
+import USERS_TEST from '../constants/usersTest.js'
+import { ConfigError } from './errors.js'
+
+export const CONFIG_URL = 'config.json'
+
+// used until a configuration file is loaded (unit tests, first paint)
+export const DEFAULT_CONFIG = {
+  profile: 'dev',
+  apiBaseUrl: 'http://localhost:5678',
+  usersTest: USERS_TEST,
+  pageSize: 20,
+  request: {},
+  // minutes without activity before the session of each role ends, none for a role means no limit
+  idleTimeout: { Employee: 30, Admin: 15 }
+}
+
+let config = DEFAULT_CONFIG
+
+export const getConfig = () => config
+
+export const setConfig = (values = {}) => {
+  config = { ...DEFAULT_CONFIG, ...values }
+  return config
+}
+
+export const loadConfig = async ({ url = CONFIG_URL, profile } = {}) => {
+  let file
+  try {
+    const response = await fetch(url, { cache: 'no-store' })
+    if (!response.ok) throw new Error(response.status)
+    file = await response.json()
+  } catch (e) {
+    throw new ConfigError(`La configuration de l'application est introuvable ou invalide (${url}).`)
+  }
+
+  const name = profile || file.profile
+  const profiles = file.profiles || {}
+  if (!profiles[name]) throw new ConfigError(`Le profil de configuration "${name}" n'existe pas dans ${url}.`)
+  if (!profiles[name].apiBaseUrl) throw new ConfigError(`Le profil de configuration "${name}" ne définit pas apiBaseUrl.`)
+
+  return setConfig({ ...profiles[name], profile: name })
+}
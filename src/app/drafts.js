@@ -0,0 +1,25 @@
+import { parseStoredItem } from './session.js'
+
+export const LOCAL_DRAFT_KEY = 'billDraft'
+
+const DRAFT_FIELDS = ['name', 'amount', 'date', 'vat', 'commentary']
+
+// the fields typed on a new bill before its justificatif is chosen: there is no bill yet to keep them on the server
+export const readLocalDraft = (email) => {
+  let draft = null
+  try {
+    draft = parseStoredItem(localStorage.getItem(LOCAL_DRAFT_KEY))
+  } catch (e) {
+    return null
+  }
+  return draft && draft.email === email ? draft.fields : null
+}
+
+export const clearLocalDraft = () => localStorage.removeItem(LOCAL_DRAFT_KEY)
+
+// an untouched form leaves no draft behind
+export const saveLocalDraft = (email, fields) => {
+  const typed = DRAFT_FIELDS.some(field => fields[field] !== undefined && fields[field] !== null && fields[field] !== '' && !Number.isNaN(fields[field]))
+  if (!typed) return clearLocalDraft()
+  localStorage.setItem(LOCAL_DRAFT_KEY, JSON.stringify({ email, fields }))
+}
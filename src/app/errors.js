@@ -0,0 +1,91 @@
+export const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504]
+
+export class ApiError extends Error {
+  constructor(message, { status = null, code = 'http', retryable, method, url } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.retryable = retryable !== undefined ? retryable : RETRYABLE_STATUSES.includes(status)
+    this.method = method
+    this.url = url
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: 'network', retryable: true, ...options })
+    this.name = 'NetworkError'
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: 'auth', ...options })
+    this.name = 'AuthError'
+  }
+}
+
+// a 401 means there is no valid session; a 403 refuses an action to a logged-in user, who stays logged in
+export const isUnauthenticated = error => error instanceof AuthError && error.status === 401
+
+export class NotFoundError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: 'not_found', ...options })
+    this.name = 'NotFoundError'
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(message, { fields = {}, ...options } = {}) {
+    super(message, { code: 'validation', ...options })
+    this.name = 'ValidationError'
+    this.fields = fields
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: 'server', ...options })
+    this.name = 'ServerError'
+  }
+}
+
+// the backend may answer with JSON, HTML (proxy error pages) or nothing at all
+export const parseBody = async (response) => {
+  const text = await response.text()
+  if (!text) return null
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    return text
+  }
+}
+
+export const errorFromResponse = async (response, { method, url } = {}) => {
+  const { status } = response
+  const body = await parseBody(response).catch(() => null)
+  const message = (body && body.message) || `Erreur ${status}`
+  const options = { status, method, url }
+
+  if (status === 401 || status === 403) return new AuthError(message, options)
+  if (status === 404) return new NotFoundError(message, options)
+  if (status === 422) return new ValidationError(message, { ...options, fields: (body && body.errors) || {} })
+  if (status >= 500) return new ServerError(message, options)
+  return new ApiError(message, options)
+}
+
+export const toApiError = (error, { method, url } = {}) => {
+  if (error instanceof ApiError) return error
+  if (error && error.name === 'AbortError') {
+    return new NetworkError("Le serveur met trop de temps à répondre.", { code: 'timeout', method, url })
+  }
+  return new NetworkError("Impossible de joindre le serveur, vérifiez votre connexion.", { method, url })
+}
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ConfigError'
+  }
+}
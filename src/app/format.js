@@ -14,6 +14,15 @@ export const formatStatus = (status) => {
     case "accepted":
       return "Accepté"
     case "refused":
-      return "Refused"
+      return "Refusé"
+    case "draft":
+      return "Brouillon"
   }
-}
\ No newline at end of file
+}
+// '2023-01-02T09:30:00.000Z' => '2 janv. 2023, 10:30' (in the time zone of the browser)
+export const formatDateTime = (isoString) =>
+  new Intl.DateTimeFormat('fr', { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(isoString))
+
+// for values put back into markup attributes (form fields, the search of an address anyone can share)
+export const escapeAttribute = (value = '') => String(value)
+  .replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
@@ -0,0 +1,11 @@
+import { getRole, isAuthenticated } from './session.js'
+
+export const LOGIN_REQUIRED_MESSAGE = "Veuillez vous connecter pour accéder à cette page."
+
+// 'allow', 'login' when the route needs a session and there is none, 'forbidden' when the role does not match
+export const checkAccess = ({ guard }) => {
+  if (!guard) return 'allow'
+  if (!isAuthenticated()) return 'login'
+  if (guard === 'authenticated') return 'allow'
+  return getRole() === guard ? 'allow' : 'forbidden'
+}
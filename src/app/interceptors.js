@@ -0,0 +1,52 @@
+import { AuthError } from './errors.js'
+import { SESSION_EXPIRED_MESSAGE, expireSession, getSessionItem, isTokenExpired } from './session.js'
+
+// An interceptor is an object with any of these hooks, run in registration order by Api:
+// - beforeRequest(request): returns the request to send ({ method, url, headers, data, auth })
+// - afterResponse(body, { request, response }): returns the body handed to the caller
+// - onError(error, { request }): returns the error to throw, after the retries are exhausted
+
+// sends the JWT of the session, unless the request opts out with auth: false
+export const jwtInterceptor = {
+  beforeRequest: (request) => {
+    const jwt = getSessionItem('jwt')
+    if (!jwt || request.auth === false) return request
+    // never send a lapsed token, end the session instead
+    if (isTokenExpired(jwt)) {
+      expireSession()
+      throw new AuthError(SESSION_EXPIRED_MESSAGE, { status: 401, code: 'session_expired' })
+    }
+    return { ...request, headers: { Authorization: `Bearer ${jwt}`, ...request.headers } }
+  },
+  // the server refused the token it was sent: the session ends here and its listeners send the user to Login
+  onError: (error, { request }) => {
+    if (error.status !== 401 || error.code === 'session_expired' || !request.headers.Authorization) return error
+    expireSession()
+    return new AuthError(SESSION_EXPIRED_MESSAGE, { status: 401, code: 'session_expired', method: error.method, url: error.url })
+  }
+}
+
+const randomId = () => typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+
+// one id per call, kept across its retries, so that the backend logs can be matched with ours
+export const correlationIdInterceptor = ({ header = 'X-Correlation-Id', generate = randomId } = {}) => ({
+  beforeRequest: (request) => ({ ...request, headers: { [header]: generate(), ...request.headers } })
+})
+
+export const acceptLanguageInterceptor = (language = 'fr-FR') => ({
+  beforeRequest: (request) => ({ ...request, headers: { 'Accept-Language': language, ...request.headers } })
+})
+
+export const timingInterceptor = ({ log = console.debug, now = () => Date.now() } = {}) => ({
+  beforeRequest: (request) => ({ ...request, startedAt: now() }),
+  afterResponse: (body, { request, response }) => {
+    log(`${request.method} ${request.url} ${response.status} ${now() - request.startedAt}ms`)
+    return body
+  },
+  onError: (error, { request }) => {
+    log(`${request.method} ${request.url} ${error.status || error.code} ${now() - request.startedAt}ms`)
+    return error
+  }
+})
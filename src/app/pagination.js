@@ -0,0 +1,30 @@
+export const toQueryString = (query = {}) => {
+  const params = new URLSearchParams()
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.append(key, value)
+  })
+  const search = params.toString()
+  return search ? `?${search}` : ''
+}
+
+export const fromQueryString = (search = '') => {
+  const query = {}
+  new URLSearchParams(search.replace(/^\?/, '')).forEach((value, key) => {
+    query[key] = /^\d+$/.test(value) && ['page', 'pageSize'].includes(key) ? parseInt(value) : value
+  })
+  return query
+}
+
+// a backend without pagination answers with a plain array, seen here as a single page
+export const toPage = (body) => {
+  if (Array.isArray(body)) return { items: body, total: body.length, page: 1, pageSize: body.length }
+  const items = (body && body.items) || []
+  return {
+    items,
+    total: body && body.total !== undefined ? body.total : items.length,
+    page: (body && body.page) || 1,
+    pageSize: (body && body.pageSize) || items.length
+  }
+}
+
+export const pageCount = ({ total, pageSize }) => pageSize ? Math.max(1, Math.ceil(total / pageSize)) : 1
@@ -0,0 +1,12 @@
+// the strength rules of new passwords, checked as the user types and again by the backend
+export const PASSWORD_RULES = [
+  { id: 'length', label: 'Au moins 8 caractères', test: password => password.length >= 8 },
+  { id: 'lowercase', label: 'Une lettre minuscule', test: password => /[a-z]/.test(password) },
+  { id: 'uppercase', label: 'Une lettre majuscule', test: password => /[A-Z]/.test(password) },
+  { id: 'digit', label: 'Un chiffre', test: password => /\d/.test(password) }
+]
+
+export const unmetPasswordRules = (password = '') => PASSWORD_RULES.filter(rule => !rule.test(password))
+
+export const weakPasswordMessage = (rules) =>
+  `Le mot de passe doit contenir : ${rules.map(rule => rule.label.toLowerCase()).join(', ')}.`
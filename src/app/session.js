@@ -0,0 +1,144 @@
+import { announceSession } from './tabSync.js'
+
+export const RETURN_LOCATION_KEY = 'returnLocation'
+export const SESSION_EXPIRED_MESSAGE = "Votre session a expiré, veuillez vous reconnecter."
+
+// setTimeout overflows past ~24.8 days, longer sessions are re-checked instead
+const MAX_TIMER_DELAY = 2147483647
+
+let sessionTimer = null
+const listeners = []
+
+const SESSION_KEYS = ['jwt', 'user']
+
+// "rester connecté" keeps the session in localStorage, otherwise it lives in sessionStorage and ends with the tab
+const storages = () => typeof sessionStorage === 'undefined' ? [localStorage] : [sessionStorage, localStorage]
+
+export const getSessionItem = (key) => {
+  for (const storage of storages()) {
+    const item = storage.getItem(key)
+    if (item) return item
+  }
+  return null
+}
+
+const removeSessionItems = (keys) => storages().forEach(storage => keys.forEach(key => storage.removeItem(key)))
+
+// the value of a JSON item read from a storage, or null when there is none
+export const parseStoredItem = (item) => {
+  if (!item) return null
+  const value = JSON.parse(item)
+  // some storages (see __mocks__/localStorage.js) hand back the JSON string itself
+  return typeof value === 'string' ? JSON.parse(value) : value
+}
+
+export const getUser = () => parseStoredItem(getSessionItem('user'))
+
+// all the app keeps of an account: never its password
+export const toProfile = ({ email, role, type, name }) => ({ email, type: role || type, name })
+
+export const startSession = ({ jwt, user }, { remember = false } = {}) => {
+  const profile = toProfile(user)
+  removeSessionItems(SESSION_KEYS)
+  const storage = remember ? localStorage : storages()[0]
+  storage.setItem('jwt', jwt)
+  storage.setItem('user', JSON.stringify(profile))
+  announceSession('login', profile.email)
+  return profile
+}
+
+// broadcast: false when the logout comes from another tab, which has already told the others
+export const clearSession = ({ broadcast = true } = {}) => {
+  const user = getUser()
+  clearTimeout(sessionTimer)
+  removeSessionItems([...SESSION_KEYS, RETURN_LOCATION_KEY])
+  if (broadcast && user) announceSession('logout', user.email)
+}
+
+// earlier versions stored the whole login form, password included, under 'user'
+export const scrubStoredPasswords = () => {
+  storages().forEach(storage => {
+    let user = null
+    try {
+      user = parseStoredItem(storage.getItem('user'))
+    } catch (e) {
+      storage.removeItem('user')
+    }
+    if (user && typeof user === 'object' && 'password' in user) storage.setItem('user', JSON.stringify(toProfile(user)))
+  })
+}
+
+export const decodeToken = (jwt) => {
+  if (typeof jwt !== 'string') return null
+  const payload = jwt.split('.')[1]
+  if (!payload) return null
+  try {
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/')
+    return JSON.parse(atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=')))
+  } catch (e) {
+    return null
+  }
+}
+
+export const getTokenExpiry = (jwt) => {
+  const payload = decodeToken(jwt)
+  return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null
+}
+
+export const isTokenExpired = (jwt, now = Date.now()) => {
+  const expiry = getTokenExpiry(jwt)
+  return expiry !== null && expiry <= now
+}
+
+export const isAuthenticated = () => {
+  const jwt = getSessionItem('jwt')
+  return Boolean(jwt) && !isTokenExpired(jwt)
+}
+
+// the role is read from the token signed by the server, or for a token without one from the profile
+// /auth/login answered with (see startSession), never from the form the user logged in with
+export const getRole = () => {
+  const claims = decodeToken(getSessionItem('jwt'))
+  if (!claims) return null
+  const user = getUser()
+  return claims.role || claims.type || (user && user.type) || null
+}
+
+export const onSessionExpired = (listener) => {
+  listeners.push(listener)
+  return () => listeners.splice(listeners.indexOf(listener), 1)
+}
+
+export const expireSession = () => {
+  clearTimeout(sessionTimer)
+  // the user may have logged out in the meantime
+  if (!getSessionItem('jwt')) return
+  removeSessionItems(['jwt'])
+  listeners.forEach(listener => listener())
+}
+
+// schedules the expiry of the current token, returns false if it has already lapsed
+export const watchSession = () => {
+  clearTimeout(sessionTimer)
+  const expiry = getTokenExpiry(getSessionItem('jwt'))
+  if (expiry === null) return true
+  const remaining = expiry - Date.now()
+  if (remaining <= 0) {
+    expireSession()
+    return false
+  }
+  sessionTimer = setTimeout(() => watchSession(), Math.min(remaining, MAX_TIMER_DELAY))
+  return true
+}
+
+export const saveReturnLocation = (location) => {
+  if (location) localStorage.setItem(RETURN_LOCATION_KEY, location)
+}
+
+// only sends the user back to a page of their own space (#employee/... or #admin/...)
+export const consumeReturnLocation = (fallback) => {
+  const location = localStorage.getItem(RETURN_LOCATION_KEY)
+  if (!location) return fallback
+  localStorage.removeItem(RETURN_LOCATION_KEY)
+  return location.split('/')[0] === fallback.split('/')[0] ? location : fallback
+}
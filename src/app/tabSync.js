@@ -0,0 +1,33 @@
+export const SESSION_CHANNEL = 'billed-session'
+const SHARED_KEYS = ['jwt', 'user']
+
+let channel = null
+
+const openChannel = () => {
+  if (!channel && typeof BroadcastChannel !== 'undefined') channel = new BroadcastChannel(SESSION_CHANNEL)
+  return channel
+}
+
+// tells the other tabs of the browser that a session started ('login') or ended ('logout') in this one
+export const announceSession = (type, email) => {
+  const current = openChannel()
+  if (current) current.postMessage({ type, email })
+}
+
+// onChange({ type, email }) for a message of another tab, onChange({ type: 'storage' }) when another tab
+// wrote the session kept in localStorage (sessionStorage is not shared between tabs); returns a stop function
+export const watchOtherTabs = (onChange) => {
+  const handleStorage = (e) => {
+    if (e.storageArea && e.storageArea !== localStorage) return
+    // a null key is a localStorage.clear()
+    if (e.key === null || SHARED_KEYS.includes(e.key)) onChange({ type: 'storage' })
+  }
+  const handleMessage = (e) => onChange(e.data || {})
+  window.addEventListener('storage', handleStorage)
+  const current = openChannel()
+  if (current) current.addEventListener('message', handleMessage)
+  return () => {
+    window.removeEventListener('storage', handleStorage)
+    if (current) current.removeEventListener('message', handleMessage)
+  }
+}
@@ -0,0 +1,9 @@
+export const BILL_TYPES = [
+  'Transports',
+  'Restaurants et bars',
+  'Hôtel et logement',
+  'Services en ligne',
+  'IT et électronique',
+  'Equipement et matériel',
+  'Fournitures de bureau'
+]
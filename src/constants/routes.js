@@ -1,27 +1,104 @@
 import LoginUI from "../views/LoginUI.js"
 import BillsUI from "../views/BillsUI.js"
 import NewBillUI from "../views/NewBillUI.js"
+import BillDetailUI from "../views/BillDetailUI.js"
 import DashboardUI from "../views/DashboardUI.js"
+import NotFoundPage from "../views/NotFoundPage.js"
+import SignUpUI from "../views/SignUpUI.js"
+import ConfirmEmailUI from "../views/ConfirmEmailUI.js"
+import ForgotPasswordUI from "../views/ForgotPasswordUI.js"
+import ResetPasswordUI from "../views/ResetPasswordUI.js"
+import ChangePasswordUI from "../views/ChangePasswordUI.js"
+import { fromQueryString, toQueryString } from "../app/pagination.js"
+import { getRole } from "../app/session.js"
 
-export const ROUTES_PATH = {
-  Login: '/',
-  Bills: '#employee/bills',
-  NewBill : '#employee/bill/new',
-  Dashboard: '#admin/dashboard'
+// paths are matched in order: a fixed path must come before a parameterized one it overlaps
+// (#employee/bill/new before #employee/bill/:id)
+// guard: 'authenticated', or the role required ('Employee', 'Admin'), see app/guards.js
+export const ROUTE_TABLE = [
+  { name: 'Login', path: '/' },
+  { name: 'SignUp', path: '#signup' },
+  { name: 'ConfirmEmail', path: '#signup/confirm' },
+  { name: 'ForgotPassword', path: '#password/forgot' },
+  { name: 'ResetPassword', path: '#password/reset' },
+  { name: 'ChangePassword', path: '#account/password', guard: 'authenticated' },
+  { name: 'Bills', path: '#employee/bills', guard: 'Employee' },
+  { name: 'NewBill', path: '#employee/bill/new', guard: 'Employee' },
+  { name: 'BillDetail', path: '#employee/bill/:id', guard: 'Employee' },
+  { name: 'EditBill', path: '#employee/bill/:id/edit', guard: 'Employee' },
+  { name: 'Dashboard', path: '#admin/dashboard', guard: 'Admin' },
+  { name: 'DashboardBill', path: '#admin/dashboard/bill/:id', guard: 'Admin' }
+].map(route => {
+  const keys = []
+  const pattern = route.path.split('/').map(segment => {
+    if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    keys.push(segment.slice(1))
+    return '([^/]+)'
+  }).join('/')
+  return { ...route, keys, regexp: new RegExp(`^${pattern}$`) }
+})
+
+export const ROUTES_PATH = Object.fromEntries(ROUTE_TABLE.map(({ name, path }) => [name, path]))
+
+// '#admin/dashboard/bill/42?status=pending' => { name: 'DashboardBill', params: { id: '42' }, query: { status: 'pending' }, ... }
+export const matchRoute = (location = '') => {
+  const [path, search] = location.split('?')
+  for (const route of ROUTE_TABLE) {
+    const match = route.regexp.exec(path)
+    if (match) {
+      const params = Object.fromEntries(route.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]))
+      return { ...route, params, query: fromQueryString(search), location }
+    }
+  }
+  return null
+}
+
+export const buildPath = (name, params = {}, query = {}) => {
+  const route = ROUTE_TABLE.find(candidate => candidate.name === name)
+  if (!route) throw new Error(`Route inconnue : ${name}`)
+  const path = route.path.replace(/:(\w+)/g, (segment, key) => {
+    if (params[key] === undefined || params[key] === null) throw new Error(`Paramètre "${key}" manquant pour la route ${name}`)
+    return encodeURIComponent(params[key])
+  })
+  return `${path}${toQueryString(query)}`
 }
 
+const HOME_ROUTES = { Employee: 'Bills', Admin: 'Dashboard' }
+
+export const homePath = (role) => HOME_ROUTES[role] ? ROUTES_PATH[HOME_ROUTES[role]] : ROUTES_PATH['Login']
+
+// onNavigate takes either a path ('#employee/bills?page=2') or a route name with its params
+export const resolvePath = (target, { params, query } = {}) =>
+  ROUTE_TABLE.some(route => route.name === target) ? buildPath(target, params, query) : target
+
+// views are picked here rather than in ROUTE_TABLE: DashboardUI imports this module through Dashboard.js
 export const ROUTES = ({ pathname, data, error, loading }) => {
-  switch (pathname) {
-    case ROUTES_PATH['Login']:
+  const route = matchRoute(pathname) || {}
+  switch (route.name) {
+    case 'Login':
       return LoginUI({ data, error, loading })
-    case ROUTES_PATH['Bills']:
+    case 'SignUp':
+      return SignUpUI()
+    case 'ConfirmEmail':
+      return ConfirmEmailUI()
+    case 'ForgotPassword':
+      return ForgotPasswordUI()
+    case 'ResetPassword':
+      return ResetPasswordUI()
+    case 'ChangePassword':
+      return ChangePasswordUI()
+    case 'Bills':
       return BillsUI({ data, error, loading })
-    case ROUTES_PATH['NewBill']:
+    case 'NewBill':
       return NewBillUI()
-    case ROUTES_PATH['Dashboard']:
+    case 'EditBill':
+      return NewBillUI({ bill: data, error, loading })
+    case 'BillDetail':
+      return BillDetailUI({ data, error, loading })
+    case 'Dashboard':
+    case 'DashboardBill':
       return DashboardUI({ data, error, loading })
     default:
-      return LoginUI({ data, error, loading })
+      return NotFoundPage({ home: homePath(getRole()) })
   }
 }
-
@@ -0,0 +1,46 @@
+import { ROUTES_PATH, buildPath } from '../constants/routes.js'
+import { NotFoundError } from "../app/errors.js"
+import Logout from "./Logout.js"
+
+export const BILL_NOT_FOUND_MESSAGE = "Cette note de frais n'existe pas ou ne vous appartient pas."
+
+export default class {
+  constructor({ document, onNavigate, store, localStorage, bill }) {
+    this.document = document
+    this.onNavigate = onNavigate
+    this.store = store
+    this.bill = bill
+    const backButton = document.querySelector(`button[data-testid="btn-back-to-bills"]`)
+    if (backButton) backButton.addEventListener('click', this.handleClickBack)
+    const correctButton = document.querySelector(`button[data-testid="btn-correct-bill"]`)
+    if (correctButton) correctButton.addEventListener('click', this.handleClickCorrect)
+    new Logout({ document, localStorage, onNavigate })
+  }
+
+  handleClickBack = () => {
+    this.onNavigate(ROUTES_PATH['Bills'])
+  }
+
+  handleClickCorrect = () => {
+    this.onNavigate(buildPath('EditBill', { id: this.bill.id }))
+  }
+
+  // the server answers 404 for the bills of other employees too
+  getBill = (id, { onRevalidate } = {}) => {
+    if (this.store) {
+      return this.store
+      .bills()
+      .select({ selector: id, onRevalidate })
+      .catch(error => {
+        if (error instanceof NotFoundError) {
+          Object.assign(error, {
+            title: 'Note de frais introuvable',
+            message: BILL_NOT_FOUND_MESSAGE,
+            link: { href: ROUTES_PATH['Bills'], label: 'Retour à mes notes de frais' }
+          })
+        }
+        throw error
+      })
+    }
+  }
+}
@@ -1,25 +1,195 @@
-import { ROUTES_PATH } from '../constants/routes.js'
+import { ROUTES_PATH, buildPath } from '../constants/routes.js'
 import { formatDate, formatStatus } from "../app/format.js"
+import { isUnauthenticated } from "../app/errors.js"
+import { getUser } from "../app/session.js"
+import { getConfig } from "../app/config.js"
+import { toPage } from "../app/pagination.js"
+import { BILL_FILTERS, DEFAULT_BILL_SORT, DRAFT_STATUS, matchesBillQuery, sortBills, toggleSort } from "../app/billQuery.js"
 import Logout from "./Logout.js"
 
+// how long the undo toast leaves before a withdrawn bill is actually deleted
+export const UNDO_DELAY = 5000
+export const WITHDRAWN_MESSAGE = "Note de frais retirée."
+export const WITHDRAW_FAILED_MESSAGE = "La note de frais n'a pas pu être retirée."
+
 export default class {
-  constructor({ document, onNavigate, store, localStorage }) {
+  constructor({ document, onNavigate, store, localStorage, query = {} }) {
     this.document = document
     this.onNavigate = onNavigate
     this.store = store
+    this.query = query
     const buttonNewBill = document.querySelector(`button[data-testid="btn-new-bill"]`)
     if (buttonNewBill) buttonNewBill.addEventListener('click', this.handleClickNewBill)
     const iconEye = document.querySelectorAll(`div[data-testid="icon-eye"]`)
     if (iconEye) iconEye.forEach(icon => {
       icon.addEventListener('click', () => this.handleClickIconEye(icon))
     })
+    const dismissButtons = document.querySelectorAll(`button[data-testid="btn-outbox-dismiss"]`)
+    dismissButtons.forEach(button => {
+      button.addEventListener('click', () => this.handleDismissOutboxEntry(button))
+    })
+    const pagerButtons = document.querySelectorAll(`.pager button[data-page]`)
+    pagerButtons.forEach(button => {
+      button.addEventListener('click', () => this.handleChangePage(parseInt(button.getAttribute('data-page'))))
+    })
+    const detailButtons = document.querySelectorAll(`button[data-testid="btn-bill-detail"]`)
+    detailButtons.forEach(button => {
+      button.addEventListener('click', () => this.handleClickBillDetail(button.getAttribute('data-bill-id')))
+    })
+    const correctButtons = document.querySelectorAll(`button[data-testid="btn-correct-bill"]`)
+    correctButtons.forEach(button => {
+      button.addEventListener('click', () => this.handleClickEditBill(button.getAttribute('data-bill-id')))
+    })
+    const resumeButtons = document.querySelectorAll(`button[data-testid="btn-resume-draft"]`)
+    resumeButtons.forEach(button => {
+      button.addEventListener('click', () => this.handleClickEditBill(button.getAttribute('data-bill-id')))
+    })
+    const resumeLocalDraft = document.querySelector(`button[data-testid="btn-resume-local-draft"]`)
+    if (resumeLocalDraft) resumeLocalDraft.addEventListener('click', this.handleClickNewBill)
+    const withdrawButtons = document.querySelectorAll(`button[data-testid="btn-withdraw-bill"]`)
+    withdrawButtons.forEach(button => {
+      button.addEventListener('click', () => this.handleClickWithdraw(button))
+    })
+    const confirmWithdraw = document.querySelector(`button[data-testid="btn-withdraw-confirm"]`)
+    if (confirmWithdraw) confirmWithdraw.addEventListener('click', this.handleConfirmWithdraw)
+    const undoButton = document.querySelector(`button[data-testid="btn-undo"]`)
+    if (undoButton) undoButton.addEventListener('click', this.handleUndoWithdraw)
+    this.withdrawal = null
+    this.toastTimer = null
+    const sortButtons = document.querySelectorAll(`button[data-sort]`)
+    sortButtons.forEach(button => {
+      button.addEventListener('click', () => this.handleSort(button.getAttribute('data-sort')))
+    })
+    const toolbar = document.querySelector(`form[data-testid="bills-toolbar"]`)
+    if (toolbar) {
+      toolbar.addEventListener('submit', this.handleFilter)
+      // lists and dates apply at once, the search when submitted
+      toolbar.querySelectorAll('select, input[type="date"]').forEach(field => field.addEventListener('change', this.handleFilter))
+      toolbar.querySelector(`button[data-testid="btn-filter-reset"]`).addEventListener('click', this.handleResetFilters)
+    }
     new Logout({ document, localStorage, onNavigate })
   }
 
+  // the filters and the sort live in the address, so that a reload or a shared link shows the same list
+  navigateWith = (query) => {
+    const sort = query.sort === DEFAULT_BILL_SORT ? undefined : query.sort
+    this.onNavigate(buildPath('Bills', {}, { ...query, sort }))
+  }
+
+  handleChangePage = (page) => {
+    this.onNavigate(buildPath('Bills', {}, { ...this.query, page }))
+  }
+
+  // a new sort or new filters start again from the first page
+  handleSort = (field) => {
+    const { page, ...query } = this.query
+    this.navigateWith({ ...query, sort: toggleSort(query.sort, field) })
+  }
+
+  handleFilter = (e) => {
+    e.preventDefault()
+    const toolbar = this.document.querySelector(`form[data-testid="bills-toolbar"]`)
+    const filters = Object.fromEntries(BILL_FILTERS.map(name => [name, toolbar.querySelector(`[name="${name}"]`).value.trim()]))
+    this.navigateWith({ ...filters, sort: this.query.sort })
+  }
+
+  handleResetFilters = () => {
+    this.navigateWith({ sort: this.query.sort })
+  }
+
+  handleDismissOutboxEntry = (button) => {
+    return this.store.outbox
+      .remove(button.getAttribute('data-outbox-id'))
+      .then(() => this.onNavigate(buildPath('Bills', {}, this.query)))
+  }
+
   handleClickNewBill = () => {
     this.onNavigate(ROUTES_PATH['NewBill'])
   }
 
+  handleClickBillDetail = (id) => {
+    this.onNavigate(buildPath('BillDetail', { id }))
+  }
+
+  handleClickEditBill = (id) => {
+    this.onNavigate(buildPath('EditBill', { id }))
+  }
+
+  // a pending bill or a draft can be withdrawn: confirmed in a modal, then deleted once the undo toast has gone
+  handleClickWithdraw = (button) => {
+    this.billToWithdraw = button.getAttribute('data-bill-id')
+    $('#modaleWithdraw').find(`[data-testid="withdraw-bill-name"]`).text(button.getAttribute('data-bill-name'))
+    if (typeof $('#modaleWithdraw').modal === 'function') $('#modaleWithdraw').modal('show')
+  }
+
+  handleConfirmWithdraw = () => {
+    if (typeof $('#modaleWithdraw').modal === 'function') $('#modaleWithdraw').modal('hide')
+    // a bill withdrawn just before is not waiting for this one's delay
+    this.sendWithdrawal()
+    const id = this.billToWithdraw
+    const row = this.document.querySelector(`tr[data-bill-id="${id}"], li[data-bill-id="${id}"]`)
+    if (row) row.hidden = true
+    this.withdrawal = { id, row, sendAt: Date.now() + UNDO_DELAY, timer: setTimeout(this.sendWithdrawal, UNDO_DELAY) }
+    this.showToast(WITHDRAWN_MESSAGE, { undo: true })
+  }
+
+  // the page repainted by a background refresh keeps the bill hidden and the undo toast until the end of its delay
+  takeOverWithdrawal = (previous) => {
+    const { withdrawal } = previous
+    if (!withdrawal) return
+    clearTimeout(withdrawal.timer)
+    previous.withdrawal = null
+    const row = this.document.querySelector(`tr[data-bill-id="${withdrawal.id}"], li[data-bill-id="${withdrawal.id}"]`)
+    if (row) row.hidden = true
+    this.withdrawal = { ...withdrawal, row, timer: setTimeout(this.sendWithdrawal, Math.max(0, withdrawal.sendAt - Date.now())) }
+    this.showToast(WITHDRAWN_MESSAGE, { undo: true })
+  }
+
+  handleUndoWithdraw = () => {
+    if (!this.withdrawal) return
+    const { row, timer } = this.withdrawal
+    clearTimeout(timer)
+    if (row) row.hidden = false
+    this.withdrawal = null
+    this.hideToast()
+  }
+
+  // also called when leaving the page, which sends the withdrawal still waiting rather than dropping it
+  sendWithdrawal = () => {
+    if (!this.withdrawal) return
+    const { id, row, timer } = this.withdrawal
+    clearTimeout(timer)
+    this.withdrawal = null
+    this.hideToast()
+    // the cached list is refreshed once the bill is deleted, repainting the page and its pager
+    return this.store
+      .bills()
+      .delete({ selector: id })
+      .catch(error => {
+        if (row) row.hidden = false
+        // the session has ended, its listener in the router sends the user back to Login
+        if (isUnauthenticated(error)) return
+        console.error(error)
+        this.showToast(WITHDRAW_FAILED_MESSAGE)
+      })
+  }
+
+  showToast = (message, { undo = false } = {}) => {
+    const toast = this.document.querySelector(`[data-testid="undo-toast"]`)
+    if (!toast) return
+    toast.querySelector(`[data-testid="undo-toast-message"]`).textContent = message
+    toast.querySelector(`button[data-testid="btn-undo"]`).hidden = !undo
+    toast.hidden = false
+    clearTimeout(this.toastTimer)
+    if (!undo) this.toastTimer = setTimeout(this.hideToast, UNDO_DELAY)
+  }
+
+  hideToast = () => {
+    clearTimeout(this.toastTimer)
+    const toast = this.document.querySelector(`[data-testid="undo-toast"]`)
+    if (toast) toast.hidden = true
+  }
+
   handleClickIconEye = (icon) => {
     const billUrl = icon.getAttribute("data-bill-url")
     const imgWidth = Math.floor($('#modaleFile').width() * 0.5)
@@ -27,34 +197,76 @@ export default class {
     $('#modaleFile').modal('show')
   }
 
-  getBills = () => {
+  formatBills = (snapshot) => {
+    const bills = snapshot
+      .map(doc => {
+        try {
+          return {
+            ...doc,
+            date: formatDate(doc.date),
+            status: formatStatus(doc.status),
+            statusCode: doc.status
+          }
+        } catch(e) {
+          // if for some reason, corrupted data was introduced, we manage here failing formatDate function
+          // log the error and return unformatted date in that case
+          console.log(e,'for',doc)
+          return {
+            ...doc,
+            date: doc.date,
+            status: formatStatus(doc.status),
+            statusCode: doc.status
+          }
+        }
+      })
+      console.log('length', bills.length)
+    return bills
+  }
+
+  // bills still waiting in the offline outbox are shown along with the sent ones, if they match the filters
+  withOutbox = (bills, query = {}) => {
+    if (!this.store.outbox) return bills
+    const user = getUser()
+    return this.store.outbox
+      .pendingBills(user && user.email)
+      .then(pending => [...this.formatBills(pending.filter(bill => matchesBillQuery(bill, query))), ...bills])
+  }
+
+  // keeps the page details for the pager and hands back the bills of the page; they are filtered and
+  // sorted here too, before formatting, for a backend answering with all the bills whatever the query
+  readPage = (body, query = {}) => {
+    const { items, ...pagination } = toPage(body)
+    this.pagination = pagination
+    const { email, ...filters } = query
+    return this.formatBills(sortBills(items.filter(bill => matchesBillQuery(bill, filters)), query.sort))
+  }
+
+  // onRevalidate receives the refreshed bills when the cached page was outdated
+  getBills = ({ query = {}, onRevalidate } = {}) => {
     if (this.store) {
+      const read = body => this.withOutbox(this.readPage(body, query), query)
       return this.store
       .bills()
-      .list()
-      .then(snapshot => {
-        const bills = snapshot
-          .map(doc => {
-            try {
-              return {
-                ...doc,
-                date: formatDate(doc.date),
-                status: formatStatus(doc.status)
-              }
-            } catch(e) {
-              // if for some reason, corrupted data was introduced, we manage here failing formatDate function
-              // log the error and return unformatted date in that case
-              console.log(e,'for',doc)
-              return {
-                ...doc,
-                date: doc.date,
-                status: formatStatus(doc.status)
-              }
-            }
-          })
-          console.log('length', bills.length)
-        return bills
+      .list({
+        query: { pageSize: getConfig().pageSize, ...query },
+        onRevalidate: onRevalidate && (body => Promise.resolve(read(body)).then(onRevalidate))
       })
+      .then(read)
     }
   }
+
+  // the drafts of the user, last started first; the page still shows the bills sent if they cannot be read
+  getDrafts = ({ onRevalidate } = {}) => {
+    if (!this.store) return Promise.resolve([])
+    const query = { status: DRAFT_STATUS, sort: '-createdAt' }
+    const read = body => this.formatBills(sortBills(toPage(body).items.filter(bill => matchesBillQuery(bill, query)), query.sort))
+    return this.store
+      .bills()
+      .list({ query, onRevalidate: onRevalidate && (body => onRevalidate(read(body))) })
+      .then(read)
+      .catch(error => {
+        console.error(error)
+        return []
+      })
+  }
 }
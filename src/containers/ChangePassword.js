@@ -0,0 +1,53 @@
+import { ValidationError, isUnauthenticated } from '../app/errors.js'
+import PasswordFields from './PasswordFields.js'
+import Logout from "./Logout.js"
+
+export default class ChangePassword {
+  constructor({ document, onNavigate, store, localStorage }) {
+    this.document = document
+    this.onNavigate = onNavigate
+    this.store = store
+    this.form = this.document.querySelector(`form[data-testid="form-change-password"]`)
+    this.form.addEventListener('submit', this.handleSubmit)
+    this.currentPassword = this.form.querySelector(`input[data-testid="current-password-input"]`)
+    this.currentPassword.addEventListener('input', () => this.currentPassword.classList.remove('is-invalid'))
+    this.passwordFields = new PasswordFields({ form: this.form })
+    new Logout({ document, localStorage, onNavigate })
+  }
+
+  handleSubmit = e => {
+    e.preventDefault()
+    this.showMessages({})
+    if (!this.passwordFields.validate()) return Promise.resolve()
+    const button = e.target.querySelector(`button[data-testid="change-password-button"]`)
+    button.disabled = true
+    return this.store
+      .changePassword({ currentPassword: this.currentPassword.value, password: this.passwordFields.value })
+      .then(() => {
+        this.form.reset()
+        this.showMessages({ done: true })
+      }, this.handleError)
+      .finally(() => { button.disabled = false })
+  }
+
+  handleError = error => {
+    // the session has ended, its listener in the router sends the user back to Login
+    if (isUnauthenticated(error)) return
+    if (error instanceof ValidationError && error.fields.currentPassword) {
+      this.currentPassword.classList.add('is-invalid')
+      this.form.querySelector(`[data-testid="current-password-error"]`).textContent = error.fields.currentPassword
+    } else if (error instanceof ValidationError && error.fields.password) {
+      this.passwordFields.showError()
+      this.showMessages({ error: error.fields.password })
+    } else {
+      this.showMessages({ error: error.message })
+    }
+  }
+
+  showMessages = ({ done = false, error = null }) => {
+    this.document.querySelector(`[data-testid="change-password-done"]`).hidden = !done
+    const alert = this.document.querySelector(`[data-testid="change-password-error"]`)
+    alert.textContent = error || ''
+    alert.hidden = !error
+  }
+}
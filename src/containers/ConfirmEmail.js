@@ -0,0 +1,33 @@
+import { ROUTES_PATH } from '../constants/routes.js'
+
+export const INVALID_LINK_MESSAGE = "Ce lien de confirmation n'est pas valide."
+export const CONFIRMED_MESSAGE = "Votre adresse email est confirmée, vous pouvez maintenant vous connecter."
+
+// opened from the link of the confirmation email: #signup/confirm?token=...
+export default class ConfirmEmail {
+  constructor({ document, onNavigate, store, token }) {
+    this.document = document
+    this.onNavigate = onNavigate
+    this.store = store
+    this.message = this.document.querySelector(`[data-testid="confirm-email-message"]`)
+    this.loginLink = this.document.querySelector(`a[data-testid="link-login"]`)
+    this.loginLink.addEventListener('click', e => {
+      e.preventDefault()
+      this.onNavigate(ROUTES_PATH['Login'])
+    })
+    this.confirmation = this.confirm(token)
+  }
+
+  confirm = token => {
+    if (!token) return Promise.resolve(this.showResult(INVALID_LINK_MESSAGE, true))
+    return this.store
+      .confirmEmail(token)
+      .then(() => this.showResult(CONFIRMED_MESSAGE), error => this.showResult(error.message, true))
+  }
+
+  showResult = (message, failed = false) => {
+    this.message.textContent = message
+    this.message.classList.toggle('text-danger', failed)
+    this.loginLink.hidden = false
+  }
+}
@@ -1,10 +1,15 @@
 import { formatDate } from '../app/format.js'
 import DashboardFormUI from '../views/DashboardFormUI.js'
 import BigBilledIcon from '../assets/svg/big_billed.js'
-import { ROUTES_PATH } from '../constants/routes.js'
-import USERS_TEST from '../constants/usersTest.js'
+import { buildPath } from '../constants/routes.js'
+import { getConfig } from '../app/config.js'
+import { toPage } from '../app/pagination.js'
+import { getUser } from '../app/session.js'
+import { NotFoundError } from '../app/errors.js'
 import Logout from "./Logout.js"
 
+export const LINKED_BILL_NOT_FOUND_MESSAGE = "Cette note de frais est introuvable."
+
 export const filteredBills = (data, status) => {
   return (data && data.length) ?
     data.filter(bill => {
@@ -17,10 +22,10 @@ export const filteredBills = (data, status) => {
       /* istanbul ignore next */
       else {
         // in prod environment
-        const userEmail = JSON.parse(localStorage.getItem("user")).email
+        const userEmail = getUser().email
         selectCondition =
           (bill.status === status) &&
-          ![...USERS_TEST, userEmail].includes(bill.email)
+          ![...getConfig().usersTest, userEmail].includes(bill.email)
       }
 
       return selectCondition
@@ -68,16 +73,47 @@ export const getStatus = (index) => {
 }
 
 export default class {
-  constructor({ document, onNavigate, store, bills, localStorage }) {
+  constructor({ document, onNavigate, store, bills, localStorage, query = {}, params = {}, sections = [] }) {
     this.document = document
     this.onNavigate = onNavigate
     this.store = store
+    this.query = query
+    this.params = params
     // track open/close per section instead of one global counter
     this.sectionCounters = { 1: 0, 2: 0, 3: 0 }
+    this.openedBill = null
     $('#arrow-icon1').click((e) => this.handleShowTickets(e, bills, 1))
     $('#arrow-icon2').click((e) => this.handleShowTickets(e, bills, 2))
     $('#arrow-icon3').click((e) => this.handleShowTickets(e, bills, 3))
+    $('.pager button[data-page]').click((e) => this.handleChangePage(parseInt($(e.currentTarget).attr('data-page'))))
     new Logout({ localStorage, onNavigate })
+    if (params.id || (bills && bills.length && (query.status || sections.length))) this.openFromLocation(bills || [], sections)
+  }
+
+  // #admin/dashboard/bill/:id?status=pending opens the pending section and that bill,
+  // sections are the ones that were open when the history entry was left
+  openFromLocation = (bills, sections = []) => {
+    const bill = this.params.id && bills.find(candidate => candidate.id === this.params.id)
+    const status = bill ? bill.status : this.query.status
+    const index = [1, 2, 3].find(candidate => getStatus(candidate) === status)
+    const indexes = index && !sections.includes(index) ? [...sections, index] : sections
+    indexes.forEach(section => this.handleShowTickets(null, bills, section))
+    if (bill) this.handleEditTicket(null, bill, bills)
+    else if (this.params.id) $('.dashboard-right-container div').html(`
+        <div class="alert alert-warning" role="alert" data-testid="linked-bill-not-found">${LINKED_BILL_NOT_FOUND_MESSAGE}</div>
+      `)
+  }
+
+  openSections = () => [1, 2, 3].filter(index => this.sectionCounters[index] % 2 === 1)
+
+  // keeps the address bar pointing at the opened bill so that it can be shared,
+  // and the history entry knowing the open sections so that back/forward can restore them
+  syncLocation = () => {
+    const bill = this.openedBill
+    const path = bill
+      ? buildPath('DashboardBill', { id: bill.id }, { ...this.query, status: bill.status })
+      : buildPath('Dashboard', {}, this.query)
+    window.history.replaceState({ ...window.history.state, sections: this.openSections() }, '', window.location.origin + path)
   }
 
   handleClickIconEye = () => {
@@ -97,6 +133,9 @@ export default class {
       $(`#open-bill${bill.id}`).css({ background: '#2A2B35' })
       $('.dashboard-right-container div').html(DashboardFormUI(bill))
       $('.vertical-navbar').css({ height: '150vh' })
+      this.openedBill = bill
+      this.syncLocation()
+      this.markReviewed(bill)
       this.counter ++
     } else {
       $(`#open-bill${bill.id}`).css({ background: '#0D5AE5' })
@@ -105,6 +144,8 @@ export default class {
         <div id="big-billed-icon" data-testid="big-billed-icon"> ${BigBilledIcon} </div>
       `)
       $('.vertical-navbar').css({ height: '120vh' })
+      this.openedBill = null
+      this.syncLocation()
       this.counter ++
     }
     $('#icon-eye-d').click(this.handleClickIconEye)
@@ -112,6 +153,18 @@ export default class {
     $('#btn-refuse-bill').click((e) => this.handleRefuseSubmit(e, bill))
   }
 
+  // the employee sees on the page of the bill when an admin first opened it
+  markReviewed = (bill) => {
+    if (!this.store || bill.reviewedAt || bill.status !== 'pending') return
+    this.store.reviewBill(bill.id).catch(error => console.error(error))
+  }
+
+  currentLocation = () => buildPath('Dashboard', {}, this.query)
+
+  handleChangePage = (page) => {
+    this.onNavigate(buildPath('Dashboard', {}, { ...this.query, page }))
+  }
+
   handleAcceptSubmit = (e, bill) => {
     const newBill = {
       ...bill,
@@ -119,7 +172,7 @@ export default class {
       commentAdmin: $('#commentary2').val()
     }
     this.updateBill(newBill)
-    this.onNavigate(ROUTES_PATH['Dashboard'])
+    this.onNavigate(this.currentLocation())
   }
 
   handleRefuseSubmit = (e, bill) => {
@@ -129,7 +182,7 @@ export default class {
       commentAdmin: $('#commentary2').val()
     }
     this.updateBill(newBill)
-    this.onNavigate(ROUTES_PATH['Dashboard'])
+    this.onNavigate(this.currentLocation())
   }
 
   handleShowTickets(e, bills, index) {
@@ -152,26 +205,55 @@ export default class {
       $(`#status-bills-container${index}`).html("")
     }
     this.sectionCounters[index]++
+    this.syncLocation()
+  }
+
+  formatBills = (snapshot) => {
+    const bills = snapshot
+    .map(doc => ({
+      id: doc.id,
+      ...doc,
+      date: doc.date,
+      status: doc.status
+    }))
+    return bills
   }
 
-  getBillsAllUsers = () => {
+  // keeps the page details for the pager and hands back the bills of the page
+  readPage = (body) => {
+    const { items, ...pagination } = toPage(body)
+    this.pagination = pagination
+    return this.formatBills(items)
+  }
+
+  // the bill of a #admin/dashboard/bill/:id link may be beyond the page loaded: it is then read once on its own
+  // and listed with the bills of the page, or left out when it does not exist
+  withLinkedBill = (bills, id) => {
+    if (!id || !this.store || bills.some(bill => bill.id === id)) return Promise.resolve(bills)
+    if (!this.linkedBill) {
+      this.linkedBill = this.store
+      .bills()
+      .select({ selector: id })
+      .then(bill => this.formatBills([bill])[0], error => {
+        if (error instanceof NotFoundError) return null
+        this.linkedBill = null
+        throw error
+      })
+    }
+    return this.linkedBill.then(bill => bill ? [...bills, bill] : bills)
+  }
+
+  getBillsAllUsers = ({ query = {}, onRevalidate } = {}) => {
+    // status only tells which section to open, the dashboard lists every status
+    const { status, ...listQuery } = query
     if (this.store) {
       return this.store
       .bills()
-      .list()
-      .then(snapshot => {
-        const bills = snapshot
-        .map(doc => ({
-          id: doc.id,
-          ...doc,
-          date: doc.date,
-          status: doc.status
-        }))
-        return bills
-      })
-      .catch(error => {
-        throw error;
+      .list({
+        query: { pageSize: getConfig().pageSize, ...listQuery },
+        onRevalidate: onRevalidate && (body => onRevalidate(this.readPage(body)))
       })
+      .then(this.readPage)
     }
   }
 
@@ -0,0 +1,39 @@
+import { ROUTES_PATH } from '../constants/routes.js'
+
+export const RESET_REQUESTED_MESSAGE = "Si un compte existe pour cet email, un lien de réinitialisation vient de lui être envoyé."
+
+export default class ForgotPassword {
+  constructor({ document, onNavigate, store }) {
+    this.document = document
+    this.onNavigate = onNavigate
+    this.store = store
+    this.form = this.document.querySelector(`form[data-testid="form-forgot-password"]`)
+    this.form.addEventListener('submit', this.handleSubmit)
+    const loginLink = this.document.querySelector(`a[data-testid="link-login"]`)
+    loginLink.addEventListener('click', e => {
+      e.preventDefault()
+      this.onNavigate(ROUTES_PATH['Login'])
+    })
+  }
+
+  handleSubmit = e => {
+    e.preventDefault()
+    const email = e.target.querySelector(`input[data-testid="forgot-email-input"]`).value
+    const button = e.target.querySelector(`button[data-testid="forgot-password-button"]`)
+    const error = this.form.querySelector(`[data-testid="forgot-password-error"]`)
+    error.hidden = true
+    button.disabled = true
+    return this.store
+      .requestPasswordReset(email)
+      .then(response => {
+        this.form.hidden = true
+        const sent = this.document.querySelector(`[data-testid="forgot-password-sent"]`)
+        sent.textContent = (response && response.message) || RESET_REQUESTED_MESSAGE
+        sent.hidden = false
+      }, err => {
+        error.textContent = err.message
+        error.hidden = false
+      })
+      .finally(() => { button.disabled = false })
+  }
+}
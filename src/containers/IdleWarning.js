@@ -0,0 +1,50 @@
+import IdleWarningModal from '../views/IdleWarningModal.js'
+
+// the modal warning that the session is about to end for inactivity, with a countdown
+export default class IdleWarning {
+  constructor({ document, onExtend, onLogout }) {
+    this.document = document
+    this.onExtend = onExtend
+    this.onLogout = onLogout
+    this.countdown = null
+  }
+
+  // kept outside #root, so that a page rendered behind it does not remove it
+  modal = () => {
+    let modal = this.document.getElementById('modaleIdle')
+    if (!modal) {
+      this.document.body.insertAdjacentHTML('beforeend', IdleWarningModal())
+      modal = this.document.getElementById('modaleIdle')
+      modal.querySelector(`button[data-testid="btn-idle-extend"]`).addEventListener('click', this.handleExtend)
+      modal.querySelector(`button[data-testid="btn-idle-logout"]`).addEventListener('click', this.handleLogout)
+    }
+    return modal
+  }
+
+  show = (remaining) => {
+    const modal = this.modal()
+    const seconds = modal.querySelector(`[data-testid="idle-countdown"]`)
+    const endsAt = Date.now() + remaining
+    const tick = () => { seconds.textContent = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)) }
+    tick()
+    clearInterval(this.countdown)
+    this.countdown = setInterval(tick, 1000)
+    if (typeof $(modal).modal === 'function') $(modal).modal('show')
+  }
+
+  hide = () => {
+    clearInterval(this.countdown)
+    const modal = this.document.getElementById('modaleIdle')
+    if (modal && typeof $(modal).modal === 'function') $(modal).modal('hide')
+  }
+
+  handleExtend = () => {
+    this.hide()
+    this.onExtend()
+  }
+
+  handleLogout = () => {
+    this.hide()
+    this.onLogout()
+  }
+}
@@ -1,5 +1,5 @@
-
-import { ROUTES_PATH } from '../constants/routes.js'
+import { ROUTES_PATH, homePath } from '../constants/routes.js'
+import { consumeReturnLocation, decodeToken, startSession, watchSession } from '../app/session.js'
 export let PREVIOUS_LOCATION = ''
 
 // we use a class so as to test its methods in e2e tests
@@ -14,80 +14,66 @@ export default class Login {
     formEmployee.addEventListener("submit", this.handleSubmitEmployee)
     const formAdmin = this.document.querySelector(`form[data-testid="form-admin"]`)
     formAdmin.addEventListener("submit", this.handleSubmitAdmin)
-  }
-  handleSubmitEmployee = e => {
-    e.preventDefault()
-    const user = {
-      type: "Employee",
-      email: e.target.querySelector(`input[data-testid="employee-email-input"]`).value,
-      password: e.target.querySelector(`input[data-testid="employee-password-input"]`).value,
-      status: "connected"
+    const links = {
+      'link-signup': ROUTES_PATH['SignUp'],
+      'employee-forgot-password': ROUTES_PATH['ForgotPassword'],
+      'admin-forgot-password': ROUTES_PATH['ForgotPassword']
     }
-    this.localStorage.setItem("user", JSON.stringify(user))
-    this.login(user)
-      .catch(
-        (err) => this.createUser(user)
-      )
-      .then(() => {
-        this.onNavigate(ROUTES_PATH['Bills'])
-        this.PREVIOUS_LOCATION = ROUTES_PATH['Bills']
-        PREVIOUS_LOCATION = this.PREVIOUS_LOCATION
-        this.document.body.style.backgroundColor="#fff"
+    Object.entries(links).forEach(([testId, path]) => {
+      const link = this.document.querySelector(`a[data-testid="${testId}"]`)
+      if (link) link.addEventListener("click", e => {
+        e.preventDefault()
+        this.onNavigate(path)
       })
-
+    })
   }
 
-  handleSubmitAdmin = e => {
+  handleSubmitEmployee = e => this.handleSubmit(e, "employee")
+
+  handleSubmitAdmin = e => this.handleSubmit(e, "admin")
+
+  // both forms log in the same way: the page the user lands on depends on the role of their account
+  handleSubmit = (e, form) => {
     e.preventDefault()
-    const user = {
-      type: "Admin",
-      email: e.target.querySelector(`input[data-testid="admin-email-input"]`).value,
-      password: e.target.querySelector(`input[data-testid="admin-password-input"]`).value,
-      status: "connected"
+    const credentials = {
+      email: e.target.querySelector(`input[data-testid="${form}-email-input"]`).value,
+      password: e.target.querySelector(`input[data-testid="${form}-password-input"]`).value
     }
-    this.localStorage.setItem("user", JSON.stringify(user))
-    this.login(user)
-      .catch(
-        (err) => this.createUser(user)
-      )
-      .then(() => {
-        this.onNavigate(ROUTES_PATH['Dashboard'])
-        this.PREVIOUS_LOCATION = ROUTES_PATH['Dashboard']
+    const remember = e.target.querySelector(`input[data-testid="${form}-remember-input"]`).checked
+    const button = e.target.querySelector(`button[data-testid="${form}-login-button"]`)
+    this.showError(form, null)
+    button.disabled = true
+    return this.login(credentials)
+      .then(({ jwt, user }) => {
+        const profile = startSession({ jwt, user }, { remember })
+        watchSession()
+        const location = consumeReturnLocation(homePath(profile.type))
+        this.onNavigate(location)
+        this.PREVIOUS_LOCATION = location
         PREVIOUS_LOCATION = this.PREVIOUS_LOCATION
-        document.body.style.backgroundColor="#fff"
+        this.document.body.style.backgroundColor="#fff"
+      }, error => {
+        button.disabled = false
+        this.showError(form, error.message)
       })
   }
 
-  // not need to cover this function by tests
-  login = (user) => {
-    if (this.store) {
-      return this.store
-      .login(JSON.stringify({
-        email: user.email,
-        password: user.password,
-      })).then(({jwt}) => {
-        localStorage.setItem('jwt', jwt)
-      })
-    } else {
-      return null
-    }
+  showError = (form, message) => {
+    const alert = this.document.querySelector(`[data-testid="${form}-login-error"]`)
+    if (!alert) return
+    alert.textContent = message || ''
+    alert.hidden = !message
   }
 
   // not need to cover this function by tests
-  createUser = (user) => {
+  login = (credentials) => {
     if (this.store) {
       return this.store
-      .users()
-      .create({data:JSON.stringify({
-        type: user.type,
-        name: user.email.split('@')[0],
-        email: user.email,
-        password: user.password,
-      })})
-      .then(() => {
-        console.log(`User with ${user.email} is created`)
-        return this.login(user)
-      })
+      .login(JSON.stringify(credentials)).then(({ jwt, user }) => ({
+        jwt,
+        // backends answering with the token only: its claims carry the role too
+        user: user || decodeToken(jwt)
+      }))
     } else {
       return null
     }
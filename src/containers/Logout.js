@@ -1,4 +1,11 @@
 import { ROUTES_PATH } from '../constants/routes.js'
+import { clearSession } from '../app/session.js'
+
+// also used when the session ends for inactivity, with a message for the login page
+export const logout = (onNavigate, { error } = {}) => {
+  clearSession()
+  onNavigate(ROUTES_PATH['Login'], { error })
+}
 
 export default class Logout {
   constructor({ document, onNavigate, localStorage }) {
@@ -9,7 +16,6 @@ export default class Logout {
   }
   
   handleClick = (e) => {
-    this.localStorage.clear()
-    this.onNavigate(ROUTES_PATH['Login'])
+    logout(this.onNavigate)
   }
-} 
\ No newline at end of file
+}
@@ -1,8 +1,34 @@
-import { ROUTES_PATH } from '../constants/routes.js'
+import { ROUTES_PATH, buildPath } from '../constants/routes.js'
+import { AuthError, NetworkError, ServerError, ValidationError, isUnauthenticated } from '../app/errors.js'
+import { isLocalId } from '../app/Outbox.js'
+import { getUser } from '../app/session.js'
+import { DRAFT_STATUS } from '../app/billQuery.js'
+import { clearLocalDraft, saveLocalDraft } from '../app/drafts.js'
+import ErrorPage from '../views/ErrorPage.js'
 import Logout from "./Logout.js"
 
+export const NOT_EDITABLE_MESSAGE = "Seuls les brouillons et les notes de frais refusées peuvent être modifiés et envoyés."
+export const OFFLINE_FILE_MESSAGE = "Le justificatif ne peut pas être remplacé sans connexion."
+export const UPLOAD_TIMEOUT_MESSAGE = "L'envoi du justificatif n'avance plus, vérifiez votre connexion puis choisissez-le à nouveau."
+export const AUTOSAVE_DELAY = 1000
+export const AUTOSAVED_MESSAGE = "Brouillon enregistré"
+
+// the bill opened by #employee/bill/:id/edit: a draft to finish or a refused bill to correct,
+// read from the server since the form writes over it (a cached copy may predate the last autosave)
+export const getEditableBill = (store, id) => store
+  .bills()
+  .select({ selector: id, fresh: true })
+  .then(bill => {
+    if ([DRAFT_STATUS, 'refused'].includes(bill.status)) return bill
+    throw Object.assign(new Error(NOT_EDITABLE_MESSAGE), {
+      title: 'Note de frais non modifiable',
+      link: { href: buildPath('BillDetail', { id }), label: 'Voir la note de frais' }
+    })
+  })
+
 export default class NewBill {
-  constructor({ document, onNavigate, store, localStorage }) {
+  // bill: a draft or a refused bill to correct, sent under its own id
+  constructor({ document, onNavigate, store, localStorage, bill = null }) {
     this.document = document
     this.onNavigate = onNavigate
     this.store = store
@@ -10,9 +36,24 @@ export default class NewBill {
     formNewBill.addEventListener("submit", this.handleSubmit)
     const file = this.document.querySelector(`input[data-testid="file"]`)
     file.addEventListener("change", this.handleChangeFile)
-    this.fileUrl = null
-    this.fileName = null
-    this.billId = null
+    const cancelUpload = this.document.querySelector(`button[data-testid="btn-cancel-upload"]`)
+    if (cancelUpload) cancelUpload.addEventListener("click", this.handleCancelUpload)
+    const saveDraft = this.document.querySelector(`button[data-testid="btn-save-draft"]`)
+    if (saveDraft) saveDraft.addEventListener("click", this.handleSaveDraft)
+    const discardDraft = this.document.querySelector(`button[data-testid="btn-discard-local-draft"]`)
+    if (discardDraft) discardDraft.addEventListener("click", this.handleDiscardLocalDraft)
+    // a refused bill is only ever sent again, it never goes back to being a draft
+    this.autosaving = !bill || bill.status === DRAFT_STATUS
+    if (this.autosaving) formNewBill.addEventListener("input", this.scheduleAutosave)
+    this.form = formNewBill
+    this.autosaveTimer = null
+    this.closed = false
+    this.bill = bill
+    this.fileUrl = bill ? bill.fileUrl : null
+    this.fileName = bill ? bill.fileName : null
+    this.billId = bill ? bill.id : null
+    this.uploading = false
+    this.uploadController = null
     new Logout({ document, localStorage, onNavigate })
   }
   handleChangeFile = e => {
@@ -29,56 +70,209 @@ export default class NewBill {
     const filePath = e.target.value.split(/\\/g)
     const fileName = filePath[filePath.length-1]
     const formData = new FormData()
-    const email = JSON.parse(localStorage.getItem("user")).email
+    const email = getUser().email
     formData.append('file', file)
     formData.append('email', email)
 
-    this.store
-      .bills()
-      .create({
-        data: formData,
-        headers: {
-          noContentType: true
-        }
-      })
+    this.clearFieldErrors()
+    // a new file replaces the one still being sent
+    if (this.uploadController) this.uploadController.abort()
+    // the outbox queues new bills only: a corrected bill keeps its justificatif until back online
+    if (this.isOffline()) return this.bill ? this.showFieldErrors({ file: OFFLINE_FILE_MESSAGE }) : this.queueUpload({ file, fileName, email })
+    const controller = this.uploadController = new AbortController()
+    this.setUploading(true)
+    const upload = { data: formData, onProgress: this.handleUploadProgress, signal: controller.signal }
+    const request = this.bill
+      ? this.store.replaceBillFile({ bid: this.bill.id, ...upload })
+      : this.store.bills().create({ ...upload, headers: { noContentType: true } })
+    return request
       .then(({fileUrl, key}) => {
         console.log(fileUrl)
-        this.billId = key
+        this.billId = key || this.billId
         this.fileUrl = fileUrl
         this.fileName = fileName
-      }).catch(error => console.error(error))
+        // the bill now exists as a draft on the server, which keeps the fields from now on
+        this.scheduleAutosave()
+      }).catch(error => {
+        if (error.code === 'aborted') return
+        // a stalled transfer is not being offline: the outbox would only retry it once back online
+        if (error.code === 'timeout') return this.showFieldErrors({ file: UPLOAD_TIMEOUT_MESSAGE })
+        if (error instanceof NetworkError && this.bill) return this.showFieldErrors({ file: OFFLINE_FILE_MESSAGE })
+        if (error instanceof NetworkError && this.store.outbox) return this.queueUpload({ file, fileName, email })
+        this.handleError(error)
+      }).finally(() => {
+        if (this.uploadController !== controller) return
+        this.uploadController = null
+        this.setUploading(false)
+      })
+  }
+
+  // the bill cannot be sent while its justificatif is still uploading
+  setUploading = uploading => {
+    this.uploading = uploading
+    const submit = this.document.getElementById('btn-send-bill')
+    if (submit) submit.disabled = uploading
+    const saveDraft = this.document.querySelector(`button[data-testid="btn-save-draft"]`)
+    if (saveDraft) saveDraft.disabled = uploading
+    const status = this.document.querySelector(`[data-testid="upload-status"]`)
+    if (status) status.hidden = !uploading
+    if (uploading) this.handleUploadProgress({ percent: 0 })
+  }
+
+  handleUploadProgress = ({ percent }) => {
+    const bar = this.document.querySelector(`[data-testid="file-progress"] .progress-bar`)
+    if (!bar) return
+    bar.style.width = `${percent}%`
+    bar.setAttribute('aria-valuenow', percent)
+  }
+
+  handleCancelUpload = () => {
+    if (this.uploadController) this.uploadController.abort()
+    const file = this.document.querySelector(`input[data-testid="file"]`)
+    if (file) file.value = ""
+  }
+
+  isOffline = () => Boolean(this.store && this.store.outbox) && navigator.onLine === false
+
+  // the file is kept in the outbox, the bill gets a local id until it is sent
+  queueUpload = ({ file, fileName, email }) => {
+    return this.store.outbox
+      .queueUpload({ file, fileName, email })
+      .then(billId => {
+        this.billId = billId
+        this.fileName = fileName
+      })
+  }
+
+  handleError = error => {
+    // the session has ended, its listener in the router sends the user back to Login
+    if (isUnauthenticated(error)) return
+    if (error instanceof ValidationError) {
+      this.showFieldErrors(error.fields)
+    } else if (error instanceof ServerError || error instanceof AuthError) {
+      const root = this.document.getElementById('root') || this.document.body
+      root.innerHTML = ErrorPage(error)
+    } else {
+      console.error(error)
+    }
   }
+
+  showFieldErrors = fields => {
+    Object.entries(fields).forEach(([field, message]) => {
+      const input = this.document.querySelector(`[data-testid="${field}"]`)
+      if (!input) return
+      input.classList.add('is-invalid')
+      input.insertAdjacentHTML('afterend', `<div class="invalid-feedback" data-testid="${field}-error">${message}</div>`)
+    })
+  }
+
+  clearFieldErrors = () => {
+    this.document.querySelectorAll('form[data-testid="form-new-bill"] .is-invalid').forEach(input => input.classList.remove('is-invalid'))
+    this.document.querySelectorAll('form[data-testid="form-new-bill"] .invalid-feedback').forEach(feedback => feedback.remove())
+  }
+
+  formFields = () => {
+    const field = testId => this.form.querySelector(`[data-testid="${testId}"]`).value
+    return {
+      type: field('expense-type'),
+      name: field('expense-name'),
+      amount: parseInt(field('amount')),
+      date: field('datepicker'),
+      vat: field('vat'),
+      pct: parseInt(field('pct')) || 20,
+      commentary: field('commentary')
+    }
+  }
+
+  scheduleAutosave = () => {
+    clearTimeout(this.autosaveTimer)
+    this.autosaveTimer = setTimeout(this.autosave, AUTOSAVE_DELAY)
+  }
+
+  // before a justificatif is chosen the fields are kept in this browser, afterwards on the draft bill
+  saveDraft = () => {
+    clearTimeout(this.autosaveTimer)
+    const email = getUser().email
+    if (!this.billId) return Promise.resolve(saveLocalDraft(email, this.formFields()))
+    const draft = { email, ...this.formFields(), fileUrl: this.fileUrl, fileName: this.fileName, status: DRAFT_STATUS }
+    return Promise.resolve(this.updateBill(draft)).then(() => {
+      if (!this.bill) clearLocalDraft()
+    })
+  }
+
+  // while typing, only what can reach the server right away is saved, the rest waits for "Enregistrer le brouillon"
+  autosave = () => {
+    clearTimeout(this.autosaveTimer)
+    // nothing is kept for a user who has just logged out, nor once another page has replaced the form
+    if (!this.autosaving || this.closed || !this.form.isConnected || !getUser()) return Promise.resolve()
+    if (this.billId && (this.isOffline() || isLocalId(this.billId))) return Promise.resolve()
+    return this.saveDraft()
+      .then(this.showAutosaved)
+      .catch(error => console.error(error))
+  }
+
+  showAutosaved = () => {
+    const status = this.document.querySelector(`[data-testid="autosave-status"]`)
+    if (status) status.textContent = AUTOSAVED_MESSAGE
+  }
+
+  handleSaveDraft = () => {
+    if (this.uploading) return
+    return this.saveDraft()
+      .then(() => {
+        this.closed = true
+        this.onNavigate(ROUTES_PATH['Bills'])
+      })
+      .catch(this.handleError)
+  }
+
+  handleDiscardLocalDraft = () => {
+    clearTimeout(this.autosaveTimer)
+    clearLocalDraft()
+    // reset() would bring back the values the form was rendered with
+    this.form.querySelectorAll('input:not([type="file"]), textarea').forEach(field => { field.value = '' })
+    this.form.querySelector('select').selectedIndex = 0
+    const notice = this.document.querySelector(`[data-testid="local-draft-notice"]`)
+    if (notice) notice.remove()
+  }
+
   handleSubmit = e => {
     e.preventDefault()
+    if (this.uploading) return
     console.log('e.target.querySelector(`input[data-testid="datepicker"]`).value', e.target.querySelector(`input[data-testid="datepicker"]`).value)
-    const email = JSON.parse(localStorage.getItem("user")).email
+    const email = getUser().email
     const bill = {
       email,
-      type: e.target.querySelector(`select[data-testid="expense-type"]`).value,
-      name:  e.target.querySelector(`input[data-testid="expense-name"]`).value,
-      amount: parseInt(e.target.querySelector(`input[data-testid="amount"]`).value),
-      date:  e.target.querySelector(`input[data-testid="datepicker"]`).value,
-      vat: e.target.querySelector(`input[data-testid="vat"]`).value,
-      pct: parseInt(e.target.querySelector(`input[data-testid="pct"]`).value) || 20,
-      commentary: e.target.querySelector(`textarea[data-testid="commentary"]`).value,
+      ...this.formFields(),
       fileUrl: this.fileUrl,
       fileName: this.fileName,
       status: 'pending'
     }
-    this.updateBill(bill)
-    this.onNavigate(ROUTES_PATH['Bills'])
+    // no autosave may turn the bill back into a draft once it is sent
+    clearTimeout(this.autosaveTimer)
+    this.closed = true
+    Promise.resolve(this.updateBill(bill))
+      .then(() => {
+        if (!this.bill) clearLocalDraft()
+        this.onNavigate(ROUTES_PATH['Bills'])
+      })
+      .catch(error => {
+        this.closed = false
+        this.handleError(error)
+      })
   }
 
   // not need to cover this function by tests
   updateBill = (bill) => {
     if (this.store) {
-      this.store
+      if (this.isOffline() || isLocalId(this.billId)) return this.store.outbox.queueUpdate({ billId: this.billId, bill })
+      return this.store
       .bills()
       .update({data: JSON.stringify(bill), selector: this.billId})
-      .then(() => {
-        this.onNavigate(ROUTES_PATH['Bills'])
+      .catch(error => {
+        if (error instanceof NetworkError && this.store.outbox) return this.store.outbox.queueUpdate({ billId: this.billId, bill })
+        throw error
       })
-      .catch(error => console.error(error))
     }
   }
 }
\ No newline at end of file
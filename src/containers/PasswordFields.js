@@ -0,0 +1,43 @@
+import { PASSWORD_RULES, unmetPasswordRules } from '../app/password.js'
+
+// the new password and its confirmation in a form rendered with PasswordFieldsUI
+export default class PasswordFields {
+  constructor({ form }) {
+    this.form = form
+    this.password = form.querySelector(`input[data-testid="new-password-input"]`)
+    this.confirmation = form.querySelector(`input[data-testid="confirm-password-input"]`)
+    this.password.addEventListener('input', this.handleInput)
+    this.confirmation.addEventListener('input', () => this.confirmation.classList.remove('is-invalid'))
+  }
+
+  get value() {
+    return this.password.value
+  }
+
+  // ticks the rules as they are met
+  handleInput = () => {
+    const unmet = unmetPasswordRules(this.password.value)
+    PASSWORD_RULES.forEach(rule => {
+      const item = this.form.querySelector(`[data-testid="password-rules"] [data-rule="${rule.id}"]`)
+      item.classList.toggle('text-success', !unmet.includes(rule))
+      item.classList.remove('text-danger')
+    })
+    this.password.classList.remove('is-invalid')
+  }
+
+  // true when the password follows the rules and was typed the same twice, otherwise points at what is wrong
+  validate = () => {
+    this.handleInput()
+    const unmet = unmetPasswordRules(this.password.value)
+    unmet.forEach(rule => this.form.querySelector(`[data-rule="${rule.id}"]`).classList.add('text-danger'))
+    this.password.classList.toggle('is-invalid', unmet.length > 0)
+    const mismatch = unmet.length === 0 && this.password.value !== this.confirmation.value
+    this.confirmation.classList.toggle('is-invalid', mismatch)
+    return unmet.length === 0 && !mismatch
+  }
+
+  // the backend has the last word on the strength of the password
+  showError = () => {
+    this.password.classList.add('is-invalid')
+  }
+}
@@ -0,0 +1,54 @@
+import { ROUTES_PATH } from '../constants/routes.js'
+import { ValidationError } from '../app/errors.js'
+import PasswordFields from './PasswordFields.js'
+
+export const INVALID_RESET_LINK_MESSAGE = "Ce lien de réinitialisation n'est pas valide."
+
+export default class ResetPassword {
+  constructor({ document, onNavigate, store, token }) {
+    this.document = document
+    this.onNavigate = onNavigate
+    this.store = store
+    this.token = token
+    this.form = this.document.querySelector(`form[data-testid="form-reset-password"]`)
+    this.form.addEventListener('submit', this.handleSubmit)
+    this.passwordFields = new PasswordFields({ form: this.form })
+    const links = {
+      'link-login': ROUTES_PATH['Login'],
+      'link-forgot-password': ROUTES_PATH['ForgotPassword']
+    }
+    Object.entries(links).forEach(([testId, path]) => {
+      this.document.querySelector(`a[data-testid="${testId}"]`).addEventListener('click', e => {
+        e.preventDefault()
+        this.onNavigate(path)
+      })
+    })
+    if (!token) this.showError(INVALID_RESET_LINK_MESSAGE)
+  }
+
+  handleSubmit = e => {
+    e.preventDefault()
+    if (!this.token || !this.passwordFields.validate()) return Promise.resolve()
+    const button = e.target.querySelector(`button[data-testid="reset-password-button"]`)
+    this.form.querySelector(`[data-testid="reset-password-error"]`).hidden = true
+    button.disabled = true
+    return this.store
+      .resetPassword({ token: this.token, password: this.passwordFields.value })
+      .then(() => {
+        this.form.hidden = true
+        this.document.querySelector(`[data-testid="reset-password-done"]`).hidden = false
+      }, error => {
+        // a weak password can be fixed, an unknown or expired token needs a new link
+        const weak = error instanceof ValidationError && error.fields.password
+        if (weak) this.passwordFields.showError()
+        this.showError(weak || error.message, { newLink: !weak })
+      })
+      .finally(() => { button.disabled = false })
+  }
+
+  showError = (message, { newLink = true } = {}) => {
+    this.form.querySelector(`[data-testid="reset-password-error-message"]`).textContent = message
+    this.form.querySelector(`a[data-testid="link-forgot-password"]`).hidden = !newLink
+    this.form.querySelector(`[data-testid="reset-password-error"]`).hidden = false
+  }
+}
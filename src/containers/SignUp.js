@@ -0,0 +1,70 @@
+import { ROUTES_PATH } from '../constants/routes.js'
+import { ValidationError } from '../app/errors.js'
+import PasswordFields from './PasswordFields.js'
+
+export default class SignUp {
+  constructor({ document, onNavigate, store }) {
+    this.document = document
+    this.onNavigate = onNavigate
+    this.store = store
+    this.form = this.document.querySelector(`form[data-testid="form-signup"]`)
+    this.form.addEventListener('submit', this.handleSubmit)
+    this.passwordFields = new PasswordFields({ form: this.form })
+    const loginLink = this.document.querySelector(`a[data-testid="link-login"]`)
+    loginLink.addEventListener('click', e => {
+      e.preventDefault()
+      this.onNavigate(ROUTES_PATH['Login'])
+    })
+  }
+
+  handleSubmit = e => {
+    e.preventDefault()
+    this.clearErrors()
+    if (!this.passwordFields.validate()) return Promise.resolve()
+    const value = name => e.target.querySelector(`input[data-testid="signup-${name}-input"]`).value
+    const account = { name: value('name'), email: value('email'), password: this.passwordFields.value }
+    const button = e.target.querySelector(`button[data-testid="signup-button"]`)
+    button.disabled = true
+    return this.store
+      .signUp(JSON.stringify(account))
+      .then(() => this.showSent(account.email), this.handleError)
+      .finally(() => { button.disabled = false })
+  }
+
+  // the account can only be used once the link sent by email has been opened
+  showSent = email => {
+    this.form.hidden = true
+    const sent = this.document.querySelector(`[data-testid="signup-sent"]`)
+    sent.querySelector(`[data-testid="signup-sent-email"]`).textContent = email
+    sent.hidden = false
+  }
+
+  handleError = error => {
+    if (error instanceof ValidationError && Object.keys(error.fields).length) {
+      Object.entries(error.fields).forEach(([field, message]) => {
+        // the password has no message of its own under the rules it breaks
+        if (field === 'password') {
+          this.passwordFields.showError()
+          return this.showAlert(message)
+        }
+        const input = this.form.querySelector(`input[data-testid="signup-${field}-input"]`)
+        if (!input) return
+        input.classList.add('is-invalid')
+        this.form.querySelector(`[data-testid="signup-${field}-error"]`).textContent = message
+      })
+    } else {
+      this.showAlert(error.message)
+    }
+  }
+
+  showAlert = message => {
+    const alert = this.form.querySelector(`[data-testid="signup-error"]`)
+    alert.textContent = message
+    alert.hidden = false
+  }
+
+  clearErrors = () => {
+    this.form.querySelectorAll('.is-invalid').forEach(input => input.classList.remove('is-invalid'))
+    this.form.querySelector(`[data-testid="signup-error"]`).hidden = true
+  }
+}
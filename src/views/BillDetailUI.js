@@ -0,0 +1,116 @@
+import VerticalLayout from './VerticalLayout.js'
+import ErrorPage from './ErrorPage.js'
+import LoadingPage from './LoadingPage.js'
+import { escapeAttribute, formatDate, formatDateTime, formatStatus } from '../app/format.js'
+import { DRAFT_STATUS } from '../app/billQuery.js'
+
+const DECISIONS = { accepted: 'Acceptée', refused: 'Refusée' }
+
+// a corrupted date is shown as stored, like in the Bills table
+const safeFormatDate = (date) => {
+  try {
+    return formatDate(date)
+  } catch (e) {
+    return date
+  }
+}
+
+// bills sent before the server dated the steps have a status but no date
+const when = (isoString) => isoString ? formatDateTime(isoString) : 'date inconnue'
+
+// submitted, reviewed by an admin, then accepted or refused; a draft has not been sent yet
+export const timelineSteps = (bill) => {
+  const decided = Boolean(DECISIONS[bill.status])
+  return [
+    { key: 'submitted', label: 'Envoyée', done: bill.status !== DRAFT_STATUS, at: bill.submittedAt || bill.createdAt },
+    { key: 'reviewed', label: 'Examinée par un administrateur', done: decided || Boolean(bill.reviewedAt), at: bill.reviewedAt },
+    { key: 'decided', label: decided ? DECISIONS[bill.status] : 'En attente de décision', done: decided, at: bill.decidedAt }
+  ]
+}
+
+const timeline = (bill) => (`
+  <ol class="bill-timeline" data-testid="bill-timeline">
+    ${timelineSteps(bill).map(step => (`
+      <li class="bill-timeline-step ${step.done ? 'done' : ''} ${step.key === 'decided' && step.done ? bill.status : ''}" data-testid="timeline-${step.key}">
+        <span class="bill-timeline-label">${step.label}</span>
+        <span class="bill-timeline-date">${step.done ? when(step.at) : ''}</span>
+      </li>
+    `)).join('')}
+  </ol>
+`)
+
+const field = (label, value, testId) => (`
+  <div class="bill-detail-field">
+    <div class="bold-label">${label}</div>
+    <div class="input-field" data-testid="${testId}">${value !== undefined && value !== null && value !== '' ? escapeAttribute(value) : '-'}</div>
+  </div>
+`)
+
+// the versions refused before the bill was corrected and sent again, latest first
+const revisions = (bill) => {
+  if (!bill.revisions || !bill.revisions.length) return ''
+  return (`
+    <div class="bill-revisions" data-testid="bill-revisions">
+      <div class="bold-label">Versions refusées</div>
+      <ol reversed>
+        ${[...bill.revisions].reverse().map(revision => (`
+          <li class="bill-revision" data-testid="bill-revision">
+            <div>Refusée le ${when(revision.decidedAt)}${revision.commentAdmin ? ` : ${escapeAttribute(revision.commentAdmin)}` : ''}</div>
+            <div class="bill-revision-fields">
+              ${revision.name ? escapeAttribute(revision.name) : '-'}, ${revision.amount !== undefined ? `${revision.amount} €` : '-'}, ${revision.date ? safeFormatDate(revision.date) : '-'}
+              ${revision.fileUrl ? `<a href="${escapeAttribute(revision.fileUrl)}" target="_blank" rel="noopener">${escapeAttribute(revision.fileName || 'justificatif')}</a>` : ''}
+            </div>
+          </li>
+        `)).join('')}
+      </ol>
+    </div>
+  `)
+}
+
+const preview = (bill) => bill.fileUrl
+  ? `<img class="bill-detail-proof" data-testid="bill-proof" src="${escapeAttribute(bill.fileUrl)}" alt="Justificatif ${escapeAttribute(bill.fileName || '')}" />`
+  : `<p data-testid="bill-proof-missing">Aucun justificatif</p>`
+
+export default ({ data: bill, loading, error }) => {
+  if (loading) {
+    return LoadingPage()
+  } else if (error) {
+    return ErrorPage(error)
+  }
+
+  return (`
+    <div class='layout'>
+      ${VerticalLayout(120)}
+      <div class='content'>
+        <div class='content-header'>
+          <div class='content-title'> ${bill.name ? escapeAttribute(bill.name) : 'Note de frais'} </div>
+          <div>
+            ${bill.status === 'refused' ? `<button type="button" data-testid="btn-correct-bill" class="btn btn-primary">Corriger et renvoyer</button>` : ''}
+            <button type="button" data-testid="btn-back-to-bills" class="btn btn-outline-primary">Retour à mes notes de frais</button>
+          </div>
+        </div>
+        <div class="bill-detail content-inner" data-testid="bill-detail">
+          ${timeline(bill)}
+          <div class="row">
+            <div class="col-md-6">
+              ${field('Type de dépense', bill.type, 'detail-type')}
+              ${field('Nom de la dépense', bill.name, 'detail-name')}
+              ${field('Date', bill.date && safeFormatDate(bill.date), 'detail-date')}
+              ${field('Montant TTC', bill.amount !== undefined ? `${bill.amount} €` : '', 'detail-amount')}
+              ${field('TVA', bill.vat ? `${bill.vat} €` : '', 'detail-vat')}
+              ${field('%', bill.pct ? `${bill.pct} %` : '', 'detail-pct')}
+              ${field('Statut', formatStatus(bill.status), 'detail-status')}
+              ${field('Commentaire', bill.commentary, 'detail-commentary')}
+              ${field("Commentaire de l'administrateur", bill.commentAdmin, 'detail-comment-admin')}
+              ${revisions(bill)}
+            </div>
+            <div class="col-md-6">
+              <div class="bold-label">Justificatif</div>
+              ${preview(bill)}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>`
+  )
+}
@@ -0,0 +1,45 @@
+import { escapeAttribute } from '../app/format.js'
+
+const summary = (bill) => [bill.type, bill.date, typeof bill.amount === 'number' ? `${bill.amount} €` : '']
+  .filter(Boolean)
+  .map(escapeAttribute)
+  .join(' · ')
+
+const draftItem = (bill) => (`
+  <li class="list-group-item bill-draft" data-testid="bill-draft" data-bill-id="${bill.id}">
+    <div>
+      <span class="bill-draft-name">${bill.name ? escapeAttribute(bill.name) : 'Sans titre'}</span>
+      <span class="text-muted">${summary(bill)}</span>
+    </div>
+    <div>
+      <button type="button" class="btn btn-link btn-sm" data-testid="btn-resume-draft" data-bill-id="${bill.id}">Reprendre</button>
+      <button type="button" class="btn btn-link btn-sm text-danger" data-testid="btn-withdraw-bill" data-bill-id="${bill.id}" data-bill-name="${escapeAttribute(bill.name || 'Sans titre')}">Supprimer</button>
+    </div>
+  </li>
+`)
+
+// typed before any justificatif was chosen: only this browser knows about it, see app/drafts.js
+const localDraftItem = (draft) => (`
+  <li class="list-group-item bill-draft" data-testid="local-draft">
+    <div>
+      <span class="bill-draft-name">${draft.name ? escapeAttribute(draft.name) : 'Sans titre'}</span>
+      <span class="text-muted">Sans justificatif, enregistré sur cet appareil</span>
+    </div>
+    <div>
+      <button type="button" class="btn btn-link btn-sm" data-testid="btn-resume-local-draft">Reprendre</button>
+    </div>
+  </li>
+`)
+
+export default ({ drafts = [], localDraft = null } = {}) => {
+  if (!drafts.length && !localDraft) return ''
+  return (`
+    <section class="bill-drafts" data-testid="bill-drafts">
+      <h2 class="bill-drafts-title">Brouillons</h2>
+      <ul class="list-group">
+        ${localDraft ? localDraftItem(localDraft) : ''}
+        ${drafts.map(draftItem).join('')}
+      </ul>
+    </section>
+  `)
+}
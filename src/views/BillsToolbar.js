@@ -0,0 +1,30 @@
+import { BILL_TYPES } from '../constants/billTypes.js'
+import { escapeAttribute } from '../app/format.js'
+
+const STATUSES = [['pending', 'En attente'], ['accepted', 'Accepté'], ['refused', 'Refusé']]
+
+const options = (choices, selected) => choices
+  .map(([value, label]) => `<option value="${escapeAttribute(value)}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+  .join('')
+
+export default (query = {}) => (`
+  <form class="bills-toolbar" data-testid="bills-toolbar">
+    <select class="form-control form-control-sm" name="status" data-testid="filter-status" aria-label="Statut">
+      <option value="">Tous les statuts</option>
+      ${options(STATUSES, query.status)}
+    </select>
+    <select class="form-control form-control-sm" name="type" data-testid="filter-type" aria-label="Type">
+      <option value="">Tous les types</option>
+      ${options(BILL_TYPES.map(type => [type, type]), query.type)}
+    </select>
+    <label class="bills-toolbar-dates">
+      Du <input type="date" class="form-control form-control-sm" name="from" data-testid="filter-from" value="${escapeAttribute(query.from)}" />
+    </label>
+    <label class="bills-toolbar-dates">
+      au <input type="date" class="form-control form-control-sm" name="to" data-testid="filter-to" value="${escapeAttribute(query.to)}" />
+    </label>
+    <input type="search" class="form-control form-control-sm" name="search" data-testid="filter-search" placeholder="Rechercher un nom, un commentaire" value="${escapeAttribute(query.search)}" />
+    <button type="submit" class="btn btn-primary btn-sm" data-testid="btn-filter-apply">Filtrer</button>
+    <button type="button" class="btn btn-link btn-sm" data-testid="btn-filter-reset">Réinitialiser</button>
+  </form>
+`)
@@ -3,29 +3,75 @@ import ErrorPage from "./ErrorPage.js"
 import LoadingPage from "./LoadingPage.js"
 
 import Actions from './Actions.js'
+import Pager from './Pager.js'
+import BillsToolbar from './BillsToolbar.js'
+import WithdrawBillModal from './WithdrawBillModal.js'
+import UndoToast from './UndoToast.js'
+import BillDrafts from './BillDrafts.js'
+import { hasBillFilters, parseSort } from '../app/billQuery.js'
+import { escapeAttribute } from '../app/format.js'
+
+const outboxBadge = (bill) => {
+  if (bill.outbox === 'failed') {
+    return (`
+      <span class="badge badge-danger" data-testid="outbox-badge" title="${bill.outboxError || ''}">Échec d'envoi</span>
+      <button type="button" class="btn btn-link btn-sm" data-testid="btn-outbox-dismiss" data-outbox-id="${bill.outboxId}">Retirer</button>
+    `)
+  }
+  return `<span class="badge badge-warning" data-testid="outbox-badge">En attente d'envoi</span>`
+}
+
+// statusCode is the status before formatting, see Bills.formatBills
+const actions = (bill) => {
+  if (bill.outbox) return ''
+  return (`
+    ${Actions(bill.fileUrl)}
+    <button type="button" class="btn btn-link btn-sm" data-testid="btn-bill-detail" data-bill-id="${bill.id}">Détails</button>
+    ${bill.statusCode === 'refused' ? `<button type="button" class="btn btn-link btn-sm" data-testid="btn-correct-bill" data-bill-id="${bill.id}">Corriger et renvoyer</button>` : ''}
+    ${bill.statusCode === 'pending' ? `<button type="button" class="btn btn-link btn-sm text-danger" data-testid="btn-withdraw-bill" data-bill-id="${bill.id}" data-bill-name="${escapeAttribute(bill.name)}">Retirer</button>` : ''}
+  `)
+}
 
 const row = (bill) => {
   return (`
-    <tr>
+    <tr data-bill-id="${bill.id}">
       <td>${bill.type}</td>
       <td>${bill.name}</td>
       <td>${bill.date}</td>
       <td>${bill.amount} €</td>
-      <td>${bill.status}</td>
+      <td>${bill.status} ${bill.outbox ? outboxBadge(bill) : ''}</td>
       <td>
-        ${Actions(bill.fileUrl)}
+        ${actions(bill)}
       </td>
     </tr>
     `)
   }
 
-const rows = (data) => {
-  if (!data || !data.length) return ""
-  const sorted = [...data].sort((a, b) => new Date(b.date) - new Date(a.date))
-  return sorted.map(bill => row(bill)).join("")
+// the bills come sorted and filtered as the query asks, see Bills.getBills
+const rows = (data, query) => {
+  if (!data || !data.length) {
+    return hasBillFilters(query) ? `<tr><td colspan="6" data-testid="no-bills">Aucune note de frais ne correspond à ces critères.</td></tr>` : ""
+  }
+  return data.map(bill => row(bill)).join("")
+}
+
+const COLUMNS = [['type', 'Type'], ['name', 'Nom'], ['date', 'Date'], ['amount', 'Montant'], ['status', 'Statut']]
+
+const sortHeader = ([field, label], sort) => {
+  const current = parseSort(sort)
+  const sorted = current.field === field
+  const direction = current.descending ? 'descending' : 'ascending'
+  return (`
+    <th ${sorted ? `aria-sort="${direction}"` : ''}>
+      <button type="button" class="sort-header ${sorted ? 'sorted' : ''}" data-testid="sort-${field}" data-sort="${field}">
+        ${label} <span class="sort-indicator">${sorted ? (current.descending ? '▼' : '▲') : ''}</span>
+      </button>
+    </th>
+  `)
 }
 
-export default ({ data: bills, loading, error }) => {
+// drafts are listed apart from the bills sent, localDraft being the fields of a new bill kept in this browser
+export default ({ data: bills, pagination, query = {}, drafts, localDraft, loading, error }) => {
   
   const modal = () => (`
     <div class="modal fade" id="modaleFile" tabindex="-1" role="dialog" aria-labelledby="exampleModalCenterTitle" aria-hidden="true">
@@ -58,25 +104,26 @@ export default ({ data: bills, loading, error }) => {
           <div class='content-title'> Mes notes de frais </div>
           <button type="button" data-testid='btn-new-bill' class="btn btn-primary">Nouvelle note de frais</button>
         </div>
+        ${BillDrafts({ drafts, localDraft })}
+        ${BillsToolbar(query)}
         <div id="data-table">
         <table id="example" class="table table-striped" style="width:100%">
           <thead>
               <tr>
-                <th>Type</th>
-                <th>Nom</th>
-                <th>Date</th>
-                <th>Montant</th>
-                <th>Statut</th>
+                ${COLUMNS.map(column => sortHeader(column, query.sort)).join('')}
                 <th>Actions</th>
               </tr>
           </thead>
           <tbody data-testid="tbody">
-            ${rows(bills)}
+            ${rows(bills, query)}
           </tbody>
           </table>
+          ${Pager(pagination)}
         </div>
       </div>
       ${modal()}
+      ${WithdrawBillModal()}
+      ${UndoToast()}
     </div>`
   )
 }
\ No newline at end of file
@@ -0,0 +1,29 @@
+import VerticalLayout from './VerticalLayout.js'
+import PasswordFieldsUI from './PasswordFieldsUI.js'
+
+export default () => {
+
+  return (`
+    <div class='layout'>
+      ${VerticalLayout(120)}
+      <div class='content'>
+        <div class='content-header'>
+          <div class='content-title'> Changer de mot de passe </div>
+        </div>
+        <div class="content-inner form-password-container">
+          <div class="alert alert-success" role="status" data-testid="change-password-done" hidden>
+            Votre mot de passe a été changé.
+          </div>
+          <div class="alert alert-danger" role="alert" data-testid="change-password-error" hidden></div>
+          <form data-testid="form-change-password">
+            <label for="current-password" class="bold-label">Mot de passe actuel</label>
+            <input type="password" id="current-password" data-testid="current-password-input" class="form-control blue-border" autocomplete="current-password" required>
+            <div class="invalid-feedback" data-testid="current-password-error"></div>
+            ${PasswordFieldsUI({ labelClass: 'bold-label', inputClass: 'blue-border' })}
+            <button type="submit" class="btn btn-primary" data-testid="change-password-button">Enregistrer</button>
+          </form>
+        </div>
+      </div>
+    </div>
+  `)
+}
@@ -0,0 +1,22 @@
+import AppTitle from './AppTitle.js'
+
+// the result of the confirmation is filled in by containers/ConfirmEmail.js
+export default () => {
+
+  return (`
+      <div class="page-div">
+        ${AppTitle()}
+        <div class="row">
+          <div class="col-sm-6 offset-sm-3">
+            <div class="card">
+              <div class="card-body">
+                <h2 class="h3 mb-3 font-weight-normal">Confirmation de votre email</h2>
+                <p data-testid="confirm-email-message">Confirmation en cours...</p>
+                <a href="/" class="btn btn-primary" data-testid="link-login" hidden>Se connecter</a>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+  `)
+}
@@ -4,6 +4,7 @@ import LoadingPage from "./LoadingPage.js"
 import BigBilledIcon from '../assets/svg/big_billed.js'
 import { filteredBills } from '../containers/Dashboard.js'
 import ArrowIcon from '../assets/svg/arrow.js'
+import Pager from './Pager.js'
 
 export default ({ data, loading, error }) => {
 
@@ -39,6 +40,8 @@ export default ({ data, loading, error }) => {
             <div class='status-bills-container' id='status-bills-container3'>
             </div>
 
+            ${Pager(data && data.pagination)}
+
         </div>
         <div class="dashboard-right-container">
           <h3> Validations </h3>
@@ -1,16 +1,28 @@
 import VerticalLayout from './VerticalLayout.js'
 
 export default (error) => {
+  const message = error && error.message ? error.message : error
+  const title = error && error.title ? error.title : 'Erreur'
+  const retry = error && error.retryable ? (`
+        <button type="button" data-testid="btn-retry" class="btn btn-primary">Réessayer</button>
+  `) : ''
+  // a way out of the page, e.g. back to the home page of the user's role
+  const link = error && error.link ? (`
+        <a href="${error.link.href}" data-testid="btn-home" class="btn btn-primary">${error.link.label}</a>
+  `) : ''
+
   return (`
     <div class='layout'>
       ${VerticalLayout()}
       <div class='content'>
         <div class='content-header'>
-          <div class='content-title'> Erreur </div>
+          <div class='content-title'> ${title} </div>
         </div>
         <div data-testid="error-message">
-          ${error ? error : ""}
+          ${message ? message : ""}
         </div>
+        ${retry}
+        ${link}
     </div>`
   )
-}
\ No newline at end of file
+}
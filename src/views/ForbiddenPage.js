@@ -0,0 +1,7 @@
+import ErrorPage from './ErrorPage.js'
+
+export default ({ home }) => ErrorPage({
+  title: 'Accès refusé',
+  message: "Votre compte n'a pas accès à cette page.",
+  link: { href: home, label: "Retour à l'accueil" }
+})
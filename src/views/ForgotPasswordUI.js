@@ -0,0 +1,28 @@
+import AppTitle from './AppTitle.js'
+
+export default () => {
+
+  return (`
+      <div class="page-div">
+        ${AppTitle()}
+        <div class="row">
+          <div class="col-sm-6 offset-sm-3">
+            <div class="card">
+              <div class="card-body">
+                <form class="form-signin" data-testid="form-forgot-password">
+                  <h2 class="h3 mb-3 font-weight-normal">Mot de passe oublié</h2>
+                  <div class="alert alert-danger" role="alert" data-testid="forgot-password-error" hidden></div>
+                  <p>Indiquez l'email de votre compte, nous vous enverrons un lien pour choisir un nouveau mot de passe.</p>
+                  <label for="forgot-email">Votre email</label>
+                  <input type="email" id="forgot-email" data-testid="forgot-email-input" class="form-control" placeholder="johndoe@email.com" required>
+                  <button type="submit" class="btn btn-lg btn-primary btn-block" data-testid="forgot-password-button" style="background-color: #0E5AE5;">Envoyer le lien</button>
+                </form>
+                <div class="alert alert-success" role="status" data-testid="forgot-password-sent" hidden></div>
+                <p class="form-signin-link"><a href="/" data-testid="link-login">Retour à la connexion</a></p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+  `)
+}
@@ -0,0 +1,18 @@
+export default () => (`
+  <div class="modal fade" id="modaleIdle" data-testid="modal-idle" tabindex="-1" role="dialog" aria-labelledby="modaleIdleTitle" aria-hidden="true" data-backdrop="static" data-keyboard="false">
+    <div class="modal-dialog modal-dialog-centered" role="document">
+      <div class="modal-content">
+        <div class="modal-header">
+          <h5 class="modal-title" id="modaleIdleTitle">Êtes-vous toujours là ?</h5>
+        </div>
+        <div class="modal-body">
+          Sans activité de votre part, vous serez déconnecté dans <strong data-testid="idle-countdown"></strong> secondes.
+        </div>
+        <div class="modal-footer">
+          <button type="button" class="btn btn-secondary" data-testid="btn-idle-logout">Se déconnecter</button>
+          <button type="button" class="btn btn-primary" data-testid="btn-idle-extend">Rester connecté</button>
+        </div>
+      </div>
+    </div>
+  </div>
+`)
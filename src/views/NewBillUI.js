@@ -1,14 +1,58 @@
 import VerticalLayout from './VerticalLayout.js'
+import ErrorPage from './ErrorPage.js'
+import LoadingPage from './LoadingPage.js'
+import { BILL_TYPES } from '../constants/billTypes.js'
+import { escapeAttribute } from '../app/format.js'
 
-export default () => {
+const value = (bill, field) => bill && bill[field] !== undefined && bill[field] !== null ? `value="${escapeAttribute(bill[field])}"` : ''
+
+// the admin's reason and the justificatif kept unless another one is chosen
+const correctionNotice = (bill) => (`
+  <div class="alert alert-danger" data-testid="refusal-comment">
+    Note refusée${bill.commentAdmin ? ` : ${escapeAttribute(bill.commentAdmin)}` : '.'}
+  </div>
+`)
+
+// the fields typed on a previous visit, before any justificatif was chosen
+const localDraftNotice = () => (`
+  <div class="alert alert-info" data-testid="local-draft-notice">
+    Les informations saisies lors de votre dernière visite ont été restaurées.
+    <button type="button" class="btn btn-link btn-sm" data-testid="btn-discard-local-draft">Repartir de zéro</button>
+  </div>
+`)
+
+const title = (bill) => {
+  if (!bill) return 'Envoyer une note de frais'
+  return bill.status === 'refused' ? 'Corriger une note de frais' : 'Reprendre un brouillon'
+}
+
+const currentFile = (bill) => bill && bill.fileUrl ? (`
+  <p class="current-file">
+    Justificatif actuel : <a href="${escapeAttribute(bill.fileUrl)}" target="_blank" rel="noopener" data-testid="current-file">${escapeAttribute(bill.fileName || 'justificatif')}</a>.
+    Choisissez un fichier pour le remplacer.
+  </p>
+`) : ''
+
+// without a bill, the form of a new one, filled in with the local draft if any;
+// with a draft or a refused bill, the same form filled in to finish it or correct it and send it again
+export default ({ bill, draft, loading, error } = {}) => {
+  if (loading) {
+    return LoadingPage()
+  } else if (error) {
+    return ErrorPage(error)
+  }
+  const filled = bill || draft
+  const refused = Boolean(bill) && bill.status === 'refused'
 
   return (`
     <div class='layout'>
       ${VerticalLayout(120)}
       <div class='content'>
         <div class='content-header'>
-          <div class='content-title'> Envoyer une note de frais </div>
+          <div class='content-title'> ${title(bill)} </div>
         </div>
+        ${refused ? correctionNotice(bill) : ''}
+        ${!bill && draft ? localDraftNotice() : ''}
         <div class="form-newbill-container content-inner">
           <form data-testid="form-new-bill">
             <div class="row">
@@ -16,53 +60,58 @@ export default () => {
                   <div class="col-half">
                     <label for="expense-type" class="bold-label">Type de dépense</label>
                       <select required class="form-control blue-border" data-testid="expense-type">
-                        <option>Transports</option>
-                        <option>Restaurants et bars</option>
-                        <option>Hôtel et logement</option>
-                        <option>Services en ligne</option>
-                        <option>IT et électronique</option>
-                        <option>Equipement et matériel</option>
-                        <option>Fournitures de bureau</option>
+                        ${BILL_TYPES.map(type => `<option ${filled && filled.type === type ? 'selected' : ''}>${type}</option>`).join('')}
                       </select>
                   </div>
                   <div class="col-half">
                     <label for="expense-name" class="bold-label">Nom de la dépense</label>
-                    <input type="text" class="form-control blue-border" data-testid="expense-name" placeholder="Vol Paris Londres" />
+                    <input type="text" class="form-control blue-border" data-testid="expense-name" placeholder="Vol Paris Londres" ${value(filled, 'name')} />
                   </div>
                   <div class="col-half">
                     <label for="datepicker" class="bold-label">Date</label>
-                    <input required type="date" class="form-control blue-border" data-testid="datepicker" />
+                    <input required type="date" class="form-control blue-border" data-testid="datepicker" ${value(filled, 'date')} />
                   </div>
                   <div class="col-half">
                     <label for="amount" class="bold-label">Montant TTC </label>
-                    <input required type="number" class="form-control blue-border input-icon input-icon-right" data-testid="amount" placeholder="348"/>
+                    <input required type="number" class="form-control blue-border input-icon input-icon-right" data-testid="amount" placeholder="348" ${value(filled, 'amount')} />
                   </div>
                   <div class="col-half-row">
                     <div class="flex-col"> 
                       <label for="vat" class="bold-label">TVA</label>
-                      <input type="number" class="form-control blue-border" data-testid="vat" placeholder="70" />
+                      <input type="number" class="form-control blue-border" data-testid="vat" placeholder="70" ${value(filled, 'vat')} />
                     </div>
                     <div class="flex-col">
                       <label for="pct" class="white-text">%</label>
-                      <input required type="number" class="form-control blue-border" data-testid="pct" placeholder="20" />
+                      <input required type="number" class="form-control blue-border" data-testid="pct" placeholder="20" ${value(filled, 'pct')} />
                     </div>
                   </div>
                 </div>
                 <div class="col-md-6">
                   <div class="col-half">
                     <label for="commentary" class="bold-label">Commentaire</label>
-                    <textarea class="form-control blue-border" data-testid="commentary" rows="3"></textarea>
+                    <textarea class="form-control blue-border" data-testid="commentary" rows="3">${filled && filled.commentary ? escapeAttribute(filled.commentary) : ''}</textarea>
                   </div>
                   <div class="col-half">
                     <label for="file" class="bold-label">Justificatif</label>
-                    <input required type="file" class="form-control blue-border" data-testid="file" />
+                    ${currentFile(bill)}
+                    <input ${bill && bill.fileUrl ? '' : 'required'} type="file" class="form-control blue-border" data-testid="file" />
+                    <div class="upload-status" data-testid="upload-status" hidden>
+                      <div class="progress" data-testid="file-progress">
+                        <div class="progress-bar" role="progressbar" style="width: 0%" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100"></div>
+                      </div>
+                      <button type="button" class="btn btn-link btn-sm" data-testid="btn-cancel-upload">Annuler l'envoi</button>
+                    </div>
                   </div>
                 </div>
             </div>
             <div class="row">
               <div class="col-md-6">
                 <div class="col-half">
-                  <button type="submit" id='btn-send-bill' class="btn btn-primary">Envoyer</button>
+                  <button type="submit" id='btn-send-bill' class="btn btn-primary">${refused ? 'Renvoyer' : 'Envoyer'}</button>
+                  ${refused ? '' : (`
+                    <button type="button" class="btn btn-outline-primary" data-testid="btn-save-draft">Enregistrer le brouillon</button>
+                    <span class="autosave-status" data-testid="autosave-status" aria-live="polite"></span>
+                  `)}
                 </div>
               </div>
             </div>
@@ -0,0 +1,7 @@
+import ErrorPage from './ErrorPage.js'
+
+export default ({ home }) => ErrorPage({
+  title: 'Page introuvable',
+  message: "Cette page n'existe pas ou a été déplacée.",
+  link: { href: home, label: "Retour à l'accueil" }
+})
@@ -0,0 +1,16 @@
+import { pageCount } from '../app/pagination.js'
+
+export default (pagination) => {
+  if (!pagination) return ''
+  const { page, total } = pagination
+  const pages = pageCount(pagination)
+  if (pages <= 1) return ''
+
+  return (`
+    <nav class="pager" data-testid="pager">
+      <button type="button" class="btn btn-outline-primary btn-sm" data-testid="btn-previous-page" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>Précédent</button>
+      <span class="pager-status"> Page ${page} / ${pages} (${total} notes) </span>
+      <button type="button" class="btn btn-outline-primary btn-sm" data-testid="btn-next-page" data-page="${page + 1}" ${page >= pages ? 'disabled' : ''}>Suivant</button>
+    </nav>
+  `)
+}
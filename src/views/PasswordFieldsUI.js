@@ -0,0 +1,13 @@
+import { PASSWORD_RULES } from '../app/password.js'
+
+// the new password typed twice, with the strength rules it must follow (see containers/PasswordFields.js)
+export default ({ labelClass = '', inputClass = '' } = {}) => (`
+  <label for="new-password" class="${labelClass}">Nouveau mot de passe</label>
+  <input type="password" id="new-password" data-testid="new-password-input" class="form-control ${inputClass}" autocomplete="new-password" required>
+  <ul class="password-rules" data-testid="password-rules">
+    ${PASSWORD_RULES.map(rule => `<li data-rule="${rule.id}">${rule.label}</li>`).join('')}
+  </ul>
+  <label for="confirm-password" class="${labelClass}">Confirmez le mot de passe</label>
+  <input type="password" id="confirm-password" data-testid="confirm-password-input" class="form-control ${inputClass}" autocomplete="new-password" required>
+  <div class="invalid-feedback" data-testid="confirm-password-error">Les deux mots de passe ne correspondent pas.</div>
+`)
@@ -0,0 +1,33 @@
+import AppTitle from './AppTitle.js'
+import PasswordFieldsUI from './PasswordFieldsUI.js'
+
+// opened from the link of the reset email: #password/reset?token=...
+export default () => {
+
+  return (`
+      <div class="page-div">
+        ${AppTitle()}
+        <div class="row">
+          <div class="col-sm-6 offset-sm-3">
+            <div class="card">
+              <div class="card-body">
+                <form class="form-signin" data-testid="form-reset-password">
+                  <h2 class="h3 mb-3 font-weight-normal">Nouveau mot de passe</h2>
+                  <div class="alert alert-danger" role="alert" data-testid="reset-password-error" hidden>
+                    <span data-testid="reset-password-error-message"></span>
+                    <a href="#password/forgot" data-testid="link-forgot-password">Demander un nouveau lien</a>
+                  </div>
+                  ${PasswordFieldsUI()}
+                  <button type="submit" class="btn btn-lg btn-primary btn-block" data-testid="reset-password-button" style="background-color: #0E5AE5;">Enregistrer</button>
+                </form>
+                <div class="alert alert-success" role="status" data-testid="reset-password-done" hidden>
+                  Votre mot de passe a été changé, vous pouvez vous connecter avec.
+                </div>
+                <p class="form-signin-link"><a href="/" data-testid="link-login">Retour à la connexion</a></p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+  `)
+}
@@ -0,0 +1,38 @@
+import AppTitle from './AppTitle.js'
+import PasswordFieldsUI from './PasswordFieldsUI.js'
+
+const field = ({ name, label, type, placeholder }) => (`
+                  <label for="signup-${name}">${label}</label>
+                  <input type="${type}" id="signup-${name}" name="${name}" data-testid="signup-${name}-input" class="form-control" placeholder="${placeholder}" required>
+                  <div class="invalid-feedback" data-testid="signup-${name}-error"></div>
+`)
+
+export default () => {
+
+  return (`
+      <div class="page-div">
+        ${AppTitle()}
+        <div class="row">
+          <div class="col-sm-6 offset-sm-3">
+            <div class="card">
+              <div class="card-body">
+                <form class="form-signin" data-testid="form-signup">
+                  <h2 class="h3 mb-3 font-weight-normal">Créer un compte employé</h2>
+                  <div class="alert alert-danger" role="alert" data-testid="signup-error" hidden></div>
+                  ${field({ name: 'name', label: 'Votre nom', type: 'text', placeholder: 'John Doe' })}
+                  ${field({ name: 'email', label: 'Votre email', type: 'email', placeholder: 'johndoe@email.com' })}
+                  ${PasswordFieldsUI()}
+                  <button type="submit" class="btn btn-lg btn-primary btn-block" data-testid="signup-button" style="background-color: #0E5AE5;">Créer mon compte</button>
+                  <p class="form-signin-link">Déjà un compte ? <a href="/" data-testid="link-login">Se connecter</a></p>
+                </form>
+                <div class="alert alert-success" role="status" data-testid="signup-sent" hidden>
+                  Un email de confirmation a été envoyé à <strong data-testid="signup-sent-email"></strong>.
+                  Ouvrez le lien qu'il contient pour activer votre compte.
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+  `)
+}
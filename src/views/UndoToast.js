@@ -0,0 +1,7 @@
+// a message at the bottom of the page, with an optional button to undo what it announces
+export default () => (`
+  <div class="undo-toast" data-testid="undo-toast" role="status" aria-live="polite" hidden>
+    <span data-testid="undo-toast-message"></span>
+    <button type="button" class="btn btn-link btn-sm" data-testid="btn-undo">Annuler</button>
+  </div>
+`)
@@ -1,13 +1,11 @@
 import WindowIcon from "../assets/svg/window.js"
 import MailIcon from "../assets/svg/mail.js"
 import DisconnectIcon from "../assets/svg/disconnect.js"
+import KeyIcon from "../assets/svg/key.js"
+import { getUser } from "../app/session.js"
 
 export default (height) => {
-    let user;
-    user = JSON.parse(localStorage.getItem('user'))
-    if (typeof user === 'string') {
-      user = JSON.parse(user)
-    }
+    const user = getUser()
     if (user && user.type === 'Employee') {
       return (
         `
@@ -19,6 +17,9 @@ export default (height) => {
           <div id='layout-icon2' data-testid="icon-mail">
             ${MailIcon}
           </div>
+          <div id='layout-account' data-testid='layout-account' title='Changer de mot de passe'>
+            ${KeyIcon}
+          </div>
           <div id='layout-disconnect'>
             ${DisconnectIcon}
           </div>
@@ -30,6 +31,9 @@ export default (height) => {
         `
         <div class='vertical-navbar' style='height: ${height}vh;'>
           <div class='layout-title'> Billed </div>
+            <div id='layout-account' data-testid='layout-account' title='Changer de mot de passe'>
+              ${KeyIcon}
+            </div>
             <div id='layout-disconnect' data-testid='layout-disconnect'>
               ${DisconnectIcon}
             </div>
@@ -0,0 +1,21 @@
+export default () => (`
+  <div class="modal fade" id="modaleWithdraw" data-testid="modal-withdraw" tabindex="-1" role="dialog" aria-labelledby="modaleWithdrawTitle" aria-hidden="true">
+    <div class="modal-dialog modal-dialog-centered" role="document">
+      <div class="modal-content">
+        <div class="modal-header">
+          <h5 class="modal-title" id="modaleWithdrawTitle">Retirer la note de frais</h5>
+          <button type="button" class="close" data-dismiss="modal" aria-label="Close">
+            <span aria-hidden="true">&times;</span>
+          </button>
+        </div>
+        <div class="modal-body">
+          La note <strong data-testid="withdraw-bill-name"></strong> et son justificatif seront supprimés et ne seront pas examinés.
+        </div>
+        <div class="modal-footer">
+          <button type="button" class="btn btn-secondary" data-dismiss="modal" data-testid="btn-withdraw-cancel">Garder la note</button>
+          <button type="button" class="btn btn-danger" data-testid="btn-withdraw-confirm">Retirer</button>
+        </div>
+      </div>
+    </div>
+  </div>
+`)